@@ -7,18 +7,42 @@ module.exports = {
       instances: 1,
       autorestart: true,
       watch: false,
+      env_production: {
+        NODE_ENV: "production",
+        // Sesiones de búsqueda con availability en Postgres: sobreviven reinicios y
+        // permiten subir `instances` sin romper la paginación por cursor
+        AVAILABILITY_SESSION_STORE: "postgres",
+      },
+    },
+
+    // Los crons corren vía scripts/runJob.js: advisory lock por job (jobs con el mismo
+    // lock nunca se pisan, y pm2 y POST /admin/jobs/:name/run comparten el lock) e
+    // historial en job_runs. Los jobs están en src/services/jobRegistry.js.
+
+    // ─── Cron catálogo: diario a las 2:00 AM ─────────────────────────────────
+    // Nombres, capacidad, imágenes, ubicación y altas/bajas desde Guesty.
+    // Corre antes del full sync de availability (3 AM) para que las altas entren en él.
+    {
+      name: "sync-listings-cron",
+      script: "./scripts/runJob.js",
+      args: "catalog-sync",
+      instances: 1,
+      autorestart: false,
+      cron_restart: "0 2 * * *",         // 2:00 AM todos los días
+      watch: false,
       env_production: {
         NODE_ENV: "production",
       },
     },
 
     // ─── Cron incremental: cada 4 horas (0, 4, 8, 12, 16, 20) ────────────────
-    // Si el full sync de las 3 AM corrió recientemente, el lock lo detecta
-    // y puede saltearse sin conflicto (CA3 de la tarea anterior).
+    // Si el full sync de las 3 AM sigue corriendo, el lock del job lo detecta
+    // y se saltea sin conflicto (queda 'skipped' en job_runs).
+    // Si una corrida anterior murió a mitad de camino, se retoma desde su checkpoint.
     {
       name: "sync-availability-cron",
-      script: "./scripts/syncAvailability.js",
-      args: "",                          // sin --full → modo incremental
+      script: "./scripts/runJob.js",
+      args: "availability-incremental",  // sin --full → modo incremental
       instances: 1,
       autorestart: false,                // no reiniciar en overlap
       cron_restart: "0 */4 * * *",
@@ -31,10 +55,11 @@ module.exports = {
     // ─── Cron full sync: diario a las 3:00 AM ────────────────────────────────
     // Fuerza resync completo sin condiciones (CA2).
     // Proceso independiente: si el incremental cae, este actúa de salvavidas.
+    // Si hay un incremental corriendo, espera a que libere el lock (waitForLockMin).
     {
       name: "sync-availability-full",
-      script: "./scripts/syncAvailability.js",
-      args: "--full",                    // fuerza resync total
+      script: "./scripts/runJob.js",
+      args: "availability-full",         // fuerza resync total
       instances: 1,
       autorestart: false,
       cron_restart: "0 3 * * *",         // CA1: 3:00 AM todos los días
@@ -44,12 +69,28 @@ module.exports = {
       },
     },
 
+    // ─── Cron reintentos availability: cada hora al minuto 30 ─────────────────
+    // Solo los listings cuyo último intento falló (listing_sync_state).
+    // Comparte el lock "availability" con el incremental y el full.
+    {
+      name: "sync-availability-retry",
+      script: "./scripts/runJob.js",
+      args: "availability-retry",
+      instances: 1,
+      autorestart: false,
+      cron_restart: "30 * * * *",
+      watch: false,
+      env_production: {
+        NODE_ENV: "production",
+      },
+    },
+
     // ─── Cron incremental fees: cada 6 horas ─────────────────────────────────
     // Solo re-sincroniza propiedades con fees vencidos (> 24hs) o con error.
     {
       name: "sync-fees-cron",
-      script: "./scripts/syncFees.js",
-      args: "",                          // sin --full → modo incremental
+      script: "./scripts/runJob.js",
+      args: "fees-incremental",          // sin --full → modo incremental
       instances: 1,
       autorestart: false,
       cron_restart: "0 */6 * * *",       // cada 6 horas
@@ -64,8 +105,8 @@ module.exports = {
     // Fuerza resync completo de fees de todas las propiedades habilitadas.
     {
       name: "sync-fees-full",
-      script: "./scripts/syncFees.js",
-      args: "--full",
+      script: "./scripts/runJob.js",
+      args: "fees-full",
       instances: 1,
       autorestart: false,
       cron_restart: "0 4 * * *",         // 4:00 AM todos los días
@@ -75,13 +116,28 @@ module.exports = {
       },
     },
 
+    // ─── Cron vencimiento de quotes: cada hora al minuto 15 ───────────────────
+    // Reemplaza el setInterval que corría dentro de cada proceso de la API.
+    {
+      name: "quote-expiry-cron",
+      script: "./scripts/runJob.js",
+      args: "quote-expiry",
+      instances: 1,
+      autorestart: false,
+      cron_restart: "15 * * * *",
+      watch: false,
+      env_production: {
+        NODE_ENV: "production",
+      },
+    },
+
     // ─── Cron Guardian: lunes y miércoles a las 8:00 AM ──────────────────────
     // Audita y limpia datos según reglas del guardian service.
     // Corre después del peak de sync (3-4 AM) para operar sobre datos frescos.
     {
       name: "guardian-cron",
-      script: "./scripts/guardian.cron.js",
-      args: "",
+      script: "./scripts/runJob.js",
+      args: "guardian",
       instances: 1,
       autorestart: false,                // no reiniciar si el proceso cae
       cron_restart: "0 8 * * 1,3",       // lunes y miércoles a las 8:00 AM
@@ -0,0 +1,29 @@
+-- 001_pmc_inquiries.sql
+-- Bandeja de consultas para PMC: reemplaza el array INQUIRIES en memoria de pmc.routes.js.
+-- Se alimenta desde /booking, /public/property-messages y /api/leads/villa-inquiry.
+
+CREATE TABLE IF NOT EXISTS pmc_inquiries (
+  id                    BIGSERIAL PRIMARY KEY,
+  source                TEXT NOT NULL,             -- 'booking' | 'property_message' | 'villa_inquiry'
+  source_id             TEXT,                      -- id del registro original (property_messages / villa_inquiry_leads)
+  listing_id            TEXT,
+  property_name         TEXT,
+  check_in              DATE,
+  check_out             DATE,
+  guests                INTEGER,
+  guest_name            TEXT,
+  guest_email           TEXT,
+  guest_phone           TEXT,
+  message               TEXT,
+  status                TEXT NOT NULL DEFAULT 'new'
+                        CHECK (status IN ('new', 'responded', 'booked', 'declined')),
+  response              TEXT,
+  responded_by_user_id  UUID REFERENCES users(id) ON DELETE SET NULL,
+  responded_at          TIMESTAMPTZ,
+  closed_at             TIMESTAMPTZ,
+  created_at            TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at            TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_pmc_inquiries_listing_id ON pmc_inquiries (listing_id);
+CREATE INDEX IF NOT EXISTS idx_pmc_inquiries_status_created ON pmc_inquiries (status, created_at DESC);
@@ -0,0 +1,15 @@
+-- 002_quote_lifecycle.sql
+-- Ciclo de vida de quotes: draft → sent → accepted | declined | expired | revised.
+-- Una revisión es un quote nuevo (version + 1) que apunta al anterior vía parent_quote_id.
+
+ALTER TABLE quotes
+  ADD COLUMN IF NOT EXISTS version          INTEGER NOT NULL DEFAULT 1,
+  ADD COLUMN IF NOT EXISTS parent_quote_id  UUID REFERENCES quotes(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS sent_at          TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS expires_at       TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS accepted_at      TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS declined_at      TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS status_reason    TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_quotes_status_expires_at ON quotes (status, expires_at);
+CREATE INDEX IF NOT EXISTS idx_quotes_parent_quote_id ON quotes (parent_quote_id);
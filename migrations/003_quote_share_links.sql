@@ -0,0 +1,13 @@
+-- 003_quote_share_links.sql
+-- Link público de solo lectura por quote. El token es un JWT firmado que lleva el
+-- share_token_id vigente: regenerar o revocar el link invalida los tokens anteriores.
+-- Las aperturas del link se registran en quote_history (event_type = 'VIEWED').
+
+ALTER TABLE quotes
+  ADD COLUMN IF NOT EXISTS share_token_id    UUID,
+  ADD COLUMN IF NOT EXISTS share_expires_at  TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS view_count        INTEGER NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS first_viewed_at   TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS last_viewed_at    TIMESTAMPTZ;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_quotes_share_token_id ON quotes (share_token_id) WHERE share_token_id IS NOT NULL;
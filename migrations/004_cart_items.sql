@@ -0,0 +1,13 @@
+-- 004_cart_items.sql
+-- Carrito guardado por usuario: solo listing_id + orden. Los datos de cada villa
+-- (nombre, precio, imágenes) se leen siempre de listings al exportar o convertir a quote.
+
+CREATE TABLE IF NOT EXISTS cart_items (
+  user_id     UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  listing_id  TEXT NOT NULL,
+  position    INTEGER NOT NULL DEFAULT 0,
+  added_at    TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (user_id, listing_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_cart_items_user_position ON cart_items (user_id, position);
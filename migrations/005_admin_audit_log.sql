@@ -0,0 +1,45 @@
+-- 005_admin_audit_log.sql
+-- Estado 'suspended' para usuarios y log de auditoría (append-only) de cambios de rol/estado hechos por admins.
+
+ALTER TABLE users DROP CONSTRAINT IF EXISTS users_status_check;
+ALTER TABLE users
+  ADD CONSTRAINT users_status_check CHECK (status IN ('pending', 'approved', 'rejected', 'suspended'));
+
+CREATE TABLE IF NOT EXISTS admin_audit_log (
+  id              BIGSERIAL PRIMARY KEY,
+  actor_user_id   UUID REFERENCES users(id) ON DELETE SET NULL,
+  target_user_id  UUID REFERENCES users(id) ON DELETE SET NULL,
+  action          TEXT NOT NULL,
+  old_value       TEXT,
+  new_value       TEXT,
+  reason          TEXT,
+  ip              TEXT,
+  user_agent      TEXT,
+  created_at      TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_admin_audit_log_target ON admin_audit_log (target_user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_admin_audit_log_actor ON admin_audit_log (actor_user_id, created_at DESC);
+
+-- Append-only: no se permiten UPDATE ni DELETE sobre el log
+-- (el ON DELETE SET NULL de las FKs sí se permite para poder borrar usuarios)
+CREATE OR REPLACE FUNCTION admin_audit_log_append_only() RETURNS trigger AS $$
+BEGIN
+  IF TG_OP = 'UPDATE'
+     AND NEW.action IS NOT DISTINCT FROM OLD.action
+     AND NEW.old_value IS NOT DISTINCT FROM OLD.old_value
+     AND NEW.new_value IS NOT DISTINCT FROM OLD.new_value
+     AND NEW.reason IS NOT DISTINCT FROM OLD.reason
+     AND NEW.created_at IS NOT DISTINCT FROM OLD.created_at
+     AND (NEW.actor_user_id IS NULL OR NEW.actor_user_id = OLD.actor_user_id)
+     AND (NEW.target_user_id IS NULL OR NEW.target_user_id = OLD.target_user_id) THEN
+    RETURN NEW;
+  END IF;
+  RAISE EXCEPTION 'admin_audit_log is append-only';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_admin_audit_log_append_only ON admin_audit_log;
+CREATE TRIGGER trg_admin_audit_log_append_only
+  BEFORE UPDATE OR DELETE ON admin_audit_log
+  FOR EACH ROW EXECUTE FUNCTION admin_audit_log_append_only();
@@ -0,0 +1,26 @@
+-- 006_user_sessions.sql
+-- Sesiones con refresh tokens rotativos. Cada login abre una familia (family_id);
+-- cada /auth/refresh marca el token actual como rotado e inserta uno nuevo en la misma familia.
+-- Si se presenta un token ya rotado (reuso), se revoca toda la familia.
+-- Solo se guarda el hash SHA-256 del token.
+
+CREATE TABLE IF NOT EXISTS user_sessions (
+  id                  UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  family_id           UUID NOT NULL,
+  user_id             UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  refresh_token_hash  TEXT NOT NULL UNIQUE,
+  ip                  TEXT,
+  user_agent          TEXT,
+  created_at          TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  last_used_at        TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  expires_at          TIMESTAMPTZ NOT NULL,
+  rotated_at          TIMESTAMPTZ,
+  replaced_by         UUID REFERENCES user_sessions(id) ON DELETE SET NULL,
+  revoked_at          TIMESTAMPTZ,
+  revoked_reason      TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_sessions_family ON user_sessions (family_id);
+CREATE INDEX IF NOT EXISTS idx_user_sessions_user_active
+  ON user_sessions (user_id, expires_at)
+  WHERE rotated_at IS NULL AND revoked_at IS NULL;
@@ -0,0 +1,36 @@
+-- 007_pmc_portal.sql
+-- Portal PMC: vínculo usuario ↔ listing_property_managers, campos VillaNet editables
+-- por el PMC y cola de cambios pendientes de revisión por un admin.
+
+CREATE TABLE IF NOT EXISTS listing_property_manager_users (
+  user_id                      UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  listing_property_manager_id  INTEGER NOT NULL REFERENCES listing_property_managers(id) ON DELETE CASCADE,
+  created_by_user_id           UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at                   TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (user_id, listing_property_manager_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_lpm_users_pm ON listing_property_manager_users (listing_property_manager_id);
+CREATE INDEX IF NOT EXISTS idx_listings_property_manager_id ON listings (listing_property_manager_id);
+
+-- Textos propios de VillaNet (description viene de Guesty y el sync la pisa)
+ALTER TABLE listings
+  ADD COLUMN IF NOT EXISTS villanet_description      TEXT,
+  ADD COLUMN IF NOT EXISTS villanet_concierge_info   TEXT;
+
+CREATE TABLE IF NOT EXISTS listing_edit_requests (
+  id                    BIGSERIAL PRIMARY KEY,
+  listing_id            TEXT NOT NULL,
+  submitted_by_user_id  UUID REFERENCES users(id) ON DELETE SET NULL,
+  changes               JSONB NOT NULL,
+  previous_values       JSONB NOT NULL DEFAULT '{}'::jsonb,
+  status                TEXT NOT NULL DEFAULT 'pending'
+                        CHECK (status IN ('pending', 'approved', 'rejected')),
+  review_note           TEXT,
+  reviewed_by_user_id   UUID REFERENCES users(id) ON DELETE SET NULL,
+  reviewed_at           TIMESTAMPTZ,
+  created_at            TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_listing_edit_requests_status ON listing_edit_requests (status, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_listing_edit_requests_listing ON listing_edit_requests (listing_id, created_at DESC);
@@ -0,0 +1,13 @@
+-- 008_availability_search_sessions.sql
+-- Sesiones de búsqueda con availability (cursor + ids ya escaneados) compartidas entre
+-- workers y persistentes a reinicios. Solo se usa con AVAILABILITY_SESSION_STORE=postgres.
+
+CREATE TABLE IF NOT EXISTS availability_search_sessions (
+  id          TEXT PRIMARY KEY,
+  data        JSONB NOT NULL,
+  created_at  TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at  TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  expires_at  TIMESTAMPTZ NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_availability_search_sessions_expires ON availability_search_sessions (expires_at);
@@ -0,0 +1,4 @@
+-- 009_listings_geo_index.sql
+-- Filtros near/radiusKm y polygon de la búsqueda: prefiltro por bounding box sobre lat/lng.
+
+CREATE INDEX IF NOT EXISTS idx_listings_lat_lng ON listings (lat, lng) WHERE lat IS NOT NULL AND lng IS NOT NULL;
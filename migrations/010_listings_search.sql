@@ -0,0 +1,37 @@
+-- 010_listings_search.sql
+-- Búsqueda de texto del filtro `q`: full-text (ranking + snippets) y trigramas
+-- (tolerancia a typos) sobre nombre, destino, amenities y descripción.
+
+CREATE EXTENSION IF NOT EXISTS unaccent;
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+-- unaccent() es STABLE: las columnas generadas e índices necesitan una versión IMMUTABLE
+CREATE OR REPLACE FUNCTION immutable_unaccent(text)
+  RETURNS text
+  LANGUAGE sql IMMUTABLE PARALLEL SAFE STRICT
+AS $$ SELECT public.unaccent('public.unaccent'::regdictionary, $1) $$;
+
+-- Nombre y destino pesan más que amenities, y estas más que la descripción.
+-- 'simple' para nombres propios y lugares, 'english' (con stemming) para texto libre.
+ALTER TABLE listings
+  ADD COLUMN IF NOT EXISTS search_document tsvector GENERATED ALWAYS AS (
+    setweight(to_tsvector('simple', immutable_unaccent(COALESCE(name, ''))), 'A') ||
+    setweight(to_tsvector('simple', immutable_unaccent(
+      COALESCE(villanet_destination_tag, '') || ' ' || COALESCE(villanet_city, '') || ' ' ||
+      COALESCE(city, '') || ' ' || COALESCE(country, '')
+    )), 'B') ||
+    setweight(to_tsvector('english', immutable_unaccent(COALESCE(amenities_json::text, ''))), 'C') ||
+    setweight(to_tsvector('english', immutable_unaccent(COALESCE(description, ''))), 'D')
+  ) STORED;
+
+-- Texto corto para similitud por trigramas (typos en nombre/destino)
+ALTER TABLE listings
+  ADD COLUMN IF NOT EXISTS search_text text GENERATED ALWAYS AS (
+    immutable_unaccent(LOWER(
+      COALESCE(name, '') || ' ' || COALESCE(villanet_destination_tag, '') || ' ' ||
+      COALESCE(villanet_city, '') || ' ' || COALESCE(city, '') || ' ' || COALESCE(country, '')
+    ))
+  ) STORED;
+
+CREATE INDEX IF NOT EXISTS idx_listings_search_document ON listings USING GIN (search_document);
+CREATE INDEX IF NOT EXISTS idx_listings_search_text_trgm ON listings USING GIN (search_text gin_trgm_ops);
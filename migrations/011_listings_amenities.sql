@@ -0,0 +1,19 @@
+-- 011_listings_amenities.sql
+-- Filtro amenities= de la búsqueda: nombres de amenities_json normalizados
+-- (minúsculas, espacios colapsados) en un text[] indexado. El vocabulario de slugs
+-- vive en src/services/listingAmenities.service.js.
+
+CREATE OR REPLACE FUNCTION amenity_names(doc jsonb)
+RETURNS text[]
+LANGUAGE sql IMMUTABLE PARALLEL SAFE AS $$
+  SELECT COALESCE(ARRAY_AGG(DISTINCT LOWER(REGEXP_REPLACE(BTRIM(a), '\s+', ' ', 'g'))), '{}')
+  FROM jsonb_array_elements_text(
+    CASE WHEN jsonb_typeof(doc) = 'array' THEN doc ELSE '[]'::jsonb END
+  ) AS a
+$$;
+
+ALTER TABLE listings
+  ADD COLUMN IF NOT EXISTS amenity_names text[]
+  GENERATED ALWAYS AS (amenity_names(amenities_json::jsonb)) STORED;
+
+CREATE INDEX IF NOT EXISTS idx_listings_amenity_names ON listings USING GIN (amenity_names);
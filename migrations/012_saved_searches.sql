@@ -0,0 +1,30 @@
+-- 012_saved_searches.sql
+-- Búsquedas guardadas de /listings con alertas por email. Después de cada corrida de
+-- syncAvailability.js se re-ejecutan contra listing_availability y se compara con la
+-- última foto (saved_search_matches): villas nuevas o que bajaron de precio.
+
+CREATE TABLE IF NOT EXISTS saved_searches (
+  id               BIGSERIAL PRIMARY KEY,
+  user_id          UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  name             TEXT NOT NULL,
+  query            JSONB NOT NULL,            -- query string de GET /listings (solo claves de búsqueda)
+  alerts_enabled   BOOLEAN NOT NULL DEFAULT TRUE,
+  last_run_at      TIMESTAMPTZ,               -- NULL = todavía sin foto base (la primera corrida no avisa)
+  last_alerted_at  TIMESTAMPTZ,
+  created_at       TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at       TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_saved_searches_user ON saved_searches (user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_saved_searches_alerts ON saved_searches (id) WHERE alerts_enabled = true;
+
+-- Villas que matchearon en la última corrida, con el precio de referencia
+-- (total de la estadía si la búsqueda tiene fechas, nightly si no)
+CREATE TABLE IF NOT EXISTS saved_search_matches (
+  saved_search_id  BIGINT NOT NULL REFERENCES saved_searches(id) ON DELETE CASCADE,
+  listing_id       TEXT NOT NULL,
+  price_usd        NUMERIC(12, 2),
+  first_seen_at    TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  last_seen_at     TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (saved_search_id, listing_id)
+);
@@ -0,0 +1,13 @@
+-- 013_listings_catalog_sync.sql
+-- Sync del catálogo de Guesty (scripts/sync_listings.mjs):
+--   guesty_status       → 'active' | 'inactive' (deslistada en Guesty) | 'deleted' (ya no aparece en GET /listings)
+--   guesty_last_seen_at → último sync en que Guesty devolvió la unidad
+-- El sync solo re-lista unidades que él mismo había bajado (guesty_status <> 'active');
+-- un is_listed = false puesto a mano con guesty_status = 'active' se respeta.
+
+ALTER TABLE listings
+  ADD COLUMN IF NOT EXISTS guesty_status TEXT
+    CHECK (guesty_status IN ('active', 'inactive', 'deleted')),
+  ADD COLUMN IF NOT EXISTS guesty_last_seen_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_listings_guesty_status ON listings (guesty_status);
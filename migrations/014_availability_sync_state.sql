@@ -0,0 +1,53 @@
+-- 014_availability_sync_state.sql
+-- Estado del sync de availability por listing y checkpoints de cada corrida
+-- (scripts/syncAvailability.js, src/services/availabilitySync.service.js).
+
+-- Una fila por listing: última vez OK / con error y fallas seguidas.
+-- last_success_at es lo que la búsqueda muestra como antigüedad del calendario.
+CREATE TABLE IF NOT EXISTS listing_sync_state (
+  listing_id            TEXT PRIMARY KEY,
+  last_attempt_at       TIMESTAMPTZ,
+  last_success_at       TIMESTAMPTZ,
+  last_error_at         TIMESTAMPTZ,
+  last_error            TEXT,
+  consecutive_failures  INTEGER NOT NULL DEFAULT 0,
+  last_run_id           BIGINT
+);
+
+CREATE INDEX IF NOT EXISTS idx_listing_sync_state_failing
+  ON listing_sync_state (consecutive_failures)
+  WHERE consecutive_failures > 0;
+
+-- Una fila por corrida. listing_ids fija el orden al arrancar y checkpoint cuenta
+-- cuántos ya se procesaron: si el proceso muere, la próxima corrida del mismo modo
+-- sigue desde ahí. heartbeat_at se actualiza en cada batch (lock entre procesos).
+CREATE TABLE IF NOT EXISTS availability_sync_runs (
+  id             BIGSERIAL PRIMARY KEY,
+  mode           TEXT NOT NULL CHECK (mode IN ('full', 'incremental', 'retry')),
+  status         TEXT NOT NULL DEFAULT 'running'
+                   CHECK (status IN ('running', 'ok', 'partial', 'failed', 'abandoned')),
+  listing_ids    TEXT[] NOT NULL,
+  checkpoint     INTEGER NOT NULL DEFAULT 0,
+  ok_count       INTEGER NOT NULL DEFAULT 0,
+  error_count    INTEGER NOT NULL DEFAULT 0,
+  resumed_count  INTEGER NOT NULL DEFAULT 0,
+  started_at     TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  heartbeat_at   TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  finished_at    TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_availability_sync_runs_running
+  ON availability_sync_runs (mode, started_at DESC)
+  WHERE status = 'running';
+
+-- Punto de partida: lo último que el sync dejó en listings
+INSERT INTO listing_sync_state (listing_id, last_attempt_at, last_success_at, last_error_at, consecutive_failures)
+SELECT
+  listing_id,
+  availability_synced_at,
+  CASE WHEN availability_sync_status = 'ok' THEN availability_synced_at END,
+  CASE WHEN availability_sync_status = 'error' THEN availability_synced_at END,
+  CASE WHEN availability_sync_status = 'error' THEN 1 ELSE 0 END
+FROM listings
+WHERE availability_synced_at IS NOT NULL
+ON CONFLICT (listing_id) DO NOTHING;
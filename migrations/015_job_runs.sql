@@ -0,0 +1,27 @@
+-- 015_job_runs.sql
+-- Historial de corridas de jobs de mantenimiento (src/services/jobRunner.service.js).
+-- La exclusión mutua no vive acá sino en advisory locks de Postgres (uno por lock_key),
+-- tomados por el proceso que corre el job durante toda la corrida.
+
+CREATE TABLE IF NOT EXISTS job_runs (
+  id                   BIGSERIAL PRIMARY KEY,
+  job_name             TEXT NOT NULL,
+  lock_key             TEXT NOT NULL,
+  trigger_source       TEXT NOT NULL CHECK (trigger_source IN ('manual', 'schedule', 'cli')),
+  triggered_by         UUID REFERENCES users(id) ON DELETE SET NULL,
+  status               TEXT NOT NULL DEFAULT 'running'
+                         CHECK (status IN ('running', 'succeeded', 'failed', 'cancelled', 'skipped', 'lost')),
+  exit_code            INTEGER,
+  error                TEXT,
+  output               TEXT NOT NULL DEFAULT '',  -- stdout + stderr, solo el final (ver MAX_OUTPUT_CHARS)
+  host                 TEXT,
+  pid                  INTEGER,                   -- pid del proceso hijo que corre el script
+  started_at           TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  heartbeat_at         TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  finished_at          TIMESTAMPTZ,
+  cancel_requested_at  TIMESTAMPTZ,
+  cancel_requested_by  UUID REFERENCES users(id) ON DELETE SET NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_job_runs_job ON job_runs (job_name, started_at DESC);
+CREATE INDEX IF NOT EXISTS idx_job_runs_running ON job_runs (status) WHERE status = 'running';
@@ -0,0 +1,23 @@
+/**
+ * expireQuotes.js
+ *
+ * Pasa a 'expired' los quotes enviados cuya ventana de validez venció (ver
+ * src/services/quoteExpiry.service.js). Corre cada hora como job "quote-expiry".
+ *
+ * Uso manual:
+ *   node scripts/expireQuotes.js
+ */
+
+import { pool } from "../src/db.js";
+import { expireStaleQuotes } from "../src/services/quoteExpiry.service.js";
+
+expireStaleQuotes()
+  .then(async (count) => {
+    console.log(`✅ Quotes vencidos: ${count}`);
+    await pool.end();
+  })
+  .catch(async (err) => {
+    console.error("❌ Error expiring quotes:", err.message);
+    await pool.end().catch(() => {});
+    process.exit(1);
+  });
@@ -0,0 +1,84 @@
+/**
+ * migrate.js
+ *
+ * Aplica los archivos de migrations/*.sql en orden de nombre (001_, 002_, ...).
+ * Cada archivo corre en su propia transacción y queda registrado en schema_migrations,
+ * así que volver a correr el script solo aplica los que faltan.
+ *
+ * Uso:
+ *   npm run migrate
+ *   node scripts/migrate.js --status   → lista aplicadas / pendientes sin tocar nada
+ */
+
+import fs from "node:fs/promises";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { pool } from "../src/db.js";
+
+const MIGRATIONS_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "../migrations");
+const STATUS_ONLY = process.argv.includes("--status");
+
+async function listMigrationFiles() {
+  const files = await fs.readdir(MIGRATIONS_DIR);
+  return files.filter((f) => f.endsWith(".sql")).sort();
+}
+
+async function appliedMigrations() {
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      filename   TEXT PRIMARY KEY,
+      applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    )
+  `);
+  const { rows } = await pool.query("SELECT filename FROM schema_migrations");
+  return new Set(rows.map((r) => r.filename));
+}
+
+async function applyMigration(filename) {
+  const sql = await fs.readFile(path.join(MIGRATIONS_DIR, filename), "utf8");
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    await client.query(sql);
+    await client.query("INSERT INTO schema_migrations (filename) VALUES ($1)", [filename]);
+    await client.query("COMMIT");
+  } catch (err) {
+    await client.query("ROLLBACK").catch(() => {});
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+async function migrate() {
+  const files = await listMigrationFiles();
+  const applied = await appliedMigrations();
+  const pending = files.filter((f) => !applied.has(f));
+
+  if (STATUS_ONLY) {
+    for (const f of files) console.log(`${applied.has(f) ? "✔" : "·"} ${f}`);
+    console.log(`\n${pending.length} pendiente(s) de ${files.length}.`);
+    return;
+  }
+
+  if (pending.length === 0) {
+    console.log("✅ Base al día, no hay migraciones pendientes.");
+    return;
+  }
+
+  for (const filename of pending) {
+    console.log(`▶️  Aplicando ${filename}...`);
+    await applyMigration(filename);
+  }
+  console.log(`✅ ${pending.length} migración(es) aplicada(s).`);
+}
+
+migrate()
+  .then(async () => {
+    await pool.end();
+  })
+  .catch(async (err) => {
+    console.error("❌ Migración fallida:", err.message);
+    await pool.end().catch(() => {});
+    process.exit(1);
+  });
@@ -0,0 +1,54 @@
+/**
+ * runJob.js
+ *
+ * Corre un job de src/services/jobRegistry.js con lock e historial (job_runs).
+ * Es lo que ejecuta pm2 vía cron_restart (ver ecosystem.config.cjs): si otra corrida
+ * tiene el lock, queda registrada como 'skipped' y sale con 0.
+ *
+ * Uso manual:
+ *   node scripts/runJob.js <job>
+ *   node scripts/runJob.js --list
+ */
+
+import { pool } from "../src/db.js";
+import { JobRunStatus, JobTrigger } from "../src/types.js";
+import { listJobDefinitions } from "../src/services/jobRegistry.js";
+import { startJob, recordSkippedRun, cancelLocalRuns } from "../src/services/jobRunner.service.js";
+
+const name = process.argv[2];
+
+if (!name || name === "--list" || name === "--help") {
+  console.log("Usage: node scripts/runJob.js <job>\n\nJobs:");
+  for (const job of listJobDefinitions()) {
+    console.log(`  ${job.name.padEnd(26)} ${job.description}`);
+  }
+  process.exit(name ? 0 : 1);
+}
+
+// pm2 define pm_id en el entorno de los procesos que maneja
+const trigger = process.env.pm_id !== undefined ? JobTrigger.SCHEDULE : JobTrigger.CLI;
+
+// pm2 stop / Ctrl+C: cortar el hijo y dejar la corrida como 'cancelled'
+for (const signal of ["SIGINT", "SIGTERM"]) {
+  process.on(signal, () => {
+    if (!cancelLocalRuns()) process.exit(1);
+  });
+}
+
+startJob(name, { trigger })
+  .then(({ done }) => done)
+  .then(async (run) => {
+    await pool.end();
+    process.exit(run.status === JobRunStatus.SUCCEEDED ? 0 : 1);
+  })
+  .catch(async (err) => {
+    if (err.code === "JOB_LOCKED") {
+      console.warn(`⚠️  ${err.message}. Salteado.`);
+      await recordSkippedRun(name, { trigger, runningRun: err.runningRun }).catch(() => {});
+      await pool.end();
+      process.exit(0);
+    }
+    console.error(`❌ Job ${name} falló:`, err.message);
+    await pool.end().catch(() => {});
+    process.exit(1);
+  });
@@ -0,0 +1,26 @@
+/**
+ * savedSearchAlerts.js
+ *
+ * Alertas de búsquedas guardadas. Normalmente las dispara syncAvailability.js al
+ * terminar; este script permite correrlas a mano.
+ *
+ * Uso manual:
+ *   node scripts/savedSearchAlerts.js
+ */
+
+import { runSavedSearchAlerts } from "../src/services/savedSearchAlerts.service.js";
+
+const startTime = new Date();
+console.log(`[${startTime.toISOString()}] 🔔 Iniciando alertas de búsquedas guardadas...`);
+
+runSavedSearchAlerts()
+  .then((summary) => {
+    const duration_s = parseFloat(((new Date() - startTime) / 1000).toFixed(1));
+    console.log(`\n[${new Date().toISOString()}] ✅ Alertas finalizadas en ${duration_s}s`);
+    console.log("📋 Resumen:", JSON.stringify(summary, null, 2));
+    process.exit(0);
+  })
+  .catch((err) => {
+    console.error(`\n❌ Alertas de búsquedas guardadas fallaron:`, err.message);
+    process.exit(1);
+  });
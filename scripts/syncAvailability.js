@@ -1,36 +1,37 @@
 import { pool } from "../src/db.js";
 import { fetchBatch, ymd } from "../src/services/availability.service.js";
 import { sendSyncErrorNotification } from "../src/services/discordNotification.service.js";
+import { runSavedSearchAlerts } from "../src/services/savedSearchAlerts.service.js";
+import {
+  AVAILABILITY_RANGE_DAYS,
+  upsertAvailabilityData,
+  recordSyncResult,
+  isSyncRunActive,
+  findResumableRun,
+  startSyncRun,
+  checkpointSyncRun,
+  finishSyncRun,
+  listFailedListingIds,
+} from "../src/services/availabilitySync.service.js";
 
 // ─── Modo de ejecución ────────────────────────────────────────────────────────
-// node scripts/syncAvailability.js          → incremental (cada 4hs)
-// node scripts/syncAvailability.js --full   → full resync (3 AM diario)
+// node scripts/syncAvailability.js                 → incremental (cada 4hs)
+// node scripts/syncAvailability.js --full          → full resync (3 AM diario)
+// node scripts/syncAvailability.js --retry-failed  → solo los listings cuyo último intento falló
+// --fresh: no retomar una corrida interrumpida del mismo modo, arrancar una nueva
 const IS_FULL_SYNC = process.argv.includes("--full");
+const IS_RETRY     = !IS_FULL_SYNC && process.argv.includes("--retry-failed");
+const IS_FRESH     = process.argv.includes("--fresh");
+// Bajo scripts/runJob.js (o POST /admin/jobs) el advisory lock "availability" ya excluye a las otras corridas
+const UNDER_JOB_RUNNER = Boolean(process.env.JOB_RUN_ID);
 
-const BATCH_SIZE = 20;
-const PAUSE_MS   = 3000;
-const RANGE_DAYS = 548; // 1 año y medio (~18 meses)
+const BATCH_SIZE       = 20;
+const RETRY_BATCH_SIZE = 5;   // batches chicos: un listing roto no arrastra a 19 sanos
+const PAUSE_MS         = 3000;
+const RANGE_DAYS       = AVAILABILITY_RANGE_DAYS;
 
 const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
 
-// ─── CA3 (incremental): Lock para evitar ejecuciones simultáneas ──────────────
-// El full sync NO usa lock — tiene prioridad y debe correr siempre.
-async function isAlreadyRunning() {
-  const { rows } = await pool.query(`
-    SELECT id FROM sync_logs
-    WHERE event_type = 'sync_start'
-      AND created_at > NOW() - INTERVAL '60 minutes'
-      AND NOT EXISTS (
-        SELECT 1 FROM sync_logs s2
-        WHERE s2.event_type = 'sync_end'
-          AND s2.created_at > sync_logs.created_at
-      )
-    ORDER BY created_at DESC
-    LIMIT 1
-  `);
-  return rows.length > 0;
-}
-
 // ─── CA4: Logging en sync_logs ────────────────────────────────────────────────
 async function logSyncStart(mode) {
   const { rows } = await pool.query(`
@@ -44,14 +45,14 @@ async function logSyncStart(mode) {
   return rows[0].id;
 }
 
-async function logSyncEnd(startLogId, { mode, total, errors, duration_s, status }) {
+async function logSyncEnd(startLogId, { mode, runId, resumed, total, errors, duration_s, status }) {
   const ok = total - errors;
   await pool.query(`
     INSERT INTO sync_logs (event_type, message, details)
     VALUES ('sync_end', $1, $2)
   `, [
     `Sync ${mode} ${status}: ${ok} OK / ${errors} errores de ${total} propiedades en ${duration_s}s`,
-    JSON.stringify({ start_log_id: startLogId, mode, total, ok, errors, duration_s, status }),
+    JSON.stringify({ start_log_id: startLogId, run_id: runId, resumed, mode, total, ok, errors, duration_s, status }),
   ]);
 }
 
@@ -62,32 +63,100 @@ async function logSyncError(message, errorDetail) {
   `, [message, JSON.stringify({ error: errorDetail })]);
 }
 
+// ─── Un batch: fetch a Guesty + upsert + estado por listing ───────────────────
+// Con `deferred` los fallos no se registran: quedan en el Map (id → error) hasta el reintento,
+// así un listing que falla dos veces en la misma corrida suma un solo consecutive_failures.
+async function syncBatch(listingIds, from, to, runId, deferred = null) {
+  const ok = [];
+  const failed = [];
+
+  const fail = async (listingId, error) => {
+    if (deferred) deferred.set(listingId, error);
+    else await recordSyncResult(listingId, { ok: false, error, runId });
+    failed.push(listingId);
+  };
+
+  let batchData;
+  try {
+    batchData = await fetchBatch(listingIds, from, to);
+  } catch (batchError) {
+    console.error(`❌ Fallo del batch en Guesty:`, batchError.message);
+    for (const id of listingIds) await fail(id, `Batch fetch failed: ${batchError.message}`);
+    return { ok, failed };
+  }
+
+  for (const listingId of listingIds) {
+    const propertyData = batchData.find(
+      (d) => String(d.listingId) === String(listingId),
+    );
+
+    if (propertyData && propertyData.days.length > 0) {
+      try {
+        await upsertAvailabilityData(listingId, propertyData.days);
+        await recordSyncResult(listingId, { ok: true, runId });
+        ok.push(listingId);
+      } catch (error) {
+        console.error(`❌ Error persistiendo listing ${listingId}:`, error.message);
+        await fail(listingId, error.message);
+      }
+    } else {
+      console.warn(`⚠️  Sin datos de Guesty para listing ${listingId}`);
+      await fail(listingId, "No calendar data from Guesty");
+    }
+  }
+
+  return { ok, failed };
+}
+
+/**
+ * Registra los fallos que quedaron diferidos (la corrida se cortó antes de reintentarlos)
+ */
+async function flushDeferredFailures(deferred, runId) {
+  for (const [listingId, error] of deferred) {
+    await recordSyncResult(listingId, { ok: false, error, runId }).catch(() => {});
+  }
+  deferred.clear();
+}
+
+async function selectListingIds() {
+  if (IS_RETRY) return listFailedListingIds();
+
+  // CA1 - Solo propiedades activas (orden fijo: el checkpoint es una posición en esta lista)
+  const { rows } = await pool.query(`
+    SELECT listing_id FROM listings
+    WHERE villanet_enabled = true AND is_listed = true
+    ORDER BY listing_id
+  `);
+  return rows.map((l) => l.listing_id);
+}
+
 // ─── Main ─────────────────────────────────────────────────────────────────────
 async function syncAvailability() {
-  const mode      = IS_FULL_SYNC ? "full" : "incremental";
+  const mode      = IS_FULL_SYNC ? "full" : IS_RETRY ? "retry" : "incremental";
   const startTime = new Date();
 
   console.log(`[${startTime.toISOString()}] 🚀 Iniciando sincronización [${mode.toUpperCase()}]...`);
 
-  // CA3 - Solo el incremental respeta el lock
-  if (!IS_FULL_SYNC) {
-    const running = await isAlreadyRunning();
-    if (running) {
-      console.warn("⚠️  Ya hay una sincronización en progreso. Abortando incremental.");
-      await pool.end();
-      return;
-    }
-  } else {
-    console.log("🔄 Modo FULL: forzando resync completo sin condiciones.");
+  // CA3 - Corriendo como job, la exclusión es el advisory lock (el full espera hasta
+  // waitForLockMin a que termine el incremental). A mano se chequean las corridas con
+  // heartbeat reciente (una muerta no bloquea); el full manual fuerza igual.
+  if (!UNDER_JOB_RUNNER && !IS_FULL_SYNC && await isSyncRunActive()) {
+    console.warn(`⏭️  Salteado: ya hay una sincronización de availability en progreso. No se corre ${mode}.`);
+    await pool.end();
+    return;
   }
+  if (IS_FULL_SYNC) console.log("🔄 Modo FULL: resync completo de todas las propiedades activas.");
 
   const startLogId = await logSyncStart(mode);
+  let run = null;
+  let resumed = false;
   let totalOk = 0;
   let totalError = 0;
   let totalListings = 0;
+  const pendingFailures = new Map();
 
   try {
-    // Limpieza: fechas pasadas + fechas fuera del nuevo rango
+    // Limpieza: fechas pasadas
     console.log("🧹 Limpiando registros obsoletos...");
     const toDate = new Date();
     toDate.setDate(toDate.getDate() + RANGE_DAYS);
@@ -98,143 +167,93 @@ async function syncAvailability() {
     );
     console.log(`🗑️  ${deletedPast} registros pasados eliminados.`);
 
-    // CA1 - Solo propiedades activas
-    const { rows: listings } = await pool.query(`
-      SELECT listing_id FROM listings
-      WHERE villanet_enabled = true AND is_listed = true
-    `);
+    // Retomar una corrida del mismo modo que murió a mitad de camino
+    run = IS_FRESH ? null : await findResumableRun(mode);
+    if (run) {
+      resumed = true;
+      console.log(`⏯️  Retomando corrida #${run.id} desde ${run.checkpoint}/${run.listing_ids.length}`);
+    } else {
+      const listingIds = await selectListingIds();
+      if (listingIds.length === 0) {
+        console.warn(`⚠️ No hay propiedades ${IS_RETRY ? "con errores" : "activas"}. Finalizando.`);
+        await logSyncEnd(startLogId, { mode, runId: null, resumed, total: 0, errors: 0, duration_s: 0, status: "ok" });
+        return;
+      }
+      run = await startSyncRun(mode, listingIds);
+    }
 
-    const listingIds = listings.map((l) => l.listing_id);
+    const listingIds = run.listing_ids;
     totalListings = listingIds.length;
-    console.log(`📊 Total propiedades a sincronizar: ${totalListings}`);
-
-    if (totalListings === 0) {
-      console.warn("⚠️ No hay propiedades activas. Finalizando.");
-      await logSyncEnd(startLogId, { mode, total: 0, errors: 0, duration_s: 0, status: "ok" });
-      return;
-    }
+    totalOk = run.ok_count;
+    totalError = run.error_count;
+    console.log(`📊 Total propiedades a sincronizar: ${totalListings} (corrida #${run.id})`);
 
     const from = ymd(new Date());
     console.log(`📅 Rango: ${from} → ${to}`);
 
-    // Procesamiento en batches
-    for (let i = 0; i < listingIds.length; i += BATCH_SIZE) {
+    // Procesamiento en batches; el checkpoint se guarda al terminar cada uno.
+    // Los fallos se registran recién después del reintento (ver syncBatch).
+    const failedIds = [];
+    for (let i = run.checkpoint; i < listingIds.length; i += BATCH_SIZE) {
       const currentBatchIds = listingIds.slice(i, i + BATCH_SIZE);
       const batchNum    = Math.floor(i / BATCH_SIZE) + 1;
       const totalBatches = Math.ceil(listingIds.length / BATCH_SIZE);
       console.log(`📦 Batch ${batchNum}/${totalBatches} (${currentBatchIds.length} propiedades)...`);
 
-      try {
-        const batchData = await fetchBatch(currentBatchIds, from, to);
-
-        for (const listingId of currentBatchIds) {
-          const propertyData = batchData.find(
-            (d) => String(d.listingId) === String(listingId),
-          );
-
-          if (propertyData && propertyData.days.length > 0) {
-            try {
-              await upsertAvailabilityData(listingId, propertyData.days);
-              await updateSyncStatus(listingId, "ok");
-              totalOk++;
-            } catch (error) {
-              console.error(`❌ Error persistiendo listing ${listingId}:`, error.message);
-              await updateSyncStatus(listingId, "error");
-              totalError++;
-            }
-          } else {
-            console.warn(`⚠️  Sin datos de Guesty para listing ${listingId}`);
-            await updateSyncStatus(listingId, "error");
-            totalError++;
-          }
-        }
-      } catch (batchError) {
-        console.error(`❌ Fallo crítico en batch ${batchNum}:`, batchError.message);
-        for (const id of currentBatchIds) {
-          await updateSyncStatus(id, "error");
-          totalError++;
-        }
-      }
+      const result = await syncBatch(currentBatchIds, from, to, run.id, pendingFailures);
+      totalOk += result.ok.length;
+      totalError += result.failed.length;
+      failedIds.push(...result.failed);
+
+      await checkpointSyncRun(run.id, { checkpoint: i + currentBatchIds.length, ok: totalOk, errors: totalError });
 
       if (i + BATCH_SIZE < listingIds.length) await sleep(PAUSE_MS);
     }
 
+    // Reintento dirigido: solo los que fallaron en esta pasada, en batches chicos
+    if (failedIds.length > 0) {
+      console.log(`🔁 Reintentando ${failedIds.length} propiedades con error...`);
+      for (let i = 0; i < failedIds.length; i += RETRY_BATCH_SIZE) {
+        await sleep(PAUSE_MS);
+        const retryIds = failedIds.slice(i, i + RETRY_BATCH_SIZE);
+        const result = await syncBatch(retryIds, from, to, run.id);
+        for (const id of retryIds) pendingFailures.delete(id);
+        totalOk += result.ok.length;
+        totalError -= result.ok.length;
+        await checkpointSyncRun(run.id, { checkpoint: listingIds.length, ok: totalOk, errors: totalError });
+      }
+    }
+
     const duration_s = parseFloat(((new Date() - startTime) / 1000).toFixed(1));
     const status = totalError === 0 ? "ok" : totalOk === 0 ? "failed" : "partial";
 
-    await logSyncEnd(startLogId, { mode, total: totalListings, errors: totalError, duration_s, status });
+    await finishSyncRun(run.id, { status, ok: totalOk, errors: totalError });
+    await logSyncEnd(startLogId, { mode, runId: run.id, resumed, total: totalListings, errors: totalError, duration_s, status });
 
     console.log(`\n[${new Date().toISOString()}] ✅ Sincronización [${mode}] finalizada en ${duration_s}s`);
     console.log(`   ✔ OK: ${totalOk} | ✖ Error: ${totalError} | Total: ${totalListings}`);
 
     // CA4 - Alerta Discord si falló todo
     if (status === "failed") {
+      process.exitCode = 1;
       await sendSyncErrorNotification({ mode, status, total: totalListings, errors: totalError, duration_s, message: "Ninguna propiedad pudo sincronizarse." });
+    } else if (!IS_RETRY) {
+      // Búsquedas guardadas contra la availability recién sincronizada (un fallo acá no marca el sync como fallido)
+      await runSavedSearchAlerts().catch((err) => console.error("❌ Error en alertas de búsquedas guardadas:", err.message));
     }
 
   } catch (err) {
+    // La corrida queda 'running' con su último checkpoint: la próxima del mismo modo la retoma
     const duration_s = parseFloat(((new Date() - startTime) / 1000).toFixed(1));
     console.error("🛑 Error fatal:", err);
+    process.exitCode = 1;
+    await flushDeferredFailures(pendingFailures, run?.id ?? null);
     await logSyncError(err.message, err.stack);
-    await logSyncEnd(startLogId, { mode, total: totalListings, errors: totalListings || 1, duration_s, status: "failed" });
+    await logSyncEnd(startLogId, { mode, runId: run?.id ?? null, resumed, total: totalListings, errors: totalListings || 1, duration_s, status: "failed" });
     await sendSyncErrorNotification({ mode, status: "failed", total: totalListings, errors: totalListings, duration_s, message: err.message });
   } finally {
     await pool.end();
   }
 }
 
-// ─── UPSERT ───────────────────────────────────────────────────────────────────
-/**
- * NOTA sobre cta/ctd: Guesty usa convención "Closed To Arrival/Departure".
- *   cta: false → check-in PERMITIDO  ✅
- *   cta: true  → check-in BLOQUEADO  ❌
- * Se almacena tal cual. Al consultar filtrar con: WHERE cta = false AND ctd = false
- */
-async function upsertAvailabilityData(listingId, days) {
-  const values = [];
-  const params = [];
-  let counter = 1;
-
-  for (const d of days) {
-    const offset = counter;
-    values.push(
-      `($${offset}, $${offset + 1}, $${offset + 2}, $${offset + 3}, $${offset + 4}, $${offset + 5}, $${offset + 6}, NOW())`,
-    );
-    params.push(
-      listingId,
-      d.date,
-      d.status === "available",
-      d.price ?? null,
-      d.minStay || 1,
-      d.cta,
-      d.ctd,
-    );
-    counter += 7;
-  }
-
-  return pool.query(`
-    INSERT INTO listing_availability
-      (listing_id, date, available, price_usd, min_nights, cta, ctd, synced_at)
-    VALUES ${values.join(",")}
-    ON CONFLICT (listing_id, date)
-    DO UPDATE SET
-      available  = EXCLUDED.available,
-      price_usd  = EXCLUDED.price_usd,
-      min_nights = EXCLUDED.min_nights,
-      cta        = EXCLUDED.cta,
-      ctd        = EXCLUDED.ctd,
-      synced_at  = EXCLUDED.synced_at;
-  `, params);
-}
-
-async function updateSyncStatus(listingId, status) {
-  return pool.query(
-    `UPDATE listings
-     SET availability_synced_at = NOW(),
-         availability_sync_status = $1
-     WHERE listing_id = $2`,
-    [status, listingId],
-  );
-}
-
-syncAvailability();
\ No newline at end of file
+syncAvailability();
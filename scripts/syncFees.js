@@ -247,6 +247,7 @@ async function syncFees() {
     console.log(`   ✔ OK: ${totalOk} | ✖ Error: ${totalError} | ⚠ Sin fees: ${totalSkip} | Total: ${total}`);
 
     if (status === "failed") {
+      process.exitCode = 1;
       await sendSyncErrorNotification({
         mode, status, total, errors: totalError, duration_s,
         message: "syncFees: Ninguna propiedad pudo sincronizarse.",
@@ -256,6 +257,7 @@ async function syncFees() {
   } catch (err) {
     const duration_s = parseFloat(((new Date() - startTime) / 1000).toFixed(1));
     console.error("🛑 Error fatal en syncFees:", err);
+    process.exitCode = 1;
     await logEvent("sync_error", err.message, { error: err.stack });
     await sendSyncErrorNotification({
       mode, status: "failed", total: 0, errors: 1, duration_s,
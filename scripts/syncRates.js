@@ -0,0 +1,28 @@
+/**
+ * syncRates.js
+ *
+ * Precio base en USD de cada listing desde Guesty (ver src/services/ratesSync.service.js).
+ * Registrado como job "rates-sync" (src/services/jobRegistry.js).
+ *
+ * Uso manual:
+ *   node scripts/syncRates.js
+ */
+
+import { pool } from "../src/db.js";
+import { syncAllListingRates } from "../src/services/ratesSync.service.js";
+
+const startTime = new Date();
+console.log(`[${startTime.toISOString()}] 💱 Iniciando sync de rates...`);
+
+syncAllListingRates()
+  .then(async () => {
+    const duration_s = parseFloat(((new Date() - startTime) / 1000).toFixed(1));
+    console.log(`\n[${new Date().toISOString()}] ✅ Sync de rates finalizado en ${duration_s}s`);
+    await pool.end();
+    process.exit(0);
+  })
+  .catch(async (err) => {
+    console.error(`\n❌ Sync de rates falló:`, err.message);
+    await pool.end().catch(() => {});
+    process.exit(1);
+  });
@@ -0,0 +1,39 @@
+/**
+ * sync_listings.mjs
+ *
+ * Sync del catálogo de Guesty → listings (ver src/services/catalogSync.service.js).
+ * Ejecutado por pm2 vía cron_restart; el resumen queda en sync_logs (catalog_sync_end).
+ *
+ * Uso manual:
+ *   npm run sync:listings
+ *   node scripts/sync_listings.mjs --dry-run   → corre todo y hace ROLLBACK
+ */
+
+import { pool } from "../src/db.js";
+import { runCatalogSync } from "../src/services/catalogSync.service.js";
+
+const IS_DRY_RUN = process.argv.includes("--dry-run");
+// Bajo scripts/runJob.js el advisory lock "catalog" ya excluye a otra corrida
+const UNDER_JOB_RUNNER = Boolean(process.env.JOB_RUN_ID);
+
+const startTime = new Date();
+console.log(`[${startTime.toISOString()}] 🗂️  Iniciando sync de catálogo${IS_DRY_RUN ? " (dry-run)" : ""}...`);
+
+runCatalogSync({ dryRun: IS_DRY_RUN, checkRunning: !UNDER_JOB_RUNNER })
+  .then(async (summary) => {
+    if (summary.status === "skipped") {
+      console.warn(`⏭️  Salteado: ya hay un sync de catálogo en progreso (${summary.reason}).`);
+      await pool.end();
+      process.exit(0);
+    }
+    const duration_s = parseFloat(((new Date() - startTime) / 1000).toFixed(1));
+    console.log(`\n[${new Date().toISOString()}] ✅ Sync de catálogo finalizado en ${duration_s}s`);
+    console.log("📋 Resumen:", JSON.stringify(summary, null, 2));
+    await pool.end();
+    process.exit(0);
+  })
+  .catch(async (err) => {
+    console.error(`\n❌ Sync de catálogo falló:`, err.message);
+    await pool.end().catch(() => {});
+    process.exit(1);
+  });
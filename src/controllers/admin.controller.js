@@ -1,34 +1,341 @@
 import { pool } from '../db.js';
+import { Roles, Status, AdminAuditAction } from '../types.js';
+import { AdminAuditLog } from '../models/AdminAuditLog.js';
+import { PmcAccess } from '../models/PmcAccess.js';
+import { invalidateUserAccess } from '../services/userAccess.service.js';
+import { endAllSessions } from '../services/session.service.js';
+
+const USER_COLUMNS = `id,email,full_name,role,status,trial_expires_at,created_at,updated_at`;
+
+const SORTS = {
+  created: 'created_at DESC',
+  created_asc: 'created_at ASC',
+  email: 'email ASC',
+  trial: 'trial_expires_at ASC NULLS LAST',
+};
+
+function isUuid(s) {
+  return /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(String(s));
+}
+
+function parsePaging(query, defaultLimit = 50) {
+  const page = Math.max(1, parseInt(query.page) || 1);
+  const limit = Math.min(200, Math.max(1, parseInt(query.limit) || defaultLimit));
+  return { page, limit, offset: (page - 1) * limit };
+}
+
+/**
+ * Cambia un campo (role/status) de un usuario y lo registra en admin_audit_log
+ * en la misma transacción. Un admin no puede cambiarse el rol ni suspenderse a sí mismo.
+ * onlyFrom: valor (o lista de valores) desde el que se permite el cambio; si no, 409.
+ */
+async function changeUser(req, res, { field, value, action, onlyFrom = null }) {
+  const { userId } = req.params;
+  if (!isUuid(userId)) return res.status(404).json({ message: 'User not found' });
+
+  if (userId === req.user.sub) {
+    return res.status(400).json({ message: 'You cannot change your own role or status' });
+  }
+
+  const reason = req.body?.reason?.toString().trim().slice(0, 1000) || null;
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const current = await client.query(
+      `SELECT ${USER_COLUMNS} FROM users WHERE id=$1 FOR UPDATE`,
+      [userId]
+    );
+    if (!current.rows.length) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const previous = current.rows[0][field];
+    const allowedFrom = onlyFrom ? [].concat(onlyFrom) : null;
+    if (allowedFrom && !allowedFrom.includes(previous) && previous !== value) {
+      await client.query('ROLLBACK');
+      const expected = allowedFrom.map((v) => `'${v}'`).join(' or ');
+      return res.status(409).json({ message: `User ${field} is '${previous}', expected ${expected}` });
+    }
+    if (previous === value) {
+      await client.query('ROLLBACK');
+      return res.json({ ok: true, changed: false, user: current.rows[0] });
+    }
+
+    const { rows } = await client.query(
+      `UPDATE users SET ${field}=$1, updated_at=now() WHERE id=$2 RETURNING ${USER_COLUMNS}`,
+      [value, userId]
+    );
+
+    // Suspender corta también las sesiones abiertas
+    if (field === 'status' && value === Status.SUSPENDED) {
+      await endAllSessions(userId, 'suspended', client);
+    }
+
+    await AdminAuditLog.record({
+      actorUserId: req.user.sub,
+      targetUserId: userId,
+      action,
+      oldValue: previous,
+      newValue: value,
+      reason,
+      ip: req.ip,
+      userAgent: req.headers['user-agent'],
+    }, client);
+
+    await client.query('COMMIT');
+    invalidateUserAccess(userId);
+    res.json({ ok: true, changed: true, user: rows[0] });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error(`❌ Error changing user ${field}:`, err);
+    res.status(500).json({ message: 'Failed to update user' });
+  } finally {
+    client.release();
+  }
+}
 
 export const AdminController = {
-  async listUsers(_req, res) {
-    const { rows } = await pool.query(`
-      SELECT id,email,full_name,role,status,trial_expires_at,created_at
-      FROM users
-      ORDER BY created_at DESC
-    `);
-    res.json({ results: rows });
+  /**
+   * GET /admin/users
+   * Query params:
+   *   - role: admin | ta | pmc
+   *   - status: pending | approved | rejected | suspended (o varios separados por coma)
+   *   - trial: active | expired | none
+   *   - trialExpiresBefore / trialExpiresAfter: fecha ISO
+   *   - search: email o nombre
+   *   - sort: created (default) | created_asc | email | trial
+   *   - page (default: 1), limit (default: 50, max: 200)
+   */
+  async listUsers(req, res) {
+    const { role, status, trial, trialExpiresBefore, trialExpiresAfter, search, sort = 'created' } = req.query;
+    const { page, limit, offset } = parsePaging(req.query);
+
+    const params = [];
+    const clauses = [];
+
+    if (role) {
+      if (!Object.values(Roles).includes(role)) {
+        return res.status(400).json({ message: 'Invalid role' });
+      }
+      params.push(role);
+      clauses.push(`role = $${params.length}`);
+    }
+
+    if (status) {
+      const statuses = String(status).split(',').map((s) => s.trim()).filter(Boolean);
+      if (statuses.some((s) => !Object.values(Status).includes(s))) {
+        return res.status(400).json({ message: 'Invalid status' });
+      }
+      params.push(statuses);
+      clauses.push(`status = ANY($${params.length}::text[])`);
+    }
+
+    if (trial === 'active') clauses.push(`trial_expires_at > now()`);
+    else if (trial === 'expired') clauses.push(`trial_expires_at <= now()`);
+    else if (trial === 'none') clauses.push(`trial_expires_at IS NULL`);
+    else if (trial) return res.status(400).json({ message: 'Invalid trial filter' });
+
+    for (const [value, op] of [[trialExpiresBefore, '<'], [trialExpiresAfter, '>']]) {
+      if (!value) continue;
+      if (Number.isNaN(Date.parse(value))) {
+        return res.status(400).json({ message: 'Invalid trial expiry date' });
+      }
+      params.push(value);
+      clauses.push(`trial_expires_at ${op} $${params.length}::timestamptz`);
+    }
+
+    const term = String(search || '').trim();
+    if (term) {
+      params.push(`%${term}%`);
+      clauses.push(`(email ILIKE $${params.length} OR full_name ILIKE $${params.length})`);
+    }
+
+    const where = clauses.length ? `WHERE ${clauses.join(' AND ')}` : '';
+    const orderBy = SORTS[sort] || SORTS.created;
+
+    try {
+      const [data, count] = await Promise.all([
+        pool.query(
+          `SELECT ${USER_COLUMNS}
+           FROM users
+           ${where}
+           ORDER BY ${orderBy}
+           LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+          [...params, limit, offset]
+        ),
+        pool.query(`SELECT COUNT(*)::int AS total FROM users ${where}`, params),
+      ]);
+
+      const total = count.rows[0].total;
+      res.json({
+        results: data.rows,
+        total,
+        page,
+        limit,
+        totalPages: Math.ceil(total / limit),
+      });
+    } catch (err) {
+      console.error('❌ Error listing users:', err);
+      res.status(500).json({ message: 'Failed to list users' });
+    }
   },
 
   async setRole(req, res) {
-    const { userId } = req.params;
     const { role } = req.body || {};
-    if (!['admin','ta','pmc'].includes(role)) {
+    if (!Object.values(Roles).includes(role)) {
       return res.status(400).json({ message: 'Invalid role' });
     }
-    await pool.query(`UPDATE users SET role=$1, updated_at=now() WHERE id=$2`, [role, userId]);
-    res.json({ ok: true });
+    return changeUser(req, res, { field: 'role', value: role, action: AdminAuditAction.ROLE_CHANGED });
   },
 
+  // Solo altas pendientes o rechazadas: un suspendido vuelve con reactivate
   async approve(req, res) {
-    const { userId } = req.params;
-    await pool.query(`UPDATE users SET status='approved', updated_at=now() WHERE id=$1`, [userId]);
-    res.json({ ok: true });
+    return changeUser(req, res, {
+      field: 'status',
+      value: Status.APPROVED,
+      action: AdminAuditAction.STATUS_CHANGED,
+      onlyFrom: [Status.PENDING, Status.REJECTED],
+    });
   },
 
   async reject(req, res) {
+    return changeUser(req, res, { field: 'status', value: Status.REJECTED, action: AdminAuditAction.STATUS_CHANGED });
+  },
+
+  async suspend(req, res) {
+    return changeUser(req, res, { field: 'status', value: Status.SUSPENDED, action: AdminAuditAction.STATUS_CHANGED });
+  },
+
+  // Levanta la suspensión: el usuario vuelve a 'approved'
+  async reactivate(req, res) {
+    return changeUser(req, res, {
+      field: 'status',
+      value: Status.APPROVED,
+      action: AdminAuditAction.STATUS_CHANGED,
+      onlyFrom: Status.SUSPENDED,
+    });
+  },
+
+  /**
+   * GET /admin/users/:userId/property-managers
+   * Property managers (listing_property_managers) vinculados al usuario PMC
+   */
+  async listPropertyManagers(req, res) {
     const { userId } = req.params;
-    await pool.query(`UPDATE users SET status='rejected', updated_at=now() WHERE id=$1`, [userId]);
-    res.json({ ok: true });
+    if (!isUuid(userId)) return res.status(404).json({ message: 'User not found' });
+
+    try {
+      const results = await PmcAccess.managersForUser(userId);
+      res.json({ results });
+    } catch (err) {
+      console.error('❌ Error listing user property managers:', err);
+      res.status(500).json({ message: 'Failed to load property managers' });
+    }
+  },
+
+  /**
+   * POST /admin/users/:userId/property-managers   body: { propertyManagerId, reason? }
+   * Vincula un usuario PMC a un property manager: pasa a ver/editar sus listings.
+   */
+  async linkPropertyManager(req, res) {
+    const { userId } = req.params;
+    const propertyManagerId = parseInt(req.body?.propertyManagerId);
+    if (!isUuid(userId)) return res.status(404).json({ message: 'User not found' });
+    if (!Number.isInteger(propertyManagerId)) {
+      return res.status(400).json({ message: 'propertyManagerId is required' });
+    }
+
+    try {
+      const [user, manager] = await Promise.all([
+        pool.query(`SELECT id, role FROM users WHERE id=$1`, [userId]),
+        PmcAccess.findPropertyManager(propertyManagerId),
+      ]);
+      if (!user.rows.length) return res.status(404).json({ message: 'User not found' });
+      if (!manager) return res.status(404).json({ message: 'Property manager not found' });
+      if (user.rows[0].role !== Roles.PMC) {
+        return res.status(400).json({ message: 'Only PMC users can be linked to a property manager' });
+      }
+
+      const linked = await PmcAccess.linkUser(userId, propertyManagerId, req.user.sub);
+      if (linked) {
+        await AdminAuditLog.record({
+          actorUserId: req.user.sub,
+          targetUserId: userId,
+          action: AdminAuditAction.PMC_LINKED,
+          newValue: String(propertyManagerId),
+          reason: req.body?.reason?.toString().trim().slice(0, 1000) || null,
+          ip: req.ip,
+          userAgent: req.headers['user-agent'],
+        });
+      }
+
+      res.status(linked ? 201 : 200).json({ ok: true, changed: linked, propertyManager: manager });
+    } catch (err) {
+      console.error('❌ Error linking property manager:', err);
+      res.status(500).json({ message: 'Failed to link property manager' });
+    }
+  },
+
+  /**
+   * DELETE /admin/users/:userId/property-managers/:propertyManagerId
+   */
+  async unlinkPropertyManager(req, res) {
+    const { userId } = req.params;
+    const propertyManagerId = parseInt(req.params.propertyManagerId);
+    if (!isUuid(userId) || !Number.isInteger(propertyManagerId)) {
+      return res.status(404).json({ message: 'Link not found' });
+    }
+
+    try {
+      const removed = await PmcAccess.unlinkUser(userId, propertyManagerId);
+      if (!removed) return res.status(404).json({ message: 'Link not found' });
+
+      await AdminAuditLog.record({
+        actorUserId: req.user.sub,
+        targetUserId: userId,
+        action: AdminAuditAction.PMC_UNLINKED,
+        oldValue: String(propertyManagerId),
+        reason: req.body?.reason?.toString().trim().slice(0, 1000) || null,
+        ip: req.ip,
+        userAgent: req.headers['user-agent'],
+      });
+
+      res.json({ ok: true });
+    } catch (err) {
+      console.error('❌ Error unlinking property manager:', err);
+      res.status(500).json({ message: 'Failed to unlink property manager' });
+    }
+  },
+
+  /**
+   * GET /admin/audit-log
+   * GET /admin/users/:userId/audit-log
+   * Query params: actorUserId, action, page, limit
+   */
+  async auditLog(req, res) {
+    const targetUserId = req.params.userId || req.query.targetUserId || null;
+    const { actorUserId, action } = req.query;
+
+    if ((targetUserId && !isUuid(targetUserId)) || (actorUserId && !isUuid(actorUserId))) {
+      return res.status(400).json({ message: 'Invalid user id' });
+    }
+
+    const { page, limit, offset } = parsePaging(req.query);
+
+    try {
+      const { rows, total } = await AdminAuditLog.list({ targetUserId, actorUserId, action, limit, offset });
+      res.json({
+        results: rows,
+        total,
+        page,
+        limit,
+        totalPages: Math.ceil(total / limit),
+      });
+    } catch (err) {
+      console.error('❌ Error loading admin audit log:', err);
+      res.status(500).json({ message: 'Failed to load audit log' });
+    }
   }
 };
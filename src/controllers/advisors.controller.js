@@ -1,29 +1,8 @@
 import { Advisor } from '../models/Advisor.js';
 import { pool } from '../db.js';
 import bcrypt from 'bcryptjs';
-import jwt from 'jsonwebtoken';
-
-const REFRESH_TTL_DAYS = Number(process.env.REFRESH_TTL_DAYS || 7);
-const ACCESS_TTL_MIN   = Number(process.env.ACCESS_TTL_MIN  || 15);
-
-// ✅ Usar las mismas funciones de firma que auth_controller para que /auth/me acepte el token
-function signAccess(payload) {
-  return jwt.sign(payload, process.env.JWT_ACCESS_SECRET, { expiresIn: `${ACCESS_TTL_MIN}m` });
-}
-
-function signRefresh(userId) {
-  return jwt.sign({ sub: userId }, process.env.JWT_REFRESH_SECRET, { expiresIn: `${REFRESH_TTL_DAYS}d` });
-}
-
-function setRefreshCookie(res, token) {
-  res.cookie('refresh_token', token, {
-    httpOnly: true,
-    secure: true,
-    sameSite: 'none',
-    path: '/auth/refresh',
-    maxAge: REFRESH_TTL_DAYS * 24 * 3600 * 1000,
-  });
-}
+import { invalidateUserAccess } from '../services/userAccess.service.js';
+import { startSession } from '../services/session.service.js';
 
 export const advisorsController = {
   async signup(req, res) {
@@ -100,17 +79,26 @@ export const advisorsController = {
            ON CONFLICT (email) DO UPDATE
              SET full_name     = EXCLUDED.full_name,
                  role          = 'ta',
-                 status        = 'approved',
+                 status        = CASE WHEN users.status = 'suspended' THEN users.status ELSE 'approved' END,
                  password_hash = EXCLUDED.password_hash
            RETURNING id, email, role, status, full_name, trial_expires_at`,
           [normalizedEmail, full_name, password_hash]
         );
         user = userRows[0];
 
+        // Un usuario suspendido no puede reactivarse registrándose de nuevo
+        if (user.status === 'suspended') {
+          const suspendedErr = new Error('Account suspended');
+          suspendedErr.code = 'ACCOUNT_SUSPENDED';
+          throw suspendedErr;
+        }
+
         // 3. ✅ Opcional: guardar la referencia cruzada si la tabla advisors tiene columna user_id
         // await client.query(`UPDATE advisors SET user_id = $1 WHERE id = $2`, [user.id, newAdvisor.id]);
 
         await client.query('COMMIT');
+        // El user pudo existir antes con otro rol/estado
+        invalidateUserAccess(user.id);
       } catch (err) {
         await client.query('ROLLBACK');
         throw err;
@@ -118,19 +106,8 @@ export const advisorsController = {
         client.release();
       }
 
-      // 4. ✅ Firmar con JWT_ACCESS_SECRET (igual que auth_controller) para que /auth/me lo acepte
-      const accessToken  = signAccess({ sub: user.id, role: user.role, status: user.status });
-      const refreshToken = signRefresh(user.id);
-
-      // 5. Persistir refresh token
-      await pool.query(
-        `INSERT INTO refresh_tokens (user_id, token, expires_at)
-         VALUES ($1, $2, CURRENT_TIMESTAMP + interval '${REFRESH_TTL_DAYS} days')`,
-        [user.id, refreshToken]
-      );
-
-      // 6. Setear refresh token como cookie httpOnly (igual que el resto del auth)
-      setRefreshCookie(res, refreshToken);
+      // 4. ✅ Abrir sesión igual que auth_controller (access token + refresh rotativo en cookie)
+      const accessToken = await startSession(res, user, req);
 
       res.status(201).json({
         success: true,
@@ -149,6 +126,14 @@ export const advisorsController = {
     } catch (error) {
       console.error('Advisor signup error:', error);
 
+      if (error.code === 'ACCOUNT_SUSPENDED') {
+        return res.status(403).json({
+          success: false,
+          message: 'Account suspended',
+          code: 'ACCOUNT_SUSPENDED'
+        });
+      }
+
       if (error.code === '23505') {
         return res.status(409).json({
           success: false,
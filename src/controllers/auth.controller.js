@@ -1,14 +1,23 @@
 import { pool } from '../db.js';
 import bcrypt from 'bcryptjs';
-import jwt from 'jsonwebtoken';
 import nodemailer from 'nodemailer';
 import crypto from 'crypto';
-import { Roles, Status } from '../types.js';
+import { Roles, Status, AuthErrorCode } from '../types.js';
+import { evaluateAccess, trialInfo, getUserAccess } from '../services/userAccess.service.js';
+import {
+  signAccess,
+  startSession,
+  rotateSession,
+  endSession,
+  endAllSessions,
+  endSessionById,
+  listActiveSessions,
+  readRefreshCookie,
+  setRefreshCookie,
+  clearRefreshCookie,
+} from '../services/session.service.js';
 import { sendAccessNotification, notifySafely } from '../services/discordNotification.service.js'
 
-const ACCESS_TTL_MIN = Number(process.env.ACCESS_TTL_MIN || 15);
-const REFRESH_TTL_DAYS = Number(process.env.REFRESH_TTL_DAYS || 7);
-
 // Configurar transporter de email
 const transporter = nodemailer.createTransport({
   host: process.env.SMTP_HOST,
@@ -51,24 +60,6 @@ function verifyHashedCode(plainCode, hashedCode) {
   }
 }
 
-function signAccess(payload) {
-  return jwt.sign(payload, process.env.JWT_ACCESS_SECRET, { expiresIn: `${ACCESS_TTL_MIN}m` });
-}
-
-function signRefresh(userId) {
-  return jwt.sign({ sub: userId }, process.env.JWT_REFRESH_SECRET, { expiresIn: `${REFRESH_TTL_DAYS}d` });
-}
-
-function setRefreshCookie(res, token) {
-  res.cookie('refresh_token', token, {
-    httpOnly: true,
-    secure: true,
-    sameSite: 'none',
-    path: '/auth/refresh',
-    maxAge: REFRESH_TTL_DAYS * 24 * 3600 * 1000,
-  });
-}
-
 // Generar código de 6 dígitos
 function generateCode() {
   return Math.floor(100000 + Math.random() * 900000).toString();
@@ -307,9 +298,13 @@ export const AuthController = {
         user = userRows[0];
         console.log(`👤 Existing user found: ${user.id}`);
 
+        if (user.status === Status.SUSPENDED) {
+          return res.status(403).json({ message: 'Account suspended', code: AuthErrorCode.ACCOUNT_SUSPENDED });
+        }
+
         if (user.status === Status.PENDING && user.trial_expires_at && new Date(user.trial_expires_at) < new Date()) {
           console.log('⏰ Trial period expired');
-          return res.status(403).json({ message: 'Trial expired. Await admin approval.' });
+          return res.status(403).json({ message: 'Trial expired. Await admin approval.', code: AuthErrorCode.TRIAL_EXPIRED });
         }
       } else {
         if (!full_name) {
@@ -328,16 +323,7 @@ export const AuthController = {
         console.log(`✅ New user created: ${user.id}`);
       }
 
-      const accessToken = signAccess({ sub: user.id, role: user.role, status: user.status });
-      const refreshToken = signRefresh(user.id);
-      
-      await pool.query(
-        `INSERT INTO refresh_tokens (user_id, token, expires_at) 
-         VALUES ($1, $2, CURRENT_TIMESTAMP + interval '${REFRESH_TTL_DAYS} days')`,
-        [user.id, refreshToken]
-      );
-      
-      setRefreshCookie(res, refreshToken);
+      const accessToken = await startSession(res, user, req);
 
       const ip = req.ip;
       const ua = req.headers['user-agent'];
@@ -385,13 +371,7 @@ export const AuthController = {
     if (!rows.length) return res.status(409).json({ message: 'Email already exists' });
 
     const u = rows[0];
-    const accessToken = signAccess({ sub: u.id, role: u.role, status: Status.PENDING });
-    const refreshToken = signRefresh(u.id);
-    await pool.query(
-      `INSERT INTO refresh_tokens (user_id, token, expires_at) VALUES ($1,$2, CURRENT_TIMESTAMP + interval '${REFRESH_TTL_DAYS} days')`,
-      [u.id, refreshToken]
-    );
-    setRefreshCookie(res, refreshToken);
+    const accessToken = await startSession(res, { ...u, status: Status.PENDING }, req);
     res.status(201).json({ accessToken, user: u });
   },
 
@@ -418,17 +398,15 @@ export const AuthController = {
 
     if (!ok) return res.status(401).json({ message: 'Invalid credentials' });
 
+    if (user.status === Status.SUSPENDED) {
+      return res.status(403).json({ message: 'Account suspended', code: AuthErrorCode.ACCOUNT_SUSPENDED });
+    }
+
     if (user.status === Status.PENDING && user.trial_expires_at && new Date(user.trial_expires_at) < new Date()) {
-      return res.status(403).json({ message: 'Trial expired. Await admin approval.' });
+      return res.status(403).json({ message: 'Trial expired. Await admin approval.', code: AuthErrorCode.TRIAL_EXPIRED });
     }
 
-    const accessToken = signAccess({ sub: user.id, role: user.role, status: user.status });
-    const refreshToken = signRefresh(user.id);
-    await pool.query(
-      `INSERT INTO refresh_tokens (user_id, token, expires_at) VALUES ($1,$2, CURRENT_TIMESTAMP + interval '${REFRESH_TTL_DAYS} days')`,
-      [user.id, refreshToken]
-    );
-    setRefreshCookie(res, refreshToken);
+    const accessToken = await startSession(res, user, req);
 
     res.json({
       accessToken,
@@ -437,35 +415,86 @@ export const AuthController = {
   },
 
   async refresh(req, res) {
-    const token = req.cookies?.refresh_token;
-    if (!token) return res.status(401).json({ message: 'No refresh' });
-
-    const { rows } = await pool.query(`
-      SELECT r.*, u.role, u.status FROM refresh_tokens r
-      JOIN users u ON u.id=r.user_id
-      WHERE r.token=$1 AND r.revoked=false AND r.expires_at>CURRENT_TIMESTAMP`, [token]);
+    try {
+      const token = readRefreshCookie(req);
+      if (!token) return res.status(401).json({ message: 'No refresh' });
+
+      const result = await rotateSession(token, req);
+      if (result.error) {
+        // 'superseded': otro request ya rotó este token hace instantes; el cookie nuevo ya está en el browser
+        if (result.error !== 'superseded') clearRefreshCookie(res);
+        return res.status(401).json({
+          message: 'Refresh invalid',
+          code: result.error === 'reused' ? 'REFRESH_REUSED' : 'REFRESH_INVALID',
+        });
+      }
 
-    if (!rows.length) return res.status(401).json({ message: 'Refresh invalid' });
+      const user = await getUserAccess(result.userId);
+      if (!user) {
+        clearRefreshCookie(res);
+        return res.status(401).json({ message: 'Refresh invalid', code: 'REFRESH_INVALID' });
+      }
+      if (user.status === Status.SUSPENDED) {
+        await endAllSessions(user.id, 'suspended');
+        clearRefreshCookie(res);
+        return res.status(403).json({ message: 'Account suspended', code: AuthErrorCode.ACCOUNT_SUSPENDED });
+      }
 
-    try {
-      jwt.verify(token, process.env.JWT_REFRESH_SECRET);
-      const accessToken = signAccess({ sub: rows[0].user_id, role: rows[0].role, status: rows[0].status });
+      setRefreshCookie(res, result.token);
+      const accessToken = signAccess({ sub: user.id, role: user.role, status: user.status });
       return res.json({ accessToken });
-    } catch {
-      return res.status(401).json({ message: 'Refresh invalid' });
+    } catch (err) {
+      console.error('❌ Error refreshing session:', err);
+      res.status(500).json({ message: 'Refresh failed' });
     }
   },
 
   async logout(req, res) {
-    const token = req.cookies?.refresh_token;
-    if (token) await pool.query(`UPDATE refresh_tokens SET revoked=true WHERE token=$1`, [token]);
-    res.clearCookie('refresh_token', {
-      httpOnly: true,
-      secure: true,
-      sameSite: 'none',
-      path: '/auth/refresh'
-    });
-    res.json({ ok: true });
+    try {
+      await endSession(readRefreshCookie(req));
+      clearRefreshCookie(res);
+      res.json({ ok: true });
+    } catch (err) {
+      console.error('❌ Error logging out:', err);
+      res.status(500).json({ message: 'Logout failed' });
+    }
+  },
+
+  // Cierra todas las sesiones del usuario (todos los dispositivos)
+  async logoutAll(req, res) {
+    try {
+      const revoked = await endAllSessions(req.user.sub, 'logout_all');
+      clearRefreshCookie(res);
+      res.json({ ok: true, revoked });
+    } catch (err) {
+      console.error('❌ Error logging out everywhere:', err);
+      res.status(500).json({ message: 'Logout failed' });
+    }
+  },
+
+  // Sesiones activas del usuario con dispositivo/IP; `current` = la de este browser
+  async sessions(req, res) {
+    try {
+      const results = await listActiveSessions(req.user.sub, readRefreshCookie(req));
+      res.json({ results });
+    } catch (err) {
+      console.error('❌ Error listing sessions:', err);
+      res.status(500).json({ message: 'Failed to load sessions' });
+    }
+  },
+
+  async revokeSession(req, res) {
+    try {
+      const { sessionId } = req.params;
+      if (!/^[0-9a-f-]{36}$/i.test(sessionId)) return res.status(404).json({ message: 'Session not found' });
+
+      const ok = await endSessionById(req.user.sub, sessionId);
+      if (!ok) return res.status(404).json({ message: 'Session not found' });
+      res.json({ ok: true });
+    } catch (err) {
+      console.error('❌ Error revoking session:', err);
+      res.status(500).json({ message: 'Failed to revoke session' });
+    }
   },
 
   async me(req, res) {
@@ -474,6 +503,12 @@ export const AuthController = {
       `SELECT id,email,role,status,trial_expires_at,full_name,avatar_url FROM users WHERE id=$1`, [u.sub]
     );
     if (!rows.length) return res.status(404).json({ message: 'Not found' });
-    res.json(rows[0]);
+
+    const access = evaluateAccess(rows[0]);
+    res.json({
+      ...rows[0],
+      trial: trialInfo(rows[0]),
+      access: access.allowed ? { allowed: true } : { allowed: false, code: access.code, message: access.message },
+    });
   }
 };
\ No newline at end of file
@@ -6,6 +6,8 @@ import {
 } from "../services/availability.service.js";
 import pLimit from "p-limit";
 import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import { cache } from "../cache.js";
 import {
   sendQuoteNotification,
   notifySafely,
@@ -16,8 +18,12 @@ import {
   validationError,
   notFoundError,
 } from "../utils/errorResponse.js";
+import { isCalendarDate } from "../utils/dates.js";
+import { expireStaleQuotes } from "../services/quoteExpiry.service.js";
 import { createOpenAPIQuote } from "../services/openApiQuote.service.js";
+import { generateQuotePdf } from "../services/cartPdf.service.js";
 import { extractGuestyPriceBreakdown } from "../services/extractGuestyPriceBreakdown.js";
+import { QuoteStatus } from "../types.js";
 
 
 
@@ -86,6 +92,82 @@ function buildGuestyUrl({
   return url.toString();
 }
 
+// ─── Quote items + breakdown ──────────────────────────────────────────────────
+
+// Items del quote con el booking domain y el PMC de cada villa (logo/nombre para el template)
+async function fetchQuoteItemsWithManager(db, quoteId) {
+  const { rows } = await db.query(
+    `SELECT qi.*,
+            COALESCE(qi.guesty_booking_domain, l.guesty_booking_domain) AS guesty_booking_domain,
+            pm.logo_url as pm_logo_url, pm.name as pm_name
+     FROM quote_items qi
+     LEFT JOIN listings l ON qi.listing_id = l.listing_id
+     LEFT JOIN listing_property_managers pm ON l.listing_property_manager_id = pm.id
+     WHERE qi.quote_id = $1
+     ORDER BY qi.created_at`,
+    [quoteId]
+  );
+  return rows;
+}
+
+/**
+ * Calcula el breakdown en vivo (Open API + fees locales) y el link de reserva de cada item.
+ * Si el quote no tiene fechas o Guesty no responde, usa price_usd * noches como estimado.
+ */
+async function buildItemsWithBreakdown(quote, dbItems) {
+  const checkInYmd  = toYmd(quote.check_in);
+  const checkOutYmd = toYmd(quote.check_out);
+  const hasDates    = checkInYmd && checkOutYmd;
+  const nights      = hasDates ? countStayNights(checkInYmd, checkOutYmd) : 1;
+
+  const itemsWithFullData = await Promise.all(
+    dbItems.map(async (item) => {
+      let breakdown = null;
+
+      if (hasDates) {
+        console.log("📅 Fechas entrando a OpenAPI:", { checkInYmd, checkOutYmd, guests: quote.guests });
+        breakdown = await getGuestyBreakdown(
+          item.listing_id,
+          checkInYmd,
+          checkOutYmd,
+          quote.guests,
+          0,
+          item.guesty_booking_domain
+        );
+      }
+
+      const guestyUrl = buildGuestyUrl({
+        domainOrUrl: item.guesty_booking_domain,
+        listingId: item.listing_id,
+        checkInYmd, checkOutYmd, guests: quote.guests,
+      });
+
+      // Fallback si no hay breakdown
+      if (!breakdown) {
+        breakdown = {
+          base: Number(item.price_usd) * nights,
+          cleaning: 0,
+          taxes: 0,
+          otherFees: 0,
+          feeBreakdown: [],
+          feesTotal: 0,
+          total: Number(item.price_usd) * nights,
+          currency: "USD",
+          priceSource: "fallback_estimate",
+        };
+      }
+
+      return {
+        ...item,
+        guestyUrl,
+        breakdown,
+      };
+    })
+  );
+
+  return { itemsWithFullData, nights, checkInYmd, checkOutYmd };
+}
+
 // ─── Controllers ──────────────────────────────────────────────────────────────
 
 export async function quotesAvailabilityCheck(req, res) {
@@ -221,45 +303,11 @@ export async function createQuote(req, res) {
 
     await client.query("BEGIN");
 
-    const quoteQuery = await client.query(
-      `INSERT INTO quotes (created_by_user_id, guest_first_name, guest_last_name, travel_advisor_email, guest_email, check_in, check_out, guests, status)
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, 'draft') RETURNING id, created_at`,
-      [
-        req.user?.id || null,
-        guestFirstName?.trim() || null,
-        guestLastName?.trim() || null,
-        travelAdvisorEmail?.trim() || null,
-        guestEmail?.trim() || null,
-        checkIn || null,
-        checkOut || null,
-        guests || null,
-      ]
-    );
-    const quoteId = quoteQuery.rows[0].id;
-
-    for (const item of items) {
-      if (!item.id) throw new Error(`Item without ID: ${JSON.stringify(item)}`);
-      if (!item.guestyBookingDomain) throw new Error(`Missing guestyBookingDomain for property ${item.id}`);
-
-      await client.query(
-        `INSERT INTO quote_items (quote_id, listing_id, listing_name, listing_location, bedrooms, bathrooms, price_usd, image_url, guesty_booking_domain)
-         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9) ON CONFLICT (quote_id, listing_id) DO NOTHING`,
-        [
-          quoteId, item.id, item.name || null, item.location || null,
-          item.bedrooms ?? null, item.bathrooms ?? null,
-          item.priceUSD ? Number(item.priceUSD) : null,
-          item.imageUrl || null, item.guestyBookingDomain,
-        ]
-      );
-    }
-
-    await client.query(
-      `INSERT INTO quote_history (quote_id, event_type, actor_user_id, payload) VALUES ($1, 'CREATED', $2, $3)`,
-      [quoteId, req.user?.id || null, JSON.stringify({
-        itemsCount: items.length, guestFirstName, guestLastName,
-        travelAdvisorEmail, guestEmail, checkIn, checkOut,
-      })]
-    );
+    const quoteId = await createDraftQuote(client, {
+      userId: req.user?.sub,
+      guestFirstName, guestLastName, travelAdvisorEmail, guestEmail,
+      checkIn, checkOut, guests, items,
+    });
 
     await client.query("COMMIT");
 
@@ -287,6 +335,8 @@ export async function createQuote(req, res) {
 export async function getQuoteDetails(req, res) {
   try {
     const { id } = req.params;
+    await expireStaleQuotes({ quoteId: id });
+
     const quoteResult = await pool.query(
       `SELECT q.*, u.email as created_by_email, u.full_name as created_by_name
        FROM quotes q LEFT JOIN users u ON q.created_by_user_id = u.id WHERE q.id = $1`,
@@ -315,6 +365,165 @@ export async function getQuoteDetails(req, res) {
   }
 }
 
+/**
+ * GET /quotes
+ * Lista paginada de quotes. Admin ve todos (puede filtrar por creador); TA/PMC solo los propios.
+ * Query params:
+ *   - status: uno o varios separados por coma (draft,sent,accepted,...)
+ *   - createdBy: user id del creador ("me" = usuario actual). Solo admin.
+ *   - guest: busca en nombre, apellido y email del huésped
+ *   - checkInFrom / checkInTo: rango sobre la fecha de check-in (YYYY-MM-DD)
+ *   - createdFrom / createdTo: rango sobre la fecha de creación (YYYY-MM-DD)
+ *   - destination: destino/ubicación de alguna de las villas del quote
+ *   - sort: 'created' (default) | 'check_in' | 'updated'
+ *   - page (default: 1), limit (default: 20, max: 100)
+ */
+export async function listQuotes(req, res) {
+  try {
+    const {
+      status = "",
+      createdBy = "",
+      guest = "",
+      checkInFrom = "",
+      checkInTo = "",
+      createdFrom = "",
+      createdTo = "",
+      destination = "",
+      sort = "created",
+    } = req.query;
+
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 20));
+    const offset = (page - 1) * limit;
+
+    const isAdmin = req.user?.role === "admin";
+    const clauses = [];
+    const params = [];
+
+    // Scope por creador
+    if (!isAdmin) {
+      params.push(req.user?.sub);
+      clauses.push(`q.created_by_user_id = $${params.length}`);
+    } else if (createdBy) {
+      const creatorId = createdBy === "me" ? req.user?.sub : String(createdBy);
+      if (!isUuid(creatorId)) {
+        return validationError(res, { message: "Invalid createdBy user id.", code: 'VALIDATION_ERROR' });
+      }
+      params.push(creatorId);
+      clauses.push(`q.created_by_user_id = $${params.length}`);
+    }
+
+    const statuses = String(status).split(",").map((s) => s.trim()).filter(Boolean);
+    if (statuses.length) {
+      const validStatuses = Object.values(QuoteStatus);
+      const invalid = statuses.filter((s) => !validStatuses.includes(s));
+      if (invalid.length) {
+        return validationError(res, {
+          message: `Invalid status: ${invalid.join(", ")}. Valid: ${validStatuses.join(", ")}.`,
+          code: 'VALIDATION_ERROR',
+        });
+      }
+      params.push(statuses);
+      clauses.push(`q.status = ANY($${params.length}::text[])`);
+    }
+
+    const guestTerm = String(guest).trim();
+    if (guestTerm) {
+      params.push(`%${guestTerm}%`);
+      const idx = params.length;
+      clauses.push(`(
+        CONCAT_WS(' ', q.guest_first_name, q.guest_last_name) ILIKE $${idx}
+        OR q.guest_email ILIKE $${idx}
+      )`);
+    }
+
+    const dateFilters = [
+      [checkInFrom, `q.check_in >= $IDX::date`],
+      [checkInTo, `q.check_in <= $IDX::date`],
+      [createdFrom, `q.created_at >= $IDX::date`],
+      [createdTo, `q.created_at < ($IDX::date + 1)`],
+    ];
+    for (const [value, sql] of dateFilters) {
+      if (!value) continue;
+      if (!isCalendarDate(String(value))) {
+        return validationError(res, { message: "Dates must be valid calendar dates in YYYY-MM-DD format.", code: 'VALIDATION_ERROR' });
+      }
+      params.push(String(value));
+      clauses.push(sql.replace("$IDX", `$${params.length}`));
+    }
+
+    const destinationTerm = String(destination).trim();
+    if (destinationTerm) {
+      params.push(`%${destinationTerm}%`);
+      const idx = params.length;
+      clauses.push(`EXISTS (
+        SELECT 1
+        FROM quote_items qi
+        LEFT JOIN listings l ON l.listing_id = qi.listing_id
+        WHERE qi.quote_id = q.id
+          AND (
+            qi.listing_location ILIKE $${idx}
+            OR l.villanet_destination_tag ILIKE $${idx}
+            OR l.villanet_city ILIKE $${idx}
+            OR l.city ILIKE $${idx}
+            OR l.country ILIKE $${idx}
+          )
+      )`);
+    }
+
+    const where = clauses.length ? `WHERE ${clauses.join(" AND ")}` : "";
+
+    const orderSQL = {
+      check_in: `ORDER BY q.check_in ASC NULLS LAST, q.created_at DESC`,
+      updated: `ORDER BY q.updated_at DESC NULLS LAST`,
+    }[sort] || `ORDER BY q.created_at DESC`;
+
+    const [dataResult, countResult] = await Promise.all([
+      pool.query(
+        `SELECT
+           q.id, q.status, q.version, q.parent_quote_id,
+           q.guest_first_name, q.guest_last_name, q.guest_email, q.travel_advisor_email,
+           q.check_in, q.check_out, q.guests,
+           q.created_at, q.updated_at, q.sent_at, q.expires_at,
+           q.view_count, q.last_viewed_at,
+           q.created_by_user_id, u.email AS created_by_email, u.full_name AS created_by_name,
+           COALESCE(items.items_count, 0)::int AS items_count,
+           COALESCE(items.listing_names, ARRAY[]::text[]) AS listing_names
+         FROM quotes q
+         LEFT JOIN users u ON u.id = q.created_by_user_id
+         LEFT JOIN LATERAL (
+           SELECT COUNT(*) AS items_count, ARRAY_AGG(qi.listing_name) AS listing_names
+           FROM quote_items qi
+           WHERE qi.quote_id = q.id
+         ) items ON true
+         ${where}
+         ${orderSQL}
+         LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+        [...params, limit, offset],
+      ),
+      pool.query(`SELECT COUNT(*)::int AS total FROM quotes q ${where}`, params),
+    ]);
+
+    const total = countResult.rows[0].total;
+
+    return res.json({
+      results: dataResult.rows,
+      total,
+      page,
+      limit,
+      totalPages: Math.ceil(total / limit),
+      hasMore: page * limit < total,
+    });
+  } catch (error) {
+    console.error("❌ Error listing quotes:", error);
+    return criticalError(res, {
+      message: 'There was an error loading your quotes. Please try again.',
+      code: 'QUOTE_LIST_FAILED',
+      details: error.message,
+    });
+  }
+}
+
 export async function sendQuoteEmail(req, res) {
   const client = await pool.connect();
   try {
@@ -326,7 +535,7 @@ export async function sendQuoteEmail(req, res) {
       guestEmail, checkIn, checkOut, guests, items,
     } = req.body;
 
-    const userId = req.user?.id;
+    const userId = req.user?.sub;
     const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
 
     // Validaciones → 400 estandarizado
@@ -371,17 +580,7 @@ export async function sendQuoteEmail(req, res) {
 
     const quote = updateResult.rows[0];
 
-    const itemsResult = await client.query(
-
-`SELECT qi.*,
-        COALESCE(qi.guesty_booking_domain, l.guesty_booking_domain) AS guesty_booking_domain,
-        pm.logo_url as pm_logo_url, pm.name as pm_name
- FROM quote_items qi
- LEFT JOIN listings l ON qi.listing_id = l.listing_id
- LEFT JOIN listing_property_managers pm ON l.listing_property_manager_id = pm.id
- WHERE qi.quote_id = $1`, [id] 
-    );
-    const dbItems = itemsResult.rows;
+    const dbItems = await fetchQuoteItemsWithManager(client, id);
 
     if (dbItems.length === 0) {
       await client.query("ROLLBACK");
@@ -391,74 +590,49 @@ export async function sendQuoteEmail(req, res) {
       });
     }
 
-    const checkInYmd  = toYmd(quote.check_in);
-    const checkOutYmd = toYmd(quote.check_out);
-    const hasDates    = checkInYmd && checkOutYmd;
-    const nights      = hasDates ? countStayNights(checkInYmd, checkOutYmd) : 1;
-
-    const itemsWithFullData = await Promise.all(
-      dbItems.map(async (item) => {
-        let breakdown = null;
-
-        if (hasDates) {
-          console.log("📅 Fechas entrando a OpenAPI:", { checkIn, checkOut, guests });
-          breakdown = await getGuestyBreakdown(
-            item.listing_id,
-            checkInYmd,
-            checkOutYmd,
-            quote.guests,
-            0,
-            item.guesty_booking_domain
-          );
-        }
-
-        const guestyUrl = buildGuestyUrl({
-          domainOrUrl: item.guesty_booking_domain,
-          listingId: item.listing_id,
-          checkInYmd, checkOutYmd, guests: quote.guests,
-        });
-
-        // Fallback si no hay breakdown
-        if (!breakdown) {
-          breakdown = {
-            base: Number(item.price_usd) * nights,
-            cleaning: 0,
-            taxes: 0,
-            otherFees: 0,
-            feeBreakdown: [],
-            feesTotal: 0,
-            total: Number(item.price_usd) * nights,
-            currency: "USD",
-            priceSource: "fallback_estimate",
-          };
-        }
-
-        return {
-          ...item,
-          guestyUrl,
-          breakdown,
-        };
-      })
-    );
+    const { itemsWithFullData, nights, checkInYmd, checkOutYmd } = await buildItemsWithBreakdown(quote, dbItems);
 
     const pmLogoUrl = itemsWithFullData[0]?.pm_logo_url || null;
     const pmName    = itemsWithFullData[0]?.pm_name || "villanet";
 
+    // Link público (GET /public/quotes/:token) para el email del guest: se reutiliza el
+    // vigente para no cortar uno ya compartido. Si el email falla, el ROLLBACK lo descarta.
+    const shareLink = await ensureQuoteShareLink(client, id, resolveShareTtlDays(req.body?.shareTtlDays));
+
     // ── Envío de emails con manejo de error PARCIAL ──────────────────────────
     const advisorHtml = await generateQuoteEmailHtml(
       { ...quote, recipient_type: "advisor" },
       itemsWithFullData, nights, checkInYmd, checkOutYmd, pmLogoUrl, pmName
     );
 
+    // PDF adjunto opcional (body.attachPdf). Si falla el render, se envía igual sin adjunto.
+    const pdfOptions = { quote, items: itemsWithFullData, nights, checkInYmd, checkOutYmd, pmLogoUrl, pmName };
+    const attachPdf = req.body?.attachPdf === true || req.body?.attachPdf === "true";
+    const commissionPct = clampPct(req.body?.commissionPct ?? 0);
+    const buildPdfAttachment = async (audience) => {
+      if (!attachPdf) return undefined;
+      try {
+        const content = await generateQuotePdf({ ...pdfOptions, audience, commissionPct });
+        return [{ filename: quotePdfFilename(quote), content, contentType: "application/pdf" }];
+      } catch (err) {
+        console.error(`❌ Failed to render ${audience} quote PDF:`, err);
+        return undefined;
+      }
+    };
+
     let advisorEmailSent = false;
     let guestEmailSent   = false;
     let emailError       = null;
+    let pdfAttached      = false;
 
     try {
+      const attachments = await buildPdfAttachment("advisor");
+      pdfAttached = Boolean(attachments);
       await sendEmail({
         to: quote.travel_advisor_email,
         subject: `Your Quote for ${quote.guest_first_name} ${quote.guest_last_name}`,
         html: advisorHtml,
+        attachments,
       });
       advisorEmailSent = true;
     } catch (err) {
@@ -469,13 +643,14 @@ export async function sendQuoteEmail(req, res) {
     if (advisorEmailSent && quote.guest_email?.trim()) {
       try {
         const guestHtml = await generateQuoteEmailHtml(
-          { ...quote, recipient_type: "guest" },
+          { ...quote, recipient_type: "guest", share_url: shareLink.url },
           itemsWithFullData, nights, checkInYmd, checkOutYmd, pmLogoUrl, pmName
         );
         await sendEmail({
           to: quote.guest_email,
           subject: `Your Curated Villa Options — ${quote.guest_first_name} ${quote.guest_last_name}`,
           html: guestHtml,
+          attachments: await buildPdfAttachment("guest"),
         });
         guestEmailSent = true;
       } catch (err) {
@@ -497,7 +672,14 @@ export async function sendQuoteEmail(req, res) {
     }
 
     // ── El advisor recibió el email (éxito principal). Guardamos el estado.
-    await client.query(`UPDATE quotes SET status='sent', updated_at=NOW() WHERE id=$1`, [id]);
+    const validityDays = resolveValidityDays(req.body?.validityDays);
+    const sentResult = await client.query(
+      `UPDATE quotes
+       SET status='sent', sent_at=NOW(), expires_at=NOW() + make_interval(days => $2), updated_at=NOW()
+       WHERE id=$1
+       RETURNING expires_at`,
+      [id, validityDays]
+    );
 
     await client.query(
       `INSERT INTO quote_history (quote_id, event_type, actor_user_id, payload) VALUES ($1, 'SENT', $2, $3)`,
@@ -508,6 +690,11 @@ export async function sendQuoteEmail(req, res) {
         guestEmailSent,
         checkIn: checkInYmd, checkOut: checkOutYmd,
         guests: quote.guests, itemsCount: itemsWithFullData.length,
+        version: quote.version,
+        validityDays,
+        expiresAt: sentResult.rows[0].expires_at,
+        shareExpiresAt: shareLink.expiresAt,
+        pdfAttached,
       })]
     );
     
@@ -541,6 +728,7 @@ export async function sendQuoteEmail(req, res) {
         code: 'EMAIL_GUEST_FAILED',
         data: {
           quoteId: id,
+          shareUrl: shareLink.url,
           emailsSent: { advisor: quote.travel_advisor_email, guest: null },
         },
       });
@@ -553,6 +741,9 @@ export async function sendQuoteEmail(req, res) {
         ? `Emails sent to ${quote.travel_advisor_email} and ${quote.guest_email}`
         : `Email sent to ${quote.travel_advisor_email}`,
       quoteId: id,
+      expiresAt: sentResult.rows[0].expires_at,
+      shareUrl: shareLink.url,
+      pdfAttached,
       emailsSent: {
         advisor: quote.travel_advisor_email,
         guest: guestEmailSent ? quote.guest_email : null,
@@ -574,6 +765,673 @@ export async function sendQuoteEmail(req, res) {
   }
 }
 
+/**
+ * GET /quotes/:id/pdf
+ * Descarga el quote como PDF con desglose por villa, totales y links de reserva.
+ * Query params:
+ *   - audience: 'advisor' (default, incluye comisión) | 'guest'
+ *   - commissionPct: % de comisión del advisor (default: 0)
+ */
+export async function exportQuotePdf(req, res) {
+  const { id } = req.params;
+  if (!isUuid(id)) {
+    return notFoundError(res, { message: "Quote not found.", code: 'QUOTE_NOT_FOUND' });
+  }
+
+  try {
+    const audience = req.query.audience === "guest" ? "guest" : "advisor";
+    const commissionPct = clampPct(req.query.commissionPct ?? 0);
+
+    await expireStaleQuotes({ quoteId: id });
+
+    // Mismo scope que GET /quotes: un quote ajeno es 404
+    const quoteResult = await pool.query(
+      `SELECT * FROM quotes WHERE id = $1 AND ($2::uuid IS NULL OR created_by_user_id = $2::uuid)`,
+      [id, quoteOwnerScope(req)]
+    );
+    if (!quoteResult.rows.length) {
+      return notFoundError(res, { message: "Quote not found.", code: 'QUOTE_NOT_FOUND' });
+    }
+    const quote = quoteResult.rows[0];
+
+    const dbItems = await fetchQuoteItemsWithManager(pool, id);
+    if (!dbItems.length) {
+      return validationError(res, {
+        message: "The quote has no properties. Please add at least one villa.",
+        code: 'ITEMS_REQUIRED',
+      });
+    }
+
+    const { itemsWithFullData, nights, checkInYmd, checkOutYmd } = await buildItemsWithBreakdown(quote, dbItems);
+
+    const pdfBuffer = await generateQuotePdf({
+      quote,
+      items: itemsWithFullData,
+      nights,
+      checkInYmd,
+      checkOutYmd,
+      pmLogoUrl: itemsWithFullData[0]?.pm_logo_url || null,
+      pmName: itemsWithFullData[0]?.pm_name || "villanet",
+      commissionPct,
+      audience,
+    });
+
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader("Content-Disposition", `attachment; filename="${quotePdfFilename(quote)}"`);
+    res.setHeader("Content-Length", pdfBuffer.length);
+    return res.send(pdfBuffer);
+  } catch (error) {
+    console.error("❌ Error exporting quote PDF:", error);
+    return criticalError(res, {
+      message: 'There was an error generating the quote PDF. Please try again.',
+      code: 'QUOTE_PDF_FAILED',
+      details: error.message,
+    });
+  }
+}
+
+function quotePdfFilename(quote) {
+  const guest = `${quote.guest_first_name || ""}-${quote.guest_last_name || ""}`
+    .toLowerCase()
+    .replace(/[^a-z0-9-]+/g, "")
+    .replace(/^-+|-+$/g, "");
+  return `villa-quote${guest ? `-${guest}` : ""}${quote.version > 1 ? `-v${quote.version}` : ""}.pdf`;
+}
+
+// ─── Lifecycle ────────────────────────────────────────────────────────────────
+//
+// draft ──send──▶ sent ──▶ accepted | declined
+//   │               │
+//   └──expire──▶ expired ◀── (validez vencida)
+//                   │
+// sent | expired ──revise──▶ revised  (+ nuevo quote draft con version + 1)
+
+const QUOTE_VALIDITY_DAYS = Number(process.env.QUOTE_VALIDITY_DAYS || 7);
+const MAX_VALIDITY_DAYS = 90;
+
+const QUOTE_TRANSITIONS = {
+  [QuoteStatus.DRAFT]: [QuoteStatus.SENT, QuoteStatus.EXPIRED],
+  [QuoteStatus.SENT]: [QuoteStatus.ACCEPTED, QuoteStatus.DECLINED, QuoteStatus.EXPIRED, QuoteStatus.REVISED],
+  [QuoteStatus.EXPIRED]: [QuoteStatus.REVISED],
+  [QuoteStatus.ACCEPTED]: [],
+  [QuoteStatus.DECLINED]: [],
+  [QuoteStatus.REVISED]: [],
+};
+
+function canTransitionQuote(from, to) {
+  return (QUOTE_TRANSITIONS[from] || []).includes(to);
+}
+
+function resolveValidityDays(input) {
+  const n = Math.floor(Number(input));
+  if (Number.isFinite(n) && n > 0) return Math.min(n, MAX_VALIDITY_DAYS);
+  return QUOTE_VALIDITY_DAYS;
+}
+
+/**
+ * Inserta un quote 'draft' con sus items y el evento CREATED dentro de una transacción abierta.
+ * Lo usan POST /quotes y la conversión de carritos guardados (POST /cart/convert-to-quote).
+ * @returns {Promise<string>} id del quote creado
+ */
+export async function createDraftQuote(client, {
+  userId = null,
+  guestFirstName, guestLastName, travelAdvisorEmail, guestEmail,
+  checkIn, checkOut, guests, items,
+  historyPayload = {},
+}) {
+  const quoteQuery = await client.query(
+    `INSERT INTO quotes (created_by_user_id, guest_first_name, guest_last_name, travel_advisor_email, guest_email, check_in, check_out, guests, status)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, 'draft') RETURNING id, created_at`,
+    [
+      userId || null,
+      guestFirstName?.trim() || null,
+      guestLastName?.trim() || null,
+      travelAdvisorEmail?.trim() || null,
+      guestEmail?.trim() || null,
+      checkIn || null,
+      checkOut || null,
+      guests || null,
+    ]
+  );
+  const quoteId = quoteQuery.rows[0].id;
+
+  await insertQuoteItems(client, quoteId, items);
+
+  await client.query(
+    `INSERT INTO quote_history (quote_id, event_type, actor_user_id, payload) VALUES ($1, 'CREATED', $2, $3)`,
+    [quoteId, userId || null, JSON.stringify({
+      itemsCount: items.length, guestFirstName, guestLastName,
+      travelAdvisorEmail, guestEmail, checkIn, checkOut,
+      ...historyPayload,
+    })]
+  );
+
+  return quoteId;
+}
+
+async function insertQuoteItems(client, quoteId, items) {
+  for (const item of items) {
+    if (!item.id) throw new Error(`Item without ID: ${JSON.stringify(item)}`);
+    if (!item.guestyBookingDomain) throw new Error(`Missing guestyBookingDomain for property ${item.id}`);
+
+    await client.query(
+      `INSERT INTO quote_items (quote_id, listing_id, listing_name, listing_location, bedrooms, bathrooms, price_usd, image_url, guesty_booking_domain)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9) ON CONFLICT (quote_id, listing_id) DO NOTHING`,
+      [
+        quoteId, item.id, item.name || null, item.location || null,
+        item.bedrooms ?? null, item.bathrooms ?? null,
+        item.priceUSD ? Number(item.priceUSD) : null,
+        item.imageUrl || null, item.guestyBookingDomain,
+      ]
+    );
+  }
+}
+
+/**
+ * Aplica una transición de estado dentro de una transacción abierta y la registra en quote_history.
+ * Con ownerUserId solo encuentra quotes de ese creador (un quote ajeno se reporta como 404).
+ * Devuelve { quote } o { error: { status, code, message } }.
+ */
+async function transitionQuote(client, quoteId, { to, eventType, actorUserId, ownerUserId = null, payload = {}, reason = null }) {
+  const { rows } = await client.query(
+    `SELECT * FROM quotes WHERE id = $1 AND ($2::uuid IS NULL OR created_by_user_id = $2::uuid) FOR UPDATE`,
+    [quoteId, ownerUserId]
+  );
+  if (!rows.length) {
+    return { error: { status: 404, code: 'QUOTE_NOT_FOUND', message: 'Quote not found.' } };
+  }
+
+  const current = rows[0];
+  if (!canTransitionQuote(current.status, to)) {
+    return {
+      error: {
+        status: 409,
+        code: 'INVALID_QUOTE_TRANSITION',
+        message: `A quote in status "${current.status}" cannot be marked as "${to}".`,
+      },
+    };
+  }
+
+  const timestampColumn = {
+    [QuoteStatus.ACCEPTED]: 'accepted_at',
+    [QuoteStatus.DECLINED]: 'declined_at',
+  }[to];
+
+  const updated = await client.query(
+    `UPDATE quotes
+     SET status = $2,
+         status_reason = $3,
+         ${timestampColumn ? `${timestampColumn} = NOW(),` : ''}
+         updated_at = NOW()
+     WHERE id = $1
+     RETURNING *`,
+    [quoteId, to, reason]
+  );
+
+  await client.query(
+    `INSERT INTO quote_history (quote_id, event_type, actor_user_id, payload) VALUES ($1, $2, $3, $4)`,
+    [quoteId, eventType, actorUserId || null, JSON.stringify({ from: current.status, to, reason, ...payload })]
+  );
+
+  return { quote: updated.rows[0], previous: current };
+}
+
+function isUuid(s) {
+  return /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(String(s));
+}
+
+// Mismo scope que GET /quotes: admin ve todo, el resto solo sus propios quotes
+function quoteOwnerScope(req) {
+  return req.user?.role === "admin" ? null : req.user?.sub || null;
+}
+
+function lifecycleHandler({ to, eventType, reasonField }) {
+  return async (req, res) => {
+    const { id } = req.params;
+    if (!isUuid(id)) {
+      return notFoundError(res, { message: "Quote not found.", code: 'QUOTE_NOT_FOUND' });
+    }
+
+    const reason = reasonField ? (req.body?.[reasonField]?.toString().trim().slice(0, 1000) || null) : null;
+    const client = await pool.connect();
+    try {
+      await client.query("BEGIN");
+      const result = await transitionQuote(client, id, {
+        to,
+        eventType,
+        actorUserId: req.user?.sub,
+        ownerUserId: quoteOwnerScope(req),
+        reason,
+      });
+
+      if (result.error) {
+        await client.query("ROLLBACK");
+        return res.status(result.error.status).json({ success: false, ...result.error });
+      }
+
+      await client.query("COMMIT");
+      return res.json({ success: true, quote: result.quote });
+    } catch (error) {
+      await client.query("ROLLBACK");
+      console.error(`❌ Error in quote transition → ${to}:`, error);
+      return criticalError(res, {
+        message: 'There was an error updating the quote. Please try again.',
+        code: 'QUOTE_TRANSITION_FAILED',
+        details: error.message,
+      });
+    } finally {
+      client.release();
+    }
+  };
+}
+
+// POST /quotes/:id/accept   Body: { note? }
+export const acceptQuote = lifecycleHandler({ to: QuoteStatus.ACCEPTED, eventType: 'ACCEPTED', reasonField: 'note' });
+
+// POST /quotes/:id/decline  Body: { reason? }
+export const declineQuote = lifecycleHandler({ to: QuoteStatus.DECLINED, eventType: 'DECLINED', reasonField: 'reason' });
+
+// POST /quotes/:id/expire   Body: { reason? } — expiración manual antes de la fecha
+export const expireQuote = lifecycleHandler({ to: QuoteStatus.EXPIRED, eventType: 'EXPIRED', reasonField: 'reason' });
+
+/**
+ * POST /quotes/:id/revise
+ * Crea una nueva versión (draft) de un quote enviado o vencido. El original pasa a 'revised'.
+ * Body (todo opcional, por defecto se copia del original):
+ *   guestFirstName, guestLastName, travelAdvisorEmail, guestEmail, checkIn, checkOut, guests, items[]
+ */
+export async function reviseQuote(req, res) {
+  const { id } = req.params;
+  if (!isUuid(id)) {
+    return notFoundError(res, { message: "Quote not found.", code: 'QUOTE_NOT_FOUND' });
+  }
+
+  const body = req.body || {};
+  if (body.items !== undefined && (!Array.isArray(body.items) || body.items.length === 0)) {
+    return validationError(res, {
+      message: "Please add at least one property to the quote.",
+      code: 'ITEMS_REQUIRED',
+    });
+  }
+  if (Array.isArray(body.items) && body.items.some((item) => !item.id)) {
+    return validationError(res, {
+      message: "All properties must have a valid ID.",
+      code: 'INVALID_ITEMS',
+    });
+  }
+  if ([body.checkIn, body.checkOut].some((value) => value && !isCalendarDate(value))) {
+    return validationError(res, {
+      message: "checkIn and checkOut must be valid calendar dates in YYYY-MM-DD format.",
+      code: 'VALIDATION_ERROR',
+    });
+  }
+  if (body.checkIn && body.checkOut && body.checkIn >= body.checkOut) {
+    return validationError(res, { message: "checkOut must be after checkIn.", code: 'VALIDATION_ERROR' });
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+
+    const ownerUserId = quoteOwnerScope(req);
+    const { rows: currentRows } = await client.query(
+      `SELECT * FROM quotes WHERE id = $1 AND ($2::uuid IS NULL OR created_by_user_id = $2::uuid) FOR UPDATE`,
+      [id, ownerUserId]
+    );
+    if (!currentRows.length) {
+      await client.query("ROLLBACK");
+      return notFoundError(res, { message: "Quote not found.", code: 'QUOTE_NOT_FOUND' });
+    }
+    const original = currentRows[0];
+
+    if (!canTransitionQuote(original.status, QuoteStatus.REVISED)) {
+      await client.query("ROLLBACK");
+      return res.status(409).json({
+        success: false,
+        code: 'INVALID_QUOTE_TRANSITION',
+        message: `Only sent or expired quotes can be revised (current status: "${original.status}").`,
+      });
+    }
+
+    const pick = (value, fallback) => (value !== undefined ? (value?.toString().trim() || null) : fallback);
+    const newVersion = (Number(original.version) || 1) + 1;
+
+    const { rows: newRows } = await client.query(
+      `INSERT INTO quotes (created_by_user_id, guest_first_name, guest_last_name, travel_advisor_email, guest_email,
+                           check_in, check_out, guests, status, version, parent_quote_id)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, 'draft', $9, $10)
+       RETURNING *`,
+      [
+        original.created_by_user_id,
+        pick(body.guestFirstName, original.guest_first_name),
+        pick(body.guestLastName, original.guest_last_name),
+        pick(body.travelAdvisorEmail, original.travel_advisor_email),
+        pick(body.guestEmail, original.guest_email),
+        body.checkIn !== undefined ? body.checkIn || null : original.check_in,
+        body.checkOut !== undefined ? body.checkOut || null : original.check_out,
+        body.guests !== undefined ? body.guests || null : original.guests,
+        newVersion,
+        original.id,
+      ]
+    );
+    const revision = newRows[0];
+
+    if (Array.isArray(body.items)) {
+      await insertQuoteItems(client, revision.id, body.items);
+    } else {
+      await client.query(
+        `INSERT INTO quote_items (quote_id, listing_id, listing_name, listing_location, bedrooms, bathrooms, price_usd, image_url, guesty_booking_domain)
+         SELECT $1, listing_id, listing_name, listing_location, bedrooms, bathrooms, price_usd, image_url, guesty_booking_domain
+         FROM quote_items WHERE quote_id = $2`,
+        [revision.id, original.id]
+      );
+    }
+
+    const transition = await transitionQuote(client, original.id, {
+      to: QuoteStatus.REVISED,
+      eventType: 'REVISED',
+      actorUserId: req.user?.sub,
+      ownerUserId,
+      reason: body.reason?.toString().trim().slice(0, 1000) || null,
+      payload: { revisedQuoteId: revision.id, version: newVersion },
+    });
+    if (transition.error) throw new Error(transition.error.message);
+
+    await client.query(
+      `INSERT INTO quote_history (quote_id, event_type, actor_user_id, payload) VALUES ($1, 'CREATED', $2, $3)`,
+      [revision.id, req.user?.sub || null, JSON.stringify({
+        revisionOf: original.id,
+        version: newVersion,
+        itemsCopied: !Array.isArray(body.items),
+      })]
+    );
+
+    await client.query("COMMIT");
+
+    return res.status(201).json({
+      success: true,
+      quoteId: revision.id,
+      version: newVersion,
+      previousQuoteId: original.id,
+      message: `Quote revised as version ${newVersion}.`,
+    });
+  } catch (error) {
+    await client.query("ROLLBACK");
+    console.error("❌ Error revising quote:", error);
+    return criticalError(res, {
+      message: 'There was an error revising the quote. Please try again.',
+      code: 'QUOTE_REVISE_FAILED',
+      details: error.message,
+    });
+  } finally {
+    client.release();
+  }
+}
+
+// ─── Public share links ───────────────────────────────────────────────────────
+//
+// Cada quote puede tener un link público de solo lectura. El token es un JWT con
+// { qid, jti } firmado con QUOTE_SHARE_SECRET; jti debe coincidir con quotes.share_token_id,
+// así que regenerar o revocar el link invalida cualquier token anterior.
+
+const QUOTE_SHARE_TTL_DAYS = Number(process.env.QUOTE_SHARE_TTL_DAYS || 30);
+const MAX_SHARE_TTL_DAYS = 180;
+const PUBLIC_QUOTE_URL = (process.env.PUBLIC_QUOTE_URL || "https://thevillanet.com/quote").replace(/\/+$/, "");
+const SHARE_PRICING_CACHE_TTL = 10 * 60; // 10 min: precios "en vivo" sin golpear Guesty en cada apertura
+
+// Clave propia para que un token de quote nunca sirva como access token
+function quoteShareSecret() {
+  if (process.env.QUOTE_SHARE_SECRET) return process.env.QUOTE_SHARE_SECRET;
+  return crypto.createHmac("sha256", process.env.JWT_ACCESS_SECRET || "").update("quote-share").digest("hex");
+}
+
+function resolveShareTtlDays(input) {
+  const n = Math.floor(Number(input));
+  if (Number.isFinite(n) && n > 0) return Math.min(n, MAX_SHARE_TTL_DAYS);
+  return QUOTE_SHARE_TTL_DAYS;
+}
+
+function shareLinkFor(quoteId, jti, expiresAt) {
+  const exp = Math.floor(new Date(expiresAt).getTime() / 1000);
+  const token = jwt.sign({ qid: quoteId, jti, exp }, quoteShareSecret());
+  return { token, url: `${PUBLIC_QUOTE_URL}/${token}`, expiresAt };
+}
+
+/**
+ * Genera un nuevo link público para el quote (invalida el anterior).
+ * Con ownerUserId solo toca quotes de ese creador (null si no es suyo o no existe).
+ * Debe llamarse dentro de una transacción abierta si el caller la usa.
+ */
+async function issueQuoteShareLink(db, quoteId, ttlDays, { ownerUserId = null } = {}) {
+  const jti = crypto.randomUUID();
+  const { rows } = await db.query(
+    `UPDATE quotes
+     SET share_token_id = $2, share_expires_at = NOW() + make_interval(days => $3), updated_at = NOW()
+     WHERE id = $1 AND ($4::uuid IS NULL OR created_by_user_id = $4::uuid)
+     RETURNING share_expires_at`,
+    [quoteId, jti, ttlDays, ownerUserId]
+  );
+  if (!rows.length) return null;
+
+  return shareLinkFor(quoteId, jti, rows[0].share_expires_at);
+}
+
+/**
+ * Link público vigente del quote (mismo jti, así no se corta un link ya compartido)
+ * o uno nuevo si no tiene o ya venció.
+ */
+async function ensureQuoteShareLink(db, quoteId, ttlDays) {
+  const { rows } = await db.query(
+    `SELECT share_token_id, share_expires_at FROM quotes
+     WHERE id = $1 AND share_token_id IS NOT NULL AND share_expires_at > NOW()`,
+    [quoteId]
+  );
+  if (rows.length) return shareLinkFor(quoteId, rows[0].share_token_id, rows[0].share_expires_at);
+  return issueQuoteShareLink(db, quoteId, ttlDays);
+}
+
+/**
+ * POST /quotes/:id/share-link
+ * Body: { ttlDays? } — días de validez del link (default QUOTE_SHARE_TTL_DAYS, máx 180)
+ */
+export async function createQuoteShareLink(req, res) {
+  const { id } = req.params;
+  if (!isUuid(id)) {
+    return notFoundError(res, { message: "Quote not found.", code: 'QUOTE_NOT_FOUND' });
+  }
+
+  const client = await pool.connect();
+  try {
+    const ttlDays = resolveShareTtlDays(req.body?.ttlDays);
+
+    await client.query("BEGIN");
+    const link = await issueQuoteShareLink(client, id, ttlDays, { ownerUserId: quoteOwnerScope(req) });
+    if (!link) {
+      await client.query("ROLLBACK");
+      return notFoundError(res, { message: "Quote not found.", code: 'QUOTE_NOT_FOUND' });
+    }
+
+    await client.query(
+      `INSERT INTO quote_history (quote_id, event_type, actor_user_id, payload) VALUES ($1, 'SHARE_LINK_CREATED', $2, $3)`,
+      [id, req.user?.sub || null, JSON.stringify({ ttlDays, expiresAt: link.expiresAt })]
+    );
+    await client.query("COMMIT");
+
+    return res.status(201).json({ success: true, quoteId: id, ...link });
+  } catch (error) {
+    await client.query("ROLLBACK");
+    console.error("❌ Error creating quote share link:", error);
+    return criticalError(res, {
+      message: 'There was an error creating the share link. Please try again.',
+      code: 'SHARE_LINK_FAILED',
+      details: error.message,
+    });
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * DELETE /quotes/:id/share-link
+ * Revoca el link público vigente.
+ */
+export async function revokeQuoteShareLink(req, res) {
+  const { id } = req.params;
+  if (!isUuid(id)) {
+    return notFoundError(res, { message: "Quote not found.", code: 'QUOTE_NOT_FOUND' });
+  }
+
+  try {
+    const { rows } = await pool.query(
+      `WITH revoked AS (
+         UPDATE quotes
+         SET share_token_id = NULL, share_expires_at = NULL, updated_at = NOW()
+         WHERE id = $1 AND share_token_id IS NOT NULL
+           AND ($3::uuid IS NULL OR created_by_user_id = $3::uuid)
+         RETURNING id
+       )
+       INSERT INTO quote_history (quote_id, event_type, actor_user_id, payload)
+       SELECT id, 'SHARE_LINK_REVOKED', $2, '{}'::jsonb FROM revoked
+       RETURNING quote_id`,
+      [id, req.user?.sub || null, quoteOwnerScope(req)]
+    );
+
+    if (!rows.length) {
+      return notFoundError(res, { message: "Quote not found or it has no active share link.", code: 'SHARE_LINK_NOT_FOUND' });
+    }
+
+    return res.json({ success: true, quoteId: id });
+  } catch (error) {
+    console.error("❌ Error revoking quote share link:", error);
+    return criticalError(res, {
+      message: 'There was an error revoking the share link. Please try again.',
+      code: 'SHARE_LINK_REVOKE_FAILED',
+      details: error.message,
+    });
+  }
+}
+
+// Vista pública: sin datos internos (creador, comisiones, emails del advisor)
+function toPublicQuoteDto(quote, items, nights, checkInYmd, checkOutYmd) {
+  return {
+    quote: {
+      id: quote.id,
+      status: quote.status,
+      version: quote.version,
+      guestFirstName: quote.guest_first_name,
+      guestLastName: quote.guest_last_name,
+      checkIn: checkInYmd,
+      checkOut: checkOutYmd,
+      guests: quote.guests,
+      nights: checkInYmd && checkOutYmd ? nights : null,
+      sentAt: quote.sent_at,
+      expiresAt: quote.expires_at,
+    },
+    items: items.map((item) => {
+      const { internal, ...breakdown } = item.breakdown || {};
+      return {
+        listingId: item.listing_id,
+        name: item.listing_name,
+        location: item.listing_location,
+        bedrooms: item.bedrooms,
+        bathrooms: item.bathrooms,
+        imageUrl: item.image_url,
+        bookingUrl: item.guestyUrl,
+        propertyManager: item.pm_name ? { name: item.pm_name, logoUrl: item.pm_logo_url } : null,
+        breakdown,
+      };
+    }),
+    total: money2(items.reduce((s, i) => s + (i.breakdown?.total || 0), 0)),
+    currency: items[0]?.breakdown?.currency || "USD",
+  };
+}
+
+async function recordQuoteView(quoteId, req) {
+  const ip =
+    (req.headers['x-forwarded-for'] || '').toString().split(',')[0].trim() ||
+    req.socket?.remoteAddress ||
+    null;
+  const userAgent = req.headers['user-agent']?.toString().slice(0, 255) || null;
+
+  await pool.query(
+    `WITH viewed AS (
+       UPDATE quotes
+       SET view_count = view_count + 1,
+           first_viewed_at = COALESCE(first_viewed_at, NOW()),
+           last_viewed_at = NOW()
+       WHERE id = $1
+       RETURNING id, view_count
+     )
+     INSERT INTO quote_history (quote_id, event_type, actor_user_id, payload)
+     SELECT id, 'VIEWED', NULL, jsonb_build_object('viewCount', view_count, 'ip', $2::text, 'userAgent', $3::text)
+     FROM viewed`,
+    [quoteId, ip, userAgent]
+  );
+}
+
+/**
+ * GET /public/quotes/:token
+ * Vista pública de solo lectura del quote: datos, items y breakdown de precios en vivo.
+ * Cada apertura queda registrada en quote_history (VIEWED) para el advisor.
+ */
+export async function getPublicQuote(req, res) {
+  let payload;
+  try {
+    payload = jwt.verify(String(req.params.token || ""), quoteShareSecret());
+  } catch (err) {
+    if (err.name === "TokenExpiredError") {
+      return res.status(410).json({
+        success: false,
+        message: "This quote link has expired. Please contact your travel advisor for a new one.",
+        code: 'SHARE_LINK_EXPIRED',
+      });
+    }
+    return notFoundError(res, { message: "Quote not found.", code: 'SHARE_LINK_INVALID' });
+  }
+
+  try {
+    const { qid, jti } = payload || {};
+    if (!isUuid(qid) || !isUuid(jti)) {
+      return notFoundError(res, { message: "Quote not found.", code: 'SHARE_LINK_INVALID' });
+    }
+
+    await expireStaleQuotes({ quoteId: qid });
+
+    const quoteResult = await pool.query(
+      `SELECT * FROM quotes WHERE id = $1 AND share_token_id = $2`,
+      [qid, jti]
+    );
+    if (!quoteResult.rows.length) {
+      // Link revocado o reemplazado por uno nuevo
+      return notFoundError(res, { message: "Quote not found.", code: 'SHARE_LINK_INVALID' });
+    }
+    const quote = quoteResult.rows[0];
+
+    const cacheKey = `quote_share:${jti}`;
+    let pricing = cache.get(cacheKey);
+    if (!pricing) {
+      const dbItems = await fetchQuoteItemsWithManager(pool, qid);
+      pricing = await buildItemsWithBreakdown(quote, dbItems);
+      cache.set(cacheKey, pricing, SHARE_PRICING_CACHE_TTL);
+    }
+
+    recordQuoteView(qid, req).catch((err) => console.error("❌ Could not record quote view:", err));
+
+    const { itemsWithFullData, nights, checkInYmd, checkOutYmd } = pricing;
+    return res.json({
+      success: true,
+      ...toPublicQuoteDto(quote, itemsWithFullData, nights, checkInYmd, checkOutYmd),
+    });
+  } catch (error) {
+    console.error("❌ Error loading public quote:", error);
+    return criticalError(res, {
+      message: 'There was an error loading this quote. Please try again.',
+      code: 'PUBLIC_QUOTE_FAILED',
+      details: error.message,
+    });
+  }
+}
+
 // ─── Email template ───────────────────────────────────────────────────────────
 
 export async function generateQuoteEmailHtml(
@@ -689,6 +1547,20 @@ btn:         "display:block;color:#ffffff;text-decoration:none;font-size:13px;fo
       </td>`)
     .join("");
 
+  // ── Link público (solo guest): el quote online con precios actualizados ──
+  const shareHtml = isGuest && quote.share_url ? `
+            <tr>
+              <td class="pad" style="${S.contentCell}">
+                <table cellpadding="0" cellspacing="0" border="0" role="presentation" style="margin:0 auto;">
+                  <tr>
+                    <td style="${S.btnTd}">
+                      <a href="${quote.share_url}" style="${S.btn}">View Your Quote Online &rarr;</a>
+                    </td>
+                  </tr>
+                </table>
+              </td>
+            </tr>` : "";
+
   // ── Villa cards ───────────────────────────────────────────────────────────
   const cardsHtml = items
     .map((item) => {
@@ -891,6 +1763,8 @@ btn:         "display:block;color:#ffffff;text-decoration:none;font-size:13px;fo
               </td>
             </tr>
     
+            ${shareHtml}
+
             <!-- ══ VILLA CARDS ══ -->
             <tr>
               <td class="pad" style="${S.contentCell}">
@@ -951,10 +1825,6 @@ export async function checkQuotesAvailability(req, res) {
 
 // ─── Helpers ─────────────────────────────────────────────────────────────────
 
-function isYmd(s) {
-  return typeof s === "string" && /^\d{4}-\d{2}-\d{2}$/.test(s);
-}
-
 function money2(n) {
   const x = Number(n);
   return Number.isFinite(x) ? Math.round(x * 100) / 100 : 0;
@@ -1134,7 +2004,7 @@ export async function calculateQuote(req, res) {
     const guestsCount = Math.max(1, Math.floor(Number(req.body?.guests ?? req.body?.guestsCount ?? 1)));
     const commissionPct = clampPct(req.body?.commissionPct ?? 0);
 
-    if (!listingId || !isYmd(checkIn) || !isYmd(checkOut) || new Date(checkIn) >= new Date(checkOut)) {
+    if (!listingId || !isCalendarDate(checkIn) || !isCalendarDate(checkOut) || new Date(checkIn) >= new Date(checkOut)) {
       return res.status(400).json({ ok: false, error: "Parámetros inválidos" });
     }
 
@@ -1,17 +1,51 @@
 import jwt from 'jsonwebtoken';
+import { getUserAccess, evaluateAccess } from '../services/userAccess.service.js';
+import { AuthErrorCode } from '../types.js';
+
+/**
+ * Verifica el access token y el estado actual del usuario (cacheado, no el del token).
+ * @param {boolean} required - si es false, sin token (o con un usuario inactivo) se sigue como anónimo
+ * @param {{ allowInactive?: boolean, ignoreInvalidToken?: boolean }} options - allowInactive deja pasar
+ *   usuarios pending/rejected/con trial vencido (p.ej. /auth/me para mostrarles su estado). Suspendidos
+ *   nunca pasan. ignoreInvalidToken (solo con required=false) sigue como anónimo ante un token
+ *   inválido o vencido en lugar de responder 401.
+ */
+export function auth(required = true, { allowInactive = false, ignoreInvalidToken = false } = {}) {
+  return async (req, res, next) => {
+    // Ya autenticado en este request (p.ej. por la política de la ruta y de nuevo en el router)
+    if (req.user && req.userAccess && (req.userAccess.allowed || allowInactive)) return next();
 
-export function auth(required = true) {
-  return (req, res, next) => {
     const hdr = req.headers.authorization;
     const token = hdr && hdr.startsWith('Bearer ') ? hdr.slice(7) : null;
     if (!token) return required ? res.status(401).json({ message: 'No token' }) : next();
 
+    let payload;
     try {
-      const payload = jwt.verify(token, process.env.JWT_ACCESS_SECRET);
-      req.user = payload; // { sub, role, status }
-      next();
+      payload = jwt.verify(token, process.env.JWT_ACCESS_SECRET);
     } catch (e) {
+      if (!required && ignoreInvalidToken) return next();
       return res.status(401).json({ message: 'Invalid token' });
     }
+
+    let user;
+    try {
+      user = await getUserAccess(payload.sub);
+    } catch (e) {
+      console.error('Error checking user status:', e);
+      return res.status(500).json({ message: 'Internal server error' });
+    }
+    if (!user) return required ? res.status(401).json({ message: 'Invalid token' }) : next();
+
+    const access = evaluateAccess(user);
+    if (!access.allowed && (!allowInactive || access.code === AuthErrorCode.ACCOUNT_SUSPENDED)) {
+      // En rutas opcionales (p.ej. /auth/logout) un usuario inactivo sigue como anónimo
+      if (!required) return next();
+      return res.status(403).json({ message: access.message, code: access.code });
+    }
+
+    // Rol y estado actuales: un cambio hecho por un admin aplica sin esperar a que venza el token
+    req.user = { ...payload, role: user.role, status: user.status }; // { sub, role, status }
+    req.userAccess = access;
+    next();
   };
 }
@@ -0,0 +1,102 @@
+import express from 'express';
+import { auth } from './auth.js';
+import { requireRole } from './requireRole.js';
+
+/**
+ * Autorización por ruta declarada en una tabla central (src/routes/route-policies.js)
+ * y aplicada al montar cada router: los guards se anteponen al stack de cada ruta
+ * (router.get/post/...), antes de sus handlers. Los middlewares de router.use no se
+ * tocan y corren antes que los guards: no deben asumir req.user.
+ *
+ * Una política es:
+ *   Policy.PUBLIC            → sin auth
+ *   Policy.OPTIONAL          → auth(false): req.user si hay token válido
+ *   Policy.AUTHENTICATED     → auth(true), cualquier rol
+ *   Policy.roles('admin')    → auth(true) + requireRole(...)
+ *   { ...política, allowInactive: true } → pasa allowInactive a auth()
+ */
+export const Policy = {
+  PUBLIC: Object.freeze({ auth: 'none' }),
+  OPTIONAL: Object.freeze({ auth: 'optional' }),
+  AUTHENTICATED: Object.freeze({ auth: 'required' }),
+  roles: (...roles) => Object.freeze({ auth: 'required', roles }),
+};
+
+const MUTATING_METHODS = new Set(['post', 'put', 'patch', 'delete', '_all']);
+
+// Rutas montadas y las que quedaron sin política (para assertRoutePolicies)
+const mounted = [];
+
+function guardsFor(policy) {
+  if (policy.auth === 'none') return [];
+
+  const guards = [auth(policy.auth === 'required', { allowInactive: !!policy.allowInactive })];
+  if (policy.roles?.length) guards.push(requireRole(...policy.roles));
+  return guards;
+}
+
+/**
+ * app.use(mountPath, router) aplicando las políticas de `policies[mountPath]`.
+ * Clave de cada política: 'METHOD /path' con el path tal cual está declarado en el router.
+ * Solo se protegen las capas de ruta; los router.use (y sub-routers) quedan sin guard.
+ * @param {import('express').Express} app
+ * @param {string} mountPath
+ * @param {import('express').Router} router
+ * @param {Record<string, Record<string, object>>} policies
+ */
+export function mountWithPolicies(app, mountPath, router, policies) {
+  const table = policies[mountPath] || {};
+  const used = new Set();
+
+  for (const layer of router.stack) {
+    if (!layer.route) continue;
+
+    const { route } = layer;
+    for (const method of Object.keys(route.methods)) {
+      const key = `${method === '_all' ? 'ALL' : method.toUpperCase()} ${route.path}`;
+      const policy = table[key];
+
+      mounted.push({ mountPath, key, method, policy });
+      if (!policy) continue;
+      used.add(key);
+
+      const guards = guardsFor(policy);
+      if (!guards.length) continue;
+
+      // Route temporal para construir las Layers con el mismo method y anteponerlas
+      const guardRoute = new express.Route(route.path);
+      guardRoute[method === '_all' ? 'all' : method](...guards);
+      route.stack.unshift(...guardRoute.stack);
+    }
+  }
+
+  for (const key of Object.keys(table)) {
+    if (!used.has(key)) console.warn(`⚠️ Route policy "${key}" on ${mountPath} matches no route`);
+  }
+
+  app.use(mountPath, router);
+}
+
+/**
+ * Chequeo de arranque: falla si alguna ruta que modifica datos, o cualquier ruta bajo
+ * /admin, no tiene política. El resto de los GET sin política solo generan un warning.
+ * @throws {Error}
+ */
+export function assertRoutePolicies() {
+  const missing = mounted.filter((r) => !r.policy);
+  const isFatal = (r) => MUTATING_METHODS.has(r.method) || isAdminMount(r.mountPath);
+
+  for (const r of missing.filter((r) => !isFatal(r))) {
+    console.warn(`⚠️ No route policy for ${r.key} on ${r.mountPath}`);
+  }
+
+  const fatal = missing.filter(isFatal);
+  if (fatal.length) {
+    const list = fatal.map((r) => `${r.key} on ${r.mountPath}`).join(', ');
+    throw new Error(`Missing route policies for mutating or admin routes: ${list}`);
+  }
+}
+
+function isAdminMount(mountPath) {
+  return mountPath === '/admin' || mountPath.startsWith('/admin/');
+}
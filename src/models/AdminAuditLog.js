@@ -0,0 +1,85 @@
+// src/models/AdminAuditLog.js
+import { pool } from '../db.js';
+
+export class AdminAuditLog {
+  /**
+   * Registra un cambio hecho por un admin. Acepta un client para escribir
+   * en la misma transacción que el cambio auditado.
+   * @param {object} entry
+   * @param {import('pg').PoolClient} [db]
+   * @returns {Promise<object>}
+   */
+  static async record(entry, db = pool) {
+    const { rows } = await db.query(
+      `INSERT INTO admin_audit_log (
+         actor_user_id,
+         target_user_id,
+         action,
+         old_value,
+         new_value,
+         reason,
+         ip,
+         user_agent
+       )
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+       RETURNING *`,
+      [
+        entry.actorUserId || null,
+        entry.targetUserId || null,
+        entry.action,
+        entry.oldValue ?? null,
+        entry.newValue ?? null,
+        entry.reason || null,
+        entry.ip || null,
+        entry.userAgent ? String(entry.userAgent).slice(0, 255) : null,
+      ]
+    );
+    return rows[0];
+  }
+
+  /**
+   * Lista paginada del log, más reciente primero
+   * @param {{ targetUserId?: string, actorUserId?: string, action?: string, limit?: number, offset?: number }} filters
+   * @returns {Promise<{ rows: object[], total: number }>}
+   */
+  static async list({ targetUserId, actorUserId, action, limit = 50, offset = 0 } = {}) {
+    const params = [];
+    const clauses = [];
+
+    if (targetUserId) {
+      params.push(targetUserId);
+      clauses.push(`a.target_user_id = $${params.length}`);
+    }
+    if (actorUserId) {
+      params.push(actorUserId);
+      clauses.push(`a.actor_user_id = $${params.length}`);
+    }
+    if (action) {
+      params.push(action);
+      clauses.push(`a.action = $${params.length}`);
+    }
+
+    const where = clauses.length ? `WHERE ${clauses.join(' AND ')}` : '';
+
+    const [data, count] = await Promise.all([
+      pool.query(
+        `SELECT
+           a.*,
+           actor.email AS actor_email,
+           actor.full_name AS actor_name,
+           target.email AS target_email,
+           target.full_name AS target_name
+         FROM admin_audit_log a
+         LEFT JOIN users actor ON actor.id = a.actor_user_id
+         LEFT JOIN users target ON target.id = a.target_user_id
+         ${where}
+         ORDER BY a.created_at DESC, a.id DESC
+         LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+        [...params, limit, offset]
+      ),
+      pool.query(`SELECT COUNT(*)::int AS total FROM admin_audit_log a ${where}`, params),
+    ]);
+
+    return { rows: data.rows, total: count.rows[0].total };
+  }
+}
@@ -0,0 +1,156 @@
+// src/models/Cart.js
+import { pool } from '../db.js';
+
+export const MAX_CART_ITEMS = 50;
+
+// Datos de la villa siempre desde listings: el cliente solo manda listing_id.
+// Mismo shape que espera generateCartPdf y createDraftQuote.
+const ITEM_COLUMNS = `
+  c.listing_id AS id,
+  l.name,
+  COALESCE(l.villanet_destination_tag, l.villanet_city, l.city, '') AS location,
+  l.bedrooms,
+  l.bathrooms,
+  l.price_usd AS "priceUSD",
+  COALESCE(NULLIF(l.hero_image_url, ''), l.images_json->>0) AS "imageUrl",
+  l.guesty_booking_domain AS "guestyBookingDomain",
+  COALESCE(l.is_listed, false) AS "isListed",
+  COALESCE(l.villanet_enabled, false) AS "isEnabled",
+  (l.listing_id IS NOT NULL) AS "exists",
+  c.position,
+  c.added_at AS "addedAt"
+`;
+
+export class Cart {
+  /**
+   * Items del carrito del usuario, en orden, enriquecidos desde listings
+   * @param {string} userId
+   * @returns {Promise<object[]>}
+   */
+  static async getItems(userId) {
+    const { rows } = await pool.query(
+      `SELECT ${ITEM_COLUMNS}
+       FROM cart_items c
+       LEFT JOIN listings l ON l.listing_id = c.listing_id
+       WHERE c.user_id = $1
+       ORDER BY c.position ASC, c.added_at ASC`,
+      [userId]
+    );
+    return rows;
+  }
+
+  /**
+   * Enriquece una lista de listing_ids (en el orden recibido) sin tocar el carrito guardado.
+   * Se usa para exportar selecciones que todavía vienen del cliente.
+   * @param {string[]} listingIds
+   * @returns {Promise<object[]>}
+   */
+  static async enrichListingIds(listingIds) {
+    if (!listingIds.length) return [];
+
+    const { rows } = await pool.query(
+      `SELECT ${ITEM_COLUMNS}
+       FROM (
+         SELECT u.listing_id, (u.ord - 1)::int AS position, NULL::timestamptz AS added_at
+         FROM unnest($1::text[]) WITH ORDINALITY AS u(listing_id, ord)
+       ) c
+       LEFT JOIN listings l ON l.listing_id = c.listing_id
+       ORDER BY c.position`,
+      [listingIds]
+    );
+    return rows;
+  }
+
+  /**
+   * Agrega una villa al final del carrito. Si ya estaba, no hace nada.
+   * @returns {Promise<{ added: boolean, reason?: string }>}
+   */
+  static async addItem(userId, listingId) {
+    const listing = await pool.query(
+      `SELECT listing_id, COALESCE(is_listed, false) AS is_listed FROM listings WHERE listing_id = $1`,
+      [listingId]
+    );
+    if (!listing.rows.length) return { added: false, reason: 'LISTING_NOT_FOUND' };
+    if (!listing.rows[0].is_listed) return { added: false, reason: 'LISTING_UNAVAILABLE' };
+
+    const { rows } = await pool.query(
+      `INSERT INTO cart_items (user_id, listing_id, position)
+       SELECT $1, $2, COALESCE(MAX(position) + 1, 0)
+       FROM cart_items
+       WHERE user_id = $1
+       HAVING COUNT(*) < $3
+       ON CONFLICT (user_id, listing_id) DO NOTHING
+       RETURNING listing_id`,
+      [userId, listingId, MAX_CART_ITEMS]
+    );
+
+    if (rows.length) return { added: true };
+
+    const exists = await pool.query(
+      `SELECT 1 FROM cart_items WHERE user_id = $1 AND listing_id = $2`,
+      [userId, listingId]
+    );
+    return exists.rows.length ? { added: false, reason: 'ALREADY_IN_CART' } : { added: false, reason: 'CART_FULL' };
+  }
+
+  /**
+   * Quita una villa del carrito
+   * @returns {Promise<boolean>} false si no estaba
+   */
+  static async removeItem(userId, listingId) {
+    const { rowCount } = await pool.query(
+      `DELETE FROM cart_items WHERE user_id = $1 AND listing_id = $2`,
+      [userId, listingId]
+    );
+    return rowCount > 0;
+  }
+
+  /**
+   * Reordena el carrito. `listingIds` debe contener exactamente las villas del carrito.
+   * @returns {Promise<boolean>} false si la lista no coincide con el carrito
+   */
+  static async reorder(userId, listingIds) {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const current = await client.query(
+        `SELECT listing_id FROM cart_items WHERE user_id = $1 FOR UPDATE`,
+        [userId]
+      );
+      const currentIds = new Set(current.rows.map((r) => r.listing_id));
+      const sameItems =
+        listingIds.length === currentIds.size &&
+        new Set(listingIds).size === listingIds.length &&
+        listingIds.every((id) => currentIds.has(id));
+
+      if (!sameItems) {
+        await client.query('ROLLBACK');
+        return false;
+      }
+
+      await client.query(
+        `UPDATE cart_items c
+         SET position = o.position - 1
+         FROM unnest($2::text[]) WITH ORDINALITY AS o(listing_id, position)
+         WHERE c.user_id = $1 AND c.listing_id = o.listing_id`,
+        [userId, listingIds]
+      );
+
+      await client.query('COMMIT');
+      return true;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Vacía el carrito (acepta un client para usarlo dentro de una transacción)
+   */
+  static async clear(userId, db = pool) {
+    await db.query(`DELETE FROM cart_items WHERE user_id = $1`, [userId]);
+  }
+}
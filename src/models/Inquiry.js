@@ -0,0 +1,201 @@
+// src/models/Inquiry.js
+import { pool } from '../db.js';
+import { InquiryStatus, Roles } from '../types.js';
+
+// Transiciones permitidas: new → responded → booked/declined
+const ALLOWED_TRANSITIONS = {
+  [InquiryStatus.NEW]: [InquiryStatus.RESPONDED],
+  [InquiryStatus.RESPONDED]: [InquiryStatus.RESPONDED, InquiryStatus.BOOKED, InquiryStatus.DECLINED],
+  [InquiryStatus.BOOKED]: [],
+  [InquiryStatus.DECLINED]: [],
+};
+
+const SELECT_COLUMNS = `
+  i.id,
+  i.source,
+  i.source_id,
+  i.listing_id,
+  COALESCE(i.property_name, l.name) AS property_name,
+  i.check_in,
+  i.check_out,
+  i.guests,
+  i.guest_name,
+  i.guest_email,
+  i.guest_phone,
+  i.message,
+  i.status,
+  i.response,
+  i.responded_by_user_id,
+  i.responded_at,
+  i.closed_at,
+  i.created_at,
+  i.updated_at
+`;
+
+export class Inquiry {
+  /**
+   * Registra una consulta entrante en la bandeja PMC
+   * @param {object} data
+   * @returns {Promise<object>}
+   */
+  static async create(data) {
+    const query = `
+      INSERT INTO pmc_inquiries (
+        source,
+        source_id,
+        listing_id,
+        property_name,
+        check_in,
+        check_out,
+        guests,
+        guest_name,
+        guest_email,
+        guest_phone,
+        message
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+      RETURNING *
+    `;
+
+    const guests = parseInt(data.guests, 10);
+
+    const values = [
+      data.source,
+      data.source_id != null ? String(data.source_id) : null,
+      data.listing_id || null,
+      data.property_name || null,
+      data.check_in || null,
+      data.check_out || null,
+      Number.isFinite(guests) ? guests : null,
+      data.guest_name || null,
+      data.guest_email ? String(data.guest_email).toLowerCase().trim() : null,
+      data.guest_phone || null,
+      data.message || null,
+    ];
+
+    const { rows } = await pool.query(query, values);
+    return rows[0];
+  }
+
+  /**
+   * Condición SQL que limita las consultas a los listings que gestiona el usuario.
+   * Admin ve todo; un PMC las de listings de sus property managers vinculados
+   * o cuyo email de partner/propiedad es el suyo.
+   * @param {{ role: string, id: string, email: string }} user
+   * @param {any[]} params - se le agregan los parámetros necesarios
+   * @returns {string|null}
+   */
+  static scopeClause(user, params) {
+    if (user.role === Roles.ADMIN) return null;
+
+    params.push(String(user.email || '').toLowerCase());
+    const emailIdx = params.length;
+    params.push(user.id);
+    const userIdx = params.length;
+    return `EXISTS (
+      SELECT 1 FROM listings ls
+      WHERE ls.listing_id = i.listing_id
+        AND (
+          LOWER(ls.villanet_partner_reservation_email) = $${emailIdx}
+          OR LOWER(ls.villanet_property_email) = $${emailIdx}
+          OR ls.listing_property_manager_id IN (
+            SELECT pmu.listing_property_manager_id
+            FROM listing_property_manager_users pmu
+            WHERE pmu.user_id = $${userIdx}
+          )
+        )
+    )`;
+  }
+
+  /**
+   * Lista paginada de consultas visibles para el usuario
+   * @param {{ role: string, email: string }} user
+   * @param {{ status?: string, listingId?: string, limit?: number, offset?: number }} filters
+   * @returns {Promise<{ rows: object[], total: number }>}
+   */
+  static async listForUser(user, { status, listingId, limit = 50, offset = 0 } = {}) {
+    const params = [];
+    const clauses = [];
+
+    const scope = Inquiry.scopeClause(user, params);
+    if (scope) clauses.push(scope);
+
+    if (status) {
+      params.push(status);
+      clauses.push(`i.status = $${params.length}`);
+    }
+
+    if (listingId) {
+      params.push(listingId);
+      clauses.push(`i.listing_id = $${params.length}`);
+    }
+
+    const where = clauses.length ? `WHERE ${clauses.join(' AND ')}` : '';
+
+    const [data, count] = await Promise.all([
+      pool.query(
+        `SELECT ${SELECT_COLUMNS}
+         FROM pmc_inquiries i
+         LEFT JOIN listings l ON l.listing_id = i.listing_id
+         ${where}
+         ORDER BY i.created_at DESC
+         LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+        [...params, limit, offset]
+      ),
+      pool.query(`SELECT COUNT(*)::int AS total FROM pmc_inquiries i ${where}`, params),
+    ]);
+
+    return { rows: data.rows, total: count.rows[0].total };
+  }
+
+  /**
+   * Busca una consulta por id, respetando el scope del usuario
+   * @returns {Promise<object|null>}
+   */
+  static async findForUser(user, id) {
+    if (!/^\d+$/.test(String(id))) return null;
+
+    const params = [id];
+    const scope = Inquiry.scopeClause(user, params);
+
+    const { rows } = await pool.query(
+      `SELECT ${SELECT_COLUMNS}
+       FROM pmc_inquiries i
+       LEFT JOIN listings l ON l.listing_id = i.listing_id
+       WHERE i.id = $1 ${scope ? `AND ${scope}` : ''}
+       LIMIT 1`,
+      params
+    );
+    return rows[0] || null;
+  }
+
+  /**
+   * ¿Se puede pasar de `from` a `to`?
+   */
+  static canTransition(from, to) {
+    return (ALLOWED_TRANSITIONS[from] || []).includes(to);
+  }
+
+  /**
+   * Cambia el estado (y opcionalmente guarda la respuesta del PMC).
+   * El UPDATE vuelve a chequear el estado previo para no pisar cambios concurrentes.
+   * @returns {Promise<object|null>} null si el estado cambió entremedio
+   */
+  static async transition(id, { from, to, response, userId }) {
+    const isClosing = to === InquiryStatus.BOOKED || to === InquiryStatus.DECLINED;
+
+    const { rows } = await pool.query(
+      `UPDATE pmc_inquiries
+       SET status = $3,
+           response = COALESCE($4, response),
+           responded_by_user_id = CASE WHEN $4::text IS NOT NULL THEN $5 ELSE responded_by_user_id END,
+           responded_at = CASE WHEN $4::text IS NOT NULL THEN NOW() ELSE responded_at END,
+           closed_at = CASE WHEN $6 THEN NOW() ELSE closed_at END,
+           updated_at = NOW()
+       WHERE id = $1 AND status = $2
+       RETURNING *`,
+      [id, from, to, response ?? null, userId || null, isClosing]
+    );
+    return rows[0] || null;
+  }
+}
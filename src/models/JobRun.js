@@ -0,0 +1,168 @@
+// src/models/JobRun.js
+import { pool } from '../db.js';
+import { JobRunStatus } from '../types.js';
+
+// Una corrida 'running' sin heartbeat en este lapso quedó huérfana (su proceso murió)
+const LOST_AFTER_SEC = 120;
+
+const SUMMARY_COLUMNS = `
+  r.id,
+  r.job_name AS "jobName",
+  r.lock_key AS "lockKey",
+  r.trigger_source AS "trigger",
+  r.triggered_by AS "triggeredBy",
+  r.status,
+  r.exit_code AS "exitCode",
+  r.error,
+  r.host,
+  r.pid,
+  r.started_at AS "startedAt",
+  r.heartbeat_at AS "heartbeatAt",
+  r.finished_at AS "finishedAt",
+  r.cancel_requested_at AS "cancelRequestedAt",
+  r.cancel_requested_by AS "cancelRequestedBy"
+`;
+
+export class JobRun {
+  /**
+   * @param {{ jobName: string, lockKey: string, trigger: string, triggeredBy?: string|null, status?: string, host?: string, error?: string|null }} run
+   * @returns {Promise<object>}
+   */
+  static async create({ jobName, lockKey, trigger, triggeredBy = null, status = JobRunStatus.RUNNING, host = null, error = null }) {
+    const { rows } = await pool.query(
+      `INSERT INTO job_runs AS r (job_name, lock_key, trigger_source, triggered_by, status, host, error, finished_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, CASE WHEN $5 = 'running' THEN NULL ELSE NOW() END)
+       RETURNING ${SUMMARY_COLUMNS}`,
+      [jobName, lockKey, trigger, triggeredBy, status, host, error]
+    );
+    return rows[0];
+  }
+
+  /**
+   * Heartbeat + output parcial. Devuelve si alguien pidió cancelar la corrida.
+   * @returns {Promise<boolean>}
+   */
+  static async heartbeat(id, { output, pid = null }) {
+    const { rows } = await pool.query(
+      `UPDATE job_runs
+       SET heartbeat_at = NOW(), output = $2, pid = COALESCE($3, pid)
+       WHERE id = $1 AND status = 'running'
+       RETURNING cancel_requested_at IS NOT NULL AS "cancelRequested"`,
+      [id, output, pid]
+    );
+    return rows[0]?.cancelRequested === true;
+  }
+
+  static async finish(id, { status, exitCode = null, error = null, output }) {
+    const { rows } = await pool.query(
+      `UPDATE job_runs AS r
+       SET status = $2, exit_code = $3, error = $4, output = $5, heartbeat_at = NOW(), finished_at = NOW()
+       WHERE id = $1
+       RETURNING ${SUMMARY_COLUMNS}`,
+      [id, status, exitCode, error, output]
+    );
+    return rows[0] || null;
+  }
+
+  /**
+   * Marca el pedido de cancelación; el proceso que corre el job lo ve en su próximo heartbeat
+   * @returns {Promise<object|null>} null si la corrida no existe o ya no está corriendo
+   */
+  static async requestCancel(id, userId) {
+    const { rows } = await pool.query(
+      `UPDATE job_runs AS r
+       SET cancel_requested_at = COALESCE(cancel_requested_at, NOW()),
+           cancel_requested_by = COALESCE(cancel_requested_by, $2)
+       WHERE id = $1 AND status = 'running'
+       RETURNING ${SUMMARY_COLUMNS}`,
+      [id, userId || null]
+    );
+    return rows[0] || null;
+  }
+
+  /**
+   * Cierra como 'lost' las corridas cuyo proceso dejó de dar heartbeat
+   * (su advisory lock ya se liberó al cortarse la conexión)
+   */
+  static async markLost() {
+    const { rowCount } = await pool.query(
+      `UPDATE job_runs
+       SET status = 'lost', finished_at = NOW(),
+           error = COALESCE(error, 'Runner stopped sending heartbeats')
+       WHERE status = 'running'
+         AND heartbeat_at < NOW() - $1 * INTERVAL '1 second'`,
+      [LOST_AFTER_SEC]
+    );
+    return rowCount;
+  }
+
+  /**
+   * @returns {Promise<object|null>} con output
+   */
+  static async findById(id) {
+    const { rows } = await pool.query(
+      `SELECT ${SUMMARY_COLUMNS}, r.output FROM job_runs r WHERE r.id = $1`,
+      [id]
+    );
+    return rows[0] || null;
+  }
+
+  static async findRunningByLock(lockKey) {
+    const { rows } = await pool.query(
+      `SELECT ${SUMMARY_COLUMNS} FROM job_runs r
+       WHERE r.lock_key = $1 AND r.status = 'running'
+       ORDER BY r.started_at DESC
+       LIMIT 1`,
+      [lockKey]
+    );
+    return rows[0] || null;
+  }
+
+  /**
+   * Última corrida de cada job (sin output)
+   * @returns {Promise<Map<string, object>>} jobName → corrida
+   */
+  static async latestByJob() {
+    const { rows } = await pool.query(
+      `SELECT DISTINCT ON (r.job_name) ${SUMMARY_COLUMNS}
+       FROM job_runs r
+       WHERE r.status <> 'skipped'
+       ORDER BY r.job_name, r.started_at DESC`
+    );
+    return new Map(rows.map((r) => [r.jobName, r]));
+  }
+
+  /**
+   * Historial paginado, más reciente primero (sin output)
+   * @param {{ jobName?: string, status?: string, limit?: number, offset?: number }} filters
+   * @returns {Promise<{ rows: object[], total: number }>}
+   */
+  static async list({ jobName, status, limit = 50, offset = 0 } = {}) {
+    const params = [];
+    const clauses = [];
+
+    if (jobName) {
+      params.push(jobName);
+      clauses.push(`r.job_name = $${params.length}`);
+    }
+    if (status) {
+      params.push(status);
+      clauses.push(`r.status = $${params.length}`);
+    }
+
+    const whereSQL = clauses.length ? `WHERE ${clauses.join(' AND ')}` : '';
+
+    const [list, count] = await Promise.all([
+      pool.query(
+        `SELECT ${SUMMARY_COLUMNS} FROM job_runs r
+         ${whereSQL}
+         ORDER BY r.started_at DESC
+         LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+        [...params, limit, offset]
+      ),
+      pool.query(`SELECT COUNT(*)::int AS total FROM job_runs r ${whereSQL}`, params),
+    ]);
+
+    return { rows: list.rows, total: count.rows[0].total };
+  }
+}
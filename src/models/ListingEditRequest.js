@@ -0,0 +1,199 @@
+// src/models/ListingEditRequest.js
+import { pool } from '../db.js';
+import { EditRequestStatus } from '../types.js';
+
+// Campos VillaNet que un PMC puede proponer para sus listings (el resto lo maneja el sync/admin)
+export const PMC_EDITABLE_FIELDS = {
+  villanet_description: { type: 'text', max: 10000 },
+  villanet_concierge_info: { type: 'text', max: 5000 },
+  villanet_pmc_information: { type: 'text', max: 5000 },
+  villanet_staff_gratuity_guideline: { type: 'text', max: 2000 },
+  villanet_avg_response_time_hours: { type: 'number', min: 0, max: 720 },
+};
+
+const SELECT_COLUMNS = `
+  r.id,
+  r.listing_id,
+  l.name AS listing_name,
+  r.submitted_by_user_id,
+  u.email AS submitted_by_email,
+  u.full_name AS submitted_by_name,
+  r.changes,
+  r.previous_values,
+  r.status,
+  r.review_note,
+  r.reviewed_by_user_id,
+  r.reviewed_at,
+  r.created_at
+`;
+
+export class ListingEditRequest {
+  /**
+   * Valida el body contra PMC_EDITABLE_FIELDS. Campos desconocidos son error;
+   * '' o null borran el valor.
+   * @param {object} body
+   * @returns {{ changes: object, errors: string[] }}
+   */
+  static sanitizeChanges(body) {
+    const changes = {};
+    const errors = [];
+
+    for (const [field, value] of Object.entries(body || {})) {
+      const spec = PMC_EDITABLE_FIELDS[field];
+      if (!spec) {
+        errors.push(`${field} is not editable`);
+        continue;
+      }
+
+      if (value === null || value === '') {
+        changes[field] = null;
+      } else if (spec.type === 'number') {
+        const n = Number(value);
+        if (!Number.isFinite(n) || n < spec.min || n > spec.max) {
+          errors.push(`${field} must be a number between ${spec.min} and ${spec.max}`);
+        } else {
+          changes[field] = n;
+        }
+      } else {
+        const text = String(value).trim();
+        if (text.length > spec.max) {
+          errors.push(`${field} must be at most ${spec.max} characters`);
+        } else {
+          changes[field] = text || null;
+        }
+      }
+    }
+
+    return { changes, errors };
+  }
+
+  /**
+   * Valores actuales de los campos editables del listing
+   * @returns {Promise<object|null>} null si el listing no existe
+   */
+  static async currentValues(listingId, db = pool) {
+    const fields = Object.keys(PMC_EDITABLE_FIELDS);
+    const { rows } = await db.query(
+      `SELECT ${fields.join(', ')} FROM listings WHERE listing_id = $1`,
+      [listingId]
+    );
+    return rows[0] || null;
+  }
+
+  /**
+   * Aplica cambios (ya validados) sobre listings
+   * @param {import('pg').PoolClient} db
+   */
+  static async applyChanges(db, listingId, changes) {
+    const fields = Object.keys(changes).filter((f) => PMC_EDITABLE_FIELDS[f]);
+    if (!fields.length) return;
+
+    const sets = fields.map((f, i) => `${f} = $${i + 2}`);
+    await db.query(
+      `UPDATE listings SET ${sets.join(', ')}, updated_at = NOW() WHERE listing_id = $1`,
+      [listingId, ...fields.map((f) => changes[f])]
+    );
+  }
+
+  /**
+   * Registra un cambio propuesto por un PMC (queda pendiente de revisión)
+   * @returns {Promise<object>}
+   */
+  static async create({ listingId, userId, changes, previousValues }) {
+    const { rows } = await pool.query(
+      `INSERT INTO listing_edit_requests (listing_id, submitted_by_user_id, changes, previous_values)
+       VALUES ($1, $2, $3, $4)
+       RETURNING *`,
+      [listingId, userId, JSON.stringify(changes), JSON.stringify(previousValues || {})]
+    );
+    return rows[0];
+  }
+
+  /**
+   * Lista paginada, más reciente primero
+   * @param {{ status?: string, listingId?: string, submittedBy?: string, limit?: number, offset?: number }} filters
+   * @returns {Promise<{ rows: object[], total: number }>}
+   */
+  static async list({ status, listingId, submittedBy, limit = 50, offset = 0 } = {}) {
+    const params = [];
+    const clauses = [];
+
+    if (status) {
+      params.push(status);
+      clauses.push(`r.status = $${params.length}`);
+    }
+    if (listingId) {
+      params.push(listingId);
+      clauses.push(`r.listing_id = $${params.length}`);
+    }
+    if (submittedBy) {
+      params.push(submittedBy);
+      clauses.push(`r.submitted_by_user_id = $${params.length}`);
+    }
+
+    const where = clauses.length ? `WHERE ${clauses.join(' AND ')}` : '';
+
+    const [data, count] = await Promise.all([
+      pool.query(
+        `SELECT ${SELECT_COLUMNS}
+         FROM listing_edit_requests r
+         LEFT JOIN listings l ON l.listing_id = r.listing_id
+         LEFT JOIN users u ON u.id = r.submitted_by_user_id
+         ${where}
+         ORDER BY r.created_at DESC, r.id DESC
+         LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+        [...params, limit, offset]
+      ),
+      pool.query(`SELECT COUNT(*)::int AS total FROM listing_edit_requests r ${where}`, params),
+    ]);
+
+    return { rows: data.rows, total: count.rows[0].total };
+  }
+
+  /**
+   * Aprueba o rechaza un cambio pendiente. Al aprobar, los cambios se aplican al
+   * listing en la misma transacción.
+   * @param {string|number} id
+   * @param {{ approve: boolean, reviewerId: string, note?: string }} review
+   * @returns {Promise<{ request?: object, error?: 'NOT_FOUND'|'ALREADY_REVIEWED' }>}
+   */
+  static async review(id, { approve, reviewerId, note = null }) {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const { rows } = await client.query(
+        `SELECT * FROM listing_edit_requests WHERE id = $1 FOR UPDATE`,
+        [id]
+      );
+      if (!rows.length) {
+        await client.query('ROLLBACK');
+        return { error: 'NOT_FOUND' };
+      }
+      if (rows[0].status !== EditRequestStatus.PENDING) {
+        await client.query('ROLLBACK');
+        return { error: 'ALREADY_REVIEWED' };
+      }
+
+      if (approve) {
+        await ListingEditRequest.applyChanges(client, rows[0].listing_id, rows[0].changes);
+      }
+
+      const updated = await client.query(
+        `UPDATE listing_edit_requests
+         SET status = $2, review_note = $3, reviewed_by_user_id = $4, reviewed_at = NOW()
+         WHERE id = $1
+         RETURNING *`,
+        [id, approve ? EditRequestStatus.APPROVED : EditRequestStatus.REJECTED, note, reviewerId]
+      );
+
+      await client.query('COMMIT');
+      return { request: updated.rows[0] };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+}
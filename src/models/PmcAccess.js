@@ -0,0 +1,109 @@
+// src/models/PmcAccess.js
+import { pool } from '../db.js';
+import { Roles } from '../types.js';
+
+/**
+ * Vínculo entre usuarios PMC y los listing_property_managers que gestionan.
+ * Un PMC "es dueño" de un listing cuando el listing_property_manager_id del listing
+ * está vinculado a su usuario.
+ */
+export class PmcAccess {
+  /**
+   * Condición SQL que limita un query sobre listings a los del usuario.
+   * Admin ve todo (null).
+   * @param {{ role: string, sub?: string, id?: string }} user
+   * @param {any[]} params - se le agrega el user id
+   * @param {string} [alias] - alias de la tabla listings en el query
+   * @returns {string|null}
+   */
+  static listingScope(user, params, alias = 'l') {
+    if (user.role === Roles.ADMIN) return null;
+
+    params.push(user.sub || user.id);
+    const col = alias ? `${alias}.listing_property_manager_id` : 'listing_property_manager_id';
+    return `${col} IN (
+      SELECT pmu.listing_property_manager_id
+      FROM listing_property_manager_users pmu
+      WHERE pmu.user_id = $${params.length}
+    )`;
+  }
+
+  /**
+   * ¿El usuario puede editar el listing? Admin siempre.
+   * @returns {Promise<boolean>}
+   */
+  static async ownsListing(user, listingId) {
+    if (user.role === Roles.ADMIN) return true;
+
+    const { rows } = await pool.query(
+      `SELECT 1
+       FROM listings l
+       JOIN listing_property_manager_users pmu
+         ON pmu.listing_property_manager_id = l.listing_property_manager_id
+       WHERE l.listing_id = $1 AND pmu.user_id = $2
+       LIMIT 1`,
+      [listingId, user.sub || user.id]
+    );
+    return rows.length > 0;
+  }
+
+  /**
+   * Property managers vinculados al usuario, con la cantidad de listings de cada uno
+   * @param {string} userId
+   * @returns {Promise<object[]>}
+   */
+  static async managersForUser(userId) {
+    const { rows } = await pool.query(
+      `SELECT
+         pm.id,
+         pm.name,
+         pm.logo_url,
+         pmu.created_at AS linked_at,
+         (SELECT COUNT(*)::int FROM listings l WHERE l.listing_property_manager_id = pm.id) AS listings_count
+       FROM listing_property_manager_users pmu
+       JOIN listing_property_managers pm ON pm.id = pmu.listing_property_manager_id
+       WHERE pmu.user_id = $1
+       ORDER BY pm.name`,
+      [userId]
+    );
+    return rows;
+  }
+
+  /**
+   * Vincula un usuario a un property manager
+   * @returns {Promise<boolean>} false si ya estaba vinculado
+   */
+  static async linkUser(userId, propertyManagerId, createdByUserId = null, db = pool) {
+    const { rowCount } = await db.query(
+      `INSERT INTO listing_property_manager_users (user_id, listing_property_manager_id, created_by_user_id)
+       VALUES ($1, $2, $3)
+       ON CONFLICT (user_id, listing_property_manager_id) DO NOTHING`,
+      [userId, propertyManagerId, createdByUserId]
+    );
+    return rowCount > 0;
+  }
+
+  /**
+   * Quita el vínculo
+   * @returns {Promise<boolean>} false si no existía
+   */
+  static async unlinkUser(userId, propertyManagerId, db = pool) {
+    const { rowCount } = await db.query(
+      `DELETE FROM listing_property_manager_users
+       WHERE user_id = $1 AND listing_property_manager_id = $2`,
+      [userId, propertyManagerId]
+    );
+    return rowCount > 0;
+  }
+
+  /**
+   * @returns {Promise<object|null>}
+   */
+  static async findPropertyManager(propertyManagerId) {
+    const { rows } = await pool.query(
+      `SELECT id, name, logo_url FROM listing_property_managers WHERE id = $1`,
+      [propertyManagerId]
+    );
+    return rows[0] || null;
+  }
+}
@@ -0,0 +1,234 @@
+// src/models/SavedSearch.js
+import { pool } from '../db.js';
+import { Status } from '../types.js';
+import { isCalendarDate } from '../utils/dates.js';
+
+export const MAX_SAVED_SEARCHES_PER_USER = 25;
+
+// Claves del query de GET /listings que se guardan (paginación, cursor y facets no)
+export const SAVED_SEARCH_KEYS = [
+  'q',
+  'destination',
+  'destinations',
+  'bedrooms',
+  'bathrooms',
+  'guests',
+  'minPrice',
+  'maxPrice',
+  'maxTotalBudget',
+  'badges',
+  'amenities',
+  'checkIn',
+  'checkOut',
+  'near',
+  'radiusKm',
+  'polygon',
+  'sort',
+];
+
+const SELECT_COLUMNS = `
+  s.id,
+  s.name,
+  s.query,
+  s.alerts_enabled AS "alertsEnabled",
+  s.last_run_at AS "lastRunAt",
+  s.last_alerted_at AS "lastAlertedAt",
+  s.created_at AS "createdAt",
+  s.updated_at AS "updatedAt"
+`;
+
+export class SavedSearch {
+  /**
+   * Se queda solo con SAVED_SEARCH_KEYS (strings no vacíos) y valida las fechas.
+   * Los filtros geo los valida buildSearchFilters en la ruta.
+   * @param {object} query
+   * @returns {{ query: object, errors: string[] }}
+   */
+  static sanitizeQuery(query) {
+    const clean = {};
+    const errors = [];
+
+    if (!query || typeof query !== 'object' || Array.isArray(query)) {
+      return { query: clean, errors: ['query must be an object'] };
+    }
+
+    for (const key of SAVED_SEARCH_KEYS) {
+      const value = query[key];
+      if (value === undefined || value === null) continue;
+
+      const text = (typeof value === 'object' ? JSON.stringify(value) : String(value)).trim();
+      if (text) clean[key] = text;
+    }
+
+    const { checkIn, checkOut } = clean;
+    if (checkIn || checkOut) {
+      if (!isCalendarDate(checkIn) || !isCalendarDate(checkOut)) {
+        errors.push('checkIn and checkOut must both be valid YYYY-MM-DD dates');
+      } else if (checkOut <= checkIn) {
+        errors.push('checkOut must be after checkIn');
+      }
+    }
+
+    if (!Object.keys(clean).length) errors.push('query must include at least one filter');
+    return { query: clean, errors };
+  }
+
+  /**
+   * @param {string} userId
+   * @returns {Promise<object[]>}
+   */
+  static async list(userId) {
+    const { rows } = await pool.query(
+      `SELECT ${SELECT_COLUMNS}
+       FROM saved_searches s
+       WHERE s.user_id = $1
+       ORDER BY s.created_at DESC`,
+      [userId]
+    );
+    return rows;
+  }
+
+  /**
+   * @returns {Promise<{ search?: object, error?: 'LIMIT_REACHED' }>}
+   */
+  static async create(userId, { name, query, alertsEnabled = true }) {
+    const { rows: countRows } = await pool.query(
+      `SELECT COUNT(*)::int AS total FROM saved_searches WHERE user_id = $1`,
+      [userId]
+    );
+    if (countRows[0].total >= MAX_SAVED_SEARCHES_PER_USER) {
+      return { error: 'LIMIT_REACHED' };
+    }
+
+    const { rows } = await pool.query(
+      `INSERT INTO saved_searches AS s (user_id, name, query, alerts_enabled)
+       VALUES ($1, $2, $3, $4)
+       RETURNING ${SELECT_COLUMNS}`,
+      [userId, name, JSON.stringify(query), alertsEnabled]
+    );
+    return { search: rows[0] };
+  }
+
+  /**
+   * Cambiar el query borra la foto de matches: la próxima corrida arma una base nueva
+   * en vez de avisar por todas las villas del query nuevo.
+   * @param {{ name?: string, query?: object, alertsEnabled?: boolean }} changes
+   * @returns {Promise<object|null>} null si no existe o no es del usuario
+   */
+  static async update(id, userId, { name, query, alertsEnabled }) {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const { rows } = await client.query(
+        `UPDATE saved_searches AS s
+         SET name = COALESCE($3, s.name),
+             query = COALESCE($4::jsonb, s.query),
+             alerts_enabled = COALESCE($5, s.alerts_enabled),
+             last_run_at = CASE WHEN $4::jsonb IS NULL THEN s.last_run_at ELSE NULL END,
+             updated_at = NOW()
+         WHERE s.id = $1 AND s.user_id = $2
+         RETURNING ${SELECT_COLUMNS}`,
+        [id, userId, name ?? null, query ? JSON.stringify(query) : null, alertsEnabled ?? null]
+      );
+
+      if (rows[0] && query) {
+        await client.query(`DELETE FROM saved_search_matches WHERE saved_search_id = $1`, [id]);
+      }
+
+      await client.query('COMMIT');
+      return rows[0] || null;
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * @returns {Promise<boolean>}
+   */
+  static async remove(id, userId) {
+    const { rowCount } = await pool.query(
+      `DELETE FROM saved_searches WHERE id = $1 AND user_id = $2`,
+      [id, userId]
+    );
+    return rowCount > 0;
+  }
+
+  /**
+   * Búsquedas con alertas, sin usuarios suspendidos/rechazados. Trae status y
+   * trial_expires_at para que el caller aplique evaluateAccess (pending con trial vencido).
+   * @returns {Promise<object[]>}
+   */
+  static async listForAlerts() {
+    const { rows } = await pool.query(
+      `SELECT ${SELECT_COLUMNS}, u.email, u.full_name AS "fullName", u.status, u.trial_expires_at
+       FROM saved_searches s
+       JOIN users u ON u.id = s.user_id
+       WHERE s.alerts_enabled = true
+         AND u.status NOT IN ($1, $2)
+       ORDER BY s.id`,
+      [Status.SUSPENDED, Status.REJECTED]
+    );
+    return rows;
+  }
+
+  /**
+   * Foto de la última corrida: listing_id → precio de referencia
+   * @returns {Promise<Map<string, number|null>>}
+   */
+  static async previousMatches(id) {
+    const { rows } = await pool.query(
+      `SELECT listing_id, price_usd FROM saved_search_matches WHERE saved_search_id = $1`,
+      [id]
+    );
+    return new Map(rows.map((r) => [r.listing_id, r.price_usd !== null ? Number(r.price_usd) : null]));
+  }
+
+  /**
+   * Reemplaza la foto de matches y marca la corrida
+   * @param {{ listingId: string, priceUSD: number|null }[]} matches
+   * @param {{ alerted: boolean }} options
+   */
+  static async recordRun(id, matches, { alerted }) {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const ids = matches.map((m) => m.listingId);
+      await client.query(
+        `DELETE FROM saved_search_matches
+         WHERE saved_search_id = $1 AND NOT (listing_id = ANY($2::text[]))`,
+        [id, ids]
+      );
+
+      if (matches.length) {
+        await client.query(
+          `INSERT INTO saved_search_matches (saved_search_id, listing_id, price_usd)
+           SELECT $1, m.listing_id, m.price_usd
+           FROM unnest($2::text[], $3::numeric[]) AS m(listing_id, price_usd)
+           ON CONFLICT (saved_search_id, listing_id) DO UPDATE
+           SET price_usd = EXCLUDED.price_usd, last_seen_at = NOW()`,
+          [id, ids, matches.map((m) => m.priceUSD)]
+        );
+      }
+
+      await client.query(
+        `UPDATE saved_searches
+         SET last_run_at = NOW(),
+             last_alerted_at = CASE WHEN $2::boolean THEN NOW() ELSE last_alerted_at END
+         WHERE id = $1`,
+        [id, alerted]
+      );
+
+      await client.query('COMMIT');
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+  }
+}
@@ -0,0 +1,110 @@
+import { Router } from 'express';
+import { JobRun } from '../models/JobRun.js';
+import { JobRunStatus, JobTrigger } from '../types.js';
+import { startJob, cancelJobRun, listJobs } from '../services/jobRunner.service.js';
+
+// Solo admin: ver '/admin/jobs' en route-policies.js
+const r = Router();
+
+const RUN_STATUSES = new Set(Object.values(JobRunStatus));
+
+function parsePaging(query, defaultLimit = 50) {
+  const page = Math.max(1, parseInt(query.page) || 1);
+  const limit = Math.min(200, Math.max(1, parseInt(query.limit) || defaultLimit));
+  return { page, limit, offset: (page - 1) * limit };
+}
+
+/**
+ * GET /admin/jobs
+ * Jobs registrados (jobRegistry.js) con su última corrida
+ */
+r.get('/', async (_req, res) => {
+  try {
+    res.json({ jobs: await listJobs() });
+  } catch (err) {
+    console.error('❌ Error loading jobs:', err);
+    res.status(500).json({ message: 'Failed to load jobs' });
+  }
+});
+
+/**
+ * GET /admin/jobs/runs
+ * Historial de corridas, más reciente primero (sin output)
+ * Query params: job, status, page, limit
+ */
+r.get('/runs', async (req, res) => {
+  const jobName = req.query.job ? String(req.query.job) : null;
+  const status = req.query.status ? String(req.query.status) : null;
+  if (status && !RUN_STATUSES.has(status)) {
+    return res.status(400).json({ message: `status must be one of: ${[...RUN_STATUSES].join(', ')}` });
+  }
+
+  const { page, limit, offset } = parsePaging(req.query);
+
+  try {
+    await JobRun.markLost();
+    const { rows, total } = await JobRun.list({ jobName, status, limit, offset });
+    res.json({ results: rows, total, page, limit, totalPages: Math.ceil(total / limit) });
+  } catch (err) {
+    console.error('❌ Error loading job runs:', err);
+    res.status(500).json({ message: 'Failed to load job runs' });
+  }
+});
+
+/**
+ * GET /admin/jobs/runs/:runId
+ * Una corrida con su output (stdout + stderr, solo el final)
+ */
+r.get('/runs/:runId(\\d+)', async (req, res) => {
+  try {
+    await JobRun.markLost();
+    const run = await JobRun.findById(req.params.runId);
+    if (!run) return res.status(404).json({ message: 'Job run not found' });
+    res.json({ run });
+  } catch (err) {
+    console.error('❌ Error loading job run:', err);
+    res.status(500).json({ message: 'Failed to load job run' });
+  }
+});
+
+/**
+ * POST /admin/jobs/runs/:runId/cancel
+ * Pide cancelar una corrida en curso (SIGTERM al script; SIGKILL si no termina)
+ * 202 pedido registrado · 404 no existe · 409 ya terminó
+ */
+r.post('/runs/:runId(\\d+)/cancel', async (req, res) => {
+  try {
+    const run = await cancelJobRun(req.params.runId, { userId: req.user.sub });
+    res.status(202).json({ run });
+  } catch (err) {
+    if (err.code === 'JOB_RUN_NOT_FOUND') return res.status(404).json({ message: 'Job run not found' });
+    if (err.code === 'JOB_RUN_NOT_RUNNING') return res.status(409).json({ message: err.message });
+    console.error('❌ Error cancelling job run:', err);
+    res.status(500).json({ message: 'Failed to cancel job run' });
+  }
+});
+
+/**
+ * POST /admin/jobs/:name/run
+ * Dispara un job en este proceso y responde sin esperar a que termine
+ * 202 corrida creada · 404 job desconocido · 409 otra corrida tiene el lock
+ */
+r.post('/:name/run', async (req, res) => {
+  try {
+    const { run } = await startJob(req.params.name, {
+      trigger: JobTrigger.MANUAL,
+      triggeredBy: req.user.sub,
+      waitForLock: false,
+    });
+    res.status(202).json({ run });
+  } catch (err) {
+    if (err.code === 'JOB_NOT_FOUND') return res.status(404).json({ message: 'Job not found' });
+    if (err.code === 'JOB_LOCKED') {
+      return res.status(409).json({ message: 'Job is already running', runningRun: err.runningRun || null });
+    }
+    console.error(`❌ Error starting job ${req.params.name}:`, err);
+    res.status(500).json({ message: 'Failed to start job' });
+  }
+});
+
+export default r;
@@ -2,6 +2,10 @@ import { Router } from 'express';
 import { pool } from '../db.js';
 import { auth } from '../middleware/auth.js';
 import { requireRole } from '../middleware/requireRole.js';
+import { invalidateListingCache } from '../services/listingCache.service.js';
+import { Roles, EditRequestStatus } from '../types.js';
+import { PmcAccess } from '../models/PmcAccess.js';
+import { ListingEditRequest, PMC_EDITABLE_FIELDS } from '../models/ListingEditRequest.js';
 
 const r = Router();
 
@@ -13,6 +17,8 @@ const r = Router();
  *   - search: texto para buscar en name, city, country
  *   - sort_by: 'name' | 'date' (default: 'name')
  *   - sort_order: 'asc' | 'desc' (default: 'asc')
+ *
+ * Un PMC solo ve los listings de sus property managers vinculados.
  * 
  * Response: { results: [...], total: number, page: number, limit: number }
  */
@@ -29,6 +35,9 @@ r.get('/', auth(true), requireRole('admin','pmc'), async (req, res) => {
   
       const params = [];
       const clauses = [];
+
+      const scope = PmcAccess.listingScope(req.user, params, null);
+      if (scope) clauses.push(scope);
   
       // Solo filtrar por listed si NO se pide ver todo
       if (!showAll) {
@@ -91,4 +100,143 @@ r.get('/', auth(true), requireRole('admin','pmc'), async (req, res) => {
     }
   });
 
+/**
+ * GET /admin/properties/edit-requests
+ * Cambios propuestos por PMCs. Admin ve todos; un PMC solo los suyos.
+ * Query params: status (pending | approved | rejected), listing_id, page, limit
+ */
+r.get('/edit-requests', auth(true), requireRole('admin','pmc'), async (req, res) => {
+  const { status, listing_id: listingId } = req.query;
+  if (status && !Object.values(EditRequestStatus).includes(status)) {
+    return res.status(400).json({ error: 'Invalid status' });
+  }
+
+  const page = Math.max(1, parseInt(req.query.page) || 1);
+  const limit = Math.min(200, Math.max(1, parseInt(req.query.limit) || 50));
+
+  try {
+    const { rows, total } = await ListingEditRequest.list({
+      status,
+      listingId,
+      submittedBy: req.user.role === Roles.ADMIN ? null : req.user.sub,
+      limit,
+      offset: (page - 1) * limit,
+    });
+
+    res.json({ results: rows, total, page, limit, total_pages: Math.ceil(total / limit) });
+  } catch (error) {
+    console.error('Error listing listing edit requests:', error);
+    res.status(500).json({ error: 'Failed to fetch edit requests' });
+  }
+});
+
+async function reviewEditRequest(req, res, approve) {
+  const note = req.body?.note?.toString().trim().slice(0, 1000) || null;
+
+  try {
+    const { request, error } = await ListingEditRequest.review(req.params.requestId, {
+      approve,
+      reviewerId: req.user.sub,
+      note,
+    });
+
+    if (error === 'NOT_FOUND') return res.status(404).json({ error: 'Edit request not found' });
+    if (error === 'ALREADY_REVIEWED') return res.status(409).json({ error: 'Edit request was already reviewed' });
+
+    if (approve) invalidateListingCache(request.listing_id, { aggregates: false });
+    res.json({ ok: true, request });
+  } catch (error) {
+    console.error('Error reviewing listing edit request:', error);
+    res.status(500).json({ error: 'Failed to review edit request' });
+  }
+}
+
+// POST /admin/properties/edit-requests/:requestId/approve | reject  (body: { note? })
+r.post('/edit-requests/:requestId(\\d+)/approve', auth(true), requireRole('admin'), (req, res) =>
+  reviewEditRequest(req, res, true)
+);
+r.post('/edit-requests/:requestId(\\d+)/reject', auth(true), requireRole('admin'), (req, res) =>
+  reviewEditRequest(req, res, false)
+);
+
+/**
+ * GET /admin/properties/:id
+ * Campos VillaNet editables del listing + cambios pendientes de revisión.
+ */
+r.get('/:id', auth(true), requireRole('admin','pmc'), async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    if (!(await PmcAccess.ownsListing(req.user, id))) {
+      return res.status(404).json({ error: 'Property not found' });
+    }
+
+    const { rows } = await pool.query(
+      `SELECT
+         listing_id AS id,
+         COALESCE(name, 'Untitled') AS name,
+         NULLIF(TRIM(CONCAT_WS(', ', city, country)), '') AS address,
+         is_listed,
+         listing_property_manager_id,
+         ${Object.keys(PMC_EDITABLE_FIELDS).join(',\n         ')}
+       FROM public.listings
+       WHERE listing_id = $1`,
+      [id]
+    );
+    if (!rows.length) return res.status(404).json({ error: 'Property not found' });
+
+    const pending = await ListingEditRequest.list({ listingId: id, status: EditRequestStatus.PENDING });
+
+    res.json({
+      property: rows[0],
+      editable_fields: Object.keys(PMC_EDITABLE_FIELDS),
+      pending_edits: pending.rows,
+    });
+  } catch (error) {
+    console.error('Error in /admin/properties/:id:', error);
+    res.status(500).json({ error: 'Failed to fetch property' });
+  }
+});
+
+/**
+ * PATCH /admin/properties/:id/villanet
+ * Body: cualquier subset de PMC_EDITABLE_FIELDS.
+ * Un PMC deja el cambio pendiente de revisión (202); un admin lo aplica directo.
+ */
+r.patch('/:id/villanet', auth(true), requireRole('admin','pmc'), async (req, res) => {
+  const { id } = req.params;
+  const { changes, errors } = ListingEditRequest.sanitizeChanges(req.body);
+
+  if (errors.length) return res.status(400).json({ error: 'Invalid fields', details: errors });
+  if (!Object.keys(changes).length) return res.status(400).json({ error: 'No changes provided' });
+
+  try {
+    if (!(await PmcAccess.ownsListing(req.user, id))) {
+      return res.status(404).json({ error: 'Property not found' });
+    }
+
+    const current = await ListingEditRequest.currentValues(id);
+    if (!current) return res.status(404).json({ error: 'Property not found' });
+
+    if (req.user.role === Roles.ADMIN) {
+      await ListingEditRequest.applyChanges(pool, id, changes);
+      invalidateListingCache(id, { aggregates: false });
+      return res.json({ ok: true, applied: true, changes });
+    }
+
+    const previousValues = Object.fromEntries(Object.keys(changes).map((f) => [f, current[f]]));
+    const request = await ListingEditRequest.create({
+      listingId: id,
+      userId: req.user.sub,
+      changes,
+      previousValues,
+    });
+
+    res.status(202).json({ ok: true, applied: false, request });
+  } catch (error) {
+    console.error('Error in PATCH /admin/properties/:id/villanet:', error);
+    res.status(500).json({ error: 'Failed to save property changes' });
+  }
+});
+
 export default r;
\ No newline at end of file
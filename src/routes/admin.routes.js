@@ -1,14 +1,20 @@
 import { Router } from 'express';
-import { auth } from '../middleware/auth.js';
-import { requireRole } from '../middleware/requireRole.js';
 import { AdminController } from '../controllers/admin.controller.js';
 
 const r = Router();
 
-r.use(auth(true), requireRole('admin'));
+// Solo admin: ver '/admin' en route-policies.js. No usar r.use() para auth acá: corre para
+// todo /admin/* e incluye /admin/properties, que también abre a PMC.
 r.get('/users', AdminController.listUsers);
 r.post('/users/:userId/role', AdminController.setRole);
 r.post('/users/:userId/approve', AdminController.approve);
 r.post('/users/:userId/reject', AdminController.reject);
+r.post('/users/:userId/suspend', AdminController.suspend);
+r.post('/users/:userId/reactivate', AdminController.reactivate);
+r.get('/users/:userId/property-managers', AdminController.listPropertyManagers);
+r.post('/users/:userId/property-managers', AdminController.linkPropertyManager);
+r.delete('/users/:userId/property-managers/:propertyManagerId', AdminController.unlinkPropertyManager);
+r.get('/users/:userId/audit-log', AdminController.auditLog);
+r.get('/audit-log', AdminController.auditLog);
 
 export default r;
\ No newline at end of file
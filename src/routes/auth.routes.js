@@ -15,6 +15,12 @@ r.post('/login',    AuthController.login);
 // Endpoints comunes
 r.post('/refresh',  AuthController.refresh);
 r.post('/logout',   auth(false), AuthController.logout);
-r.get('/me',        auth(true),  AuthController.me);
+
+// Sesiones (refresh tokens rotativos)
+r.post('/logout-all',            auth(true), AuthController.logoutAll);
+r.get('/sessions',               auth(true), AuthController.sessions);
+r.delete('/sessions/:sessionId', auth(true), AuthController.revokeSession);
+// allowInactive: /me responde aunque el usuario esté pendiente o con el trial vencido, para mostrarle su estado
+r.get('/me',        auth(true, { allowInactive: true }),  AuthController.me);
 
 export default r;
\ No newline at end of file
@@ -1,11 +1,14 @@
 import express from 'express';
 import { sendEmail } from '../services/email.service.js';
+import { Inquiry } from '../models/Inquiry.js';
+import { InquirySource } from '../types.js';
 
 const router = express.Router();
 
 router.post('/', async (req, res) => {
   try {
     const {
+      listingId,
       propertyName,
       firstName,
       lastName,
@@ -15,6 +18,22 @@ router.post('/', async (req, res) => {
       guests,
     } = req.body;
 
+    // Bandeja PMC: si falla no bloquea el envío de emails
+    try {
+      await Inquiry.create({
+        source: InquirySource.BOOKING,
+        listing_id: listingId || null,
+        property_name: propertyName,
+        check_in: checkIn,
+        check_out: checkOut,
+        guests,
+        guest_name: [firstName, lastName].filter(Boolean).join(' '),
+        guest_email: email,
+      });
+    } catch (inquiryErr) {
+      console.error('❌ Could not record PMC inquiry for booking request:', inquiryErr);
+    }
+
     // Lista de correos electrónicos del equipo interno separados por coma
     const teamEmails = 'reservations@villanet.com, nico_204@hotmail.com, jhony@personalvillas.com';
 
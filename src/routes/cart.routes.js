@@ -1,35 +1,234 @@
 import { Router } from 'express';
+import { pool } from '../db.js';
+import { auth } from '../middleware/auth.js';
+import { requireRole } from '../middleware/requireRole.js';
 import { sendEmail } from '../services/email.service.js';
 import { generateCartPdf } from '../services/cartPdf.service.js';
+import { createDraftQuote } from '../controllers/quotes.controller.js';
+import { Cart, MAX_CART_ITEMS } from '../models/Cart.js';
 
 const router = Router();
 
+const CART_ERRORS = {
+  LISTING_NOT_FOUND: { status: 404, error: 'Listing not found' },
+  LISTING_UNAVAILABLE: { status: 409, error: 'This villa is no longer available' },
+  ALREADY_IN_CART: { status: 409, error: 'This villa is already in your cart' },
+  CART_FULL: { status: 409, error: `Your cart can hold up to ${MAX_CART_ITEMS} villas` },
+};
+
+async function sendCart(req, res, status = 200) {
+  const items = await Cart.getItems(req.user.sub);
+  return res.status(status).json({ items, count: items.length });
+}
+
+/**
+ * GET /cart
+ * Carrito guardado del usuario, con los datos actuales de cada villa
+ */
+router.get('/', auth(true), async (req, res) => {
+  try {
+    return await sendCart(req, res);
+  } catch (err) {
+    console.error('❌ Error in GET /cart:', err);
+    return res.status(500).json({ error: 'Error loading the cart' });
+  }
+});
+
+/**
+ * POST /cart/items
+ * Body: { listingId: string }
+ */
+router.post('/items', auth(true), async (req, res) => {
+  try {
+    const listingId = String(req.body?.listingId || '').trim();
+    if (!listingId) {
+      return res.status(400).json({ error: 'listingId is required' });
+    }
+
+    const result = await Cart.addItem(req.user.sub, listingId);
+    if (!result.added) {
+      const { status, error } = CART_ERRORS[result.reason];
+      return res.status(status).json({ error, code: result.reason });
+    }
+
+    return await sendCart(req, res, 201);
+  } catch (err) {
+    console.error('❌ Error in POST /cart/items:', err);
+    return res.status(500).json({ error: 'Error adding the villa to the cart' });
+  }
+});
+
+/**
+ * PUT /cart/items/order
+ * Body: { listingIds: string[] } — todas las villas del carrito en el nuevo orden
+ */
+router.put('/items/order', auth(true), async (req, res) => {
+  try {
+    const { listingIds } = req.body || {};
+    if (!Array.isArray(listingIds)) {
+      return res.status(400).json({ error: 'listingIds must be an array' });
+    }
+
+    const ok = await Cart.reorder(req.user.sub, listingIds.map(String));
+    if (!ok) {
+      return res.status(400).json({
+        error: 'listingIds must contain exactly the villas currently in the cart',
+        code: 'CART_MISMATCH',
+      });
+    }
+
+    return await sendCart(req, res);
+  } catch (err) {
+    console.error('❌ Error in PUT /cart/items/order:', err);
+    return res.status(500).json({ error: 'Error reordering the cart' });
+  }
+});
+
+/**
+ * DELETE /cart/items/:listingId
+ */
+router.delete('/items/:listingId', auth(true), async (req, res) => {
+  try {
+    const removed = await Cart.removeItem(req.user.sub, req.params.listingId);
+    if (!removed) {
+      return res.status(404).json({ error: 'Villa not found in cart' });
+    }
+
+    return await sendCart(req, res);
+  } catch (err) {
+    console.error('❌ Error in DELETE /cart/items/:listingId:', err);
+    return res.status(500).json({ error: 'Error removing the villa from the cart' });
+  }
+});
+
+/**
+ * DELETE /cart
+ * Vacía el carrito
+ */
+router.delete('/', auth(true), async (req, res) => {
+  try {
+    await Cart.clear(req.user.sub);
+    return res.json({ items: [], count: 0 });
+  } catch (err) {
+    console.error('❌ Error in DELETE /cart:', err);
+    return res.status(500).json({ error: 'Error clearing the cart' });
+  }
+});
+
+/**
+ * POST /cart/convert-to-quote
+ * Crea un quote draft con las villas del carrito (mismo flujo que POST /quotes).
+ * Body:
+ * {
+ *   guestFirstName?, guestLastName?, travelAdvisorEmail?, guestEmail?,
+ *   checkIn?, checkOut?, guests?,
+ *   listingIds?: string[],  // subconjunto del carrito (default: todo)
+ *   keepCart?: boolean      // default false → se vacía el carrito al crear el quote
+ * }
+ */
+router.post('/convert-to-quote', auth(true), requireRole('admin', 'ta', 'pmc'), async (req, res) => {
+  let client;
+  try {
+    const {
+      guestFirstName, guestLastName, travelAdvisorEmail, guestEmail,
+      checkIn, checkOut, guests, listingIds, keepCart = false,
+    } = req.body || {};
+
+    let items = await Cart.getItems(req.user.sub);
+    if (Array.isArray(listingIds) && listingIds.length) {
+      const wanted = new Set(listingIds.map(String));
+      items = items.filter((item) => wanted.has(item.id));
+    }
+
+    if (!items.length) {
+      return res.status(400).json({ error: 'Your cart is empty', code: 'ITEMS_REQUIRED' });
+    }
+
+    const unavailable = items.filter((item) => !item.exists || !item.isListed || !item.guestyBookingDomain);
+    if (unavailable.length) {
+      return res.status(409).json({
+        error: 'Some villas in your cart can no longer be quoted. Please remove them and try again.',
+        code: 'LISTINGS_UNAVAILABLE',
+        listingIds: unavailable.map((item) => item.id),
+      });
+    }
+
+    client = await pool.connect();
+    await client.query('BEGIN');
+
+    const quoteId = await createDraftQuote(client, {
+      userId: req.user.sub,
+      guestFirstName, guestLastName, travelAdvisorEmail, guestEmail,
+      checkIn, checkOut, guests, items,
+      historyPayload: { source: 'cart' },
+    });
+
+    if (!keepCart) {
+      if (Array.isArray(listingIds) && listingIds.length) {
+        await client.query(
+          `DELETE FROM cart_items WHERE user_id = $1 AND listing_id = ANY($2::text[])`,
+          [req.user.sub, items.map((item) => item.id)]
+        );
+      } else {
+        await Cart.clear(req.user.sub, client);
+      }
+    }
+
+    await client.query('COMMIT');
+
+    return res.status(201).json({
+      success: true,
+      quoteId,
+      message: `Quote created with ${items.length} properties.`,
+    });
+  } catch (err) {
+    if (client) await client.query('ROLLBACK');
+    console.error('❌ Error in POST /cart/convert-to-quote:', err);
+    return res.status(500).json({ error: 'Error creating the quote from the cart' });
+  } finally {
+    if (client) client.release();
+  }
+});
+
 /**
  * POST /cart/export-pdf
  * Body:
  * {
  *   clientName?: string,
  *   clientEmail: string,
- *   listings: Array<{
- *     id: string;
- *     name: string;
- *     location?: string;
- *     bedrooms?: number | null;
- *     bathrooms?: number | null;
- *     priceUSD?: number | null;
- *     imageUrl?: string; // ← NUEVO: URL de la imagen principal
- *   }>
+ *   listings?: Array<{ id: string }> // máx MAX_CART_ITEMS; opcional si el usuario está logueado: se usa su carrito guardado
  * }
+ * Nombre, ubicación, precio e imagen de cada villa se leen de listings (no del body).
+ * Sigue siendo público: un token vencido o un usuario inactivo se tratan como anónimos.
  */
-router.post('/export-pdf', async (req, res) => {
+router.post('/export-pdf', auth(false, { ignoreInvalidToken: true }), async (req, res) => {
   try {
-    const { clientName, clientEmail, listings } = req.body || {};
+    const { clientName, clientEmail, listings: requested } = req.body || {};
 
     if (!clientEmail) {
       return res.status(400).json({ error: 'clientEmail is required' });
     }
 
-    if (!Array.isArray(listings) || listings.length === 0) {
+    let listings;
+    if (Array.isArray(requested) && requested.length > 0) {
+      const ids = requested
+        .map((l) => String((typeof l === 'object' ? l?.id : l) || '').trim())
+        .filter(Boolean);
+      const uniqueIds = [...new Set(ids)];
+      if (uniqueIds.length > MAX_CART_ITEMS) {
+        return res.status(400).json({ error: `A PDF can include up to ${MAX_CART_ITEMS} villas` });
+      }
+      listings = await Cart.enrichListingIds(uniqueIds);
+    } else if (req.user?.sub) {
+      listings = await Cart.getItems(req.user.sub);
+    } else {
+      listings = [];
+    }
+
+    // Endpoint público: solo villas publicadas en VillaNet
+    listings = listings.filter((l) => l.exists && l.isListed && l.isEnabled);
+
+    if (listings.length === 0) {
       return res
         .status(400)
         .json({ error: 'At least one listing is required' });
@@ -90,12 +90,6 @@ router.post('/', async (req, res) => {
 router.get('/', async (req, res) => {
   let client;
   try {
-    // TODO: Add authentication and admin role check
-    // const user = req.user;
-    // if (!user || user.role !== 'admin') {
-    //   return res.status(403).json({ error: 'Forbidden' });
-    // }
-
     client = await pool.connect();
 
     const requestsResult = await client.query(
@@ -123,8 +117,6 @@ router.get('/:id', async (req, res) => {
   try {
     const { id } = req.params;
 
-    // TODO: Add authentication and admin role check
-
     client = await pool.connect();
 
     const requestResult = await client.query(
@@ -160,12 +152,6 @@ router.patch('/:id', async (req, res) => {
     const { id } = req.params;
     const { status, notes, reviewed_by } = req.body;
 
-    // TODO: Add authentication and admin role check
-    // const user = req.user;
-    // if (!user || user.role !== 'admin') {
-    //   return res.status(403).json({ error: 'Forbidden' });
-    // }
-
     // Validate status
     const validStatuses = ['pending', 'approved', 'rejected'];
     if (status && !validStatuses.includes(status)) {
@@ -246,8 +232,6 @@ router.delete('/:id', async (req, res) => {
   try {
     const { id } = req.params;
 
-    // TODO: Add authentication and admin role check
-
     client = await pool.connect();
 
     const deleteResult = await client.query(
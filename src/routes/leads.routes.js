@@ -1,6 +1,8 @@
 import express from "express";
 import { pool } from "../db.js";
 import { sendExpansionLeadNotification, sendVillaInquiryNotification } from "../services/email.service.js";
+import { Inquiry } from "../models/Inquiry.js";
+import { InquirySource } from "../types.js";
 
 const router = express.Router();
 
@@ -201,11 +203,6 @@ router.get("/expansion-requests", async (req, res) => {
   let client;
 
   try {
-    // TODO: Agregar middleware de autenticación admin aquí
-    // if (!req.user || req.user.role !== 'admin') {
-    //   return res.status(403).json({ error: 'Unauthorized' });
-    // }
-
     const { status, limit = 50, offset = 0 } = req.query;
 
     let query = `
@@ -291,8 +288,6 @@ router.patch("/expansion-requests/:id", async (req, res) => {
   let client;
 
   try {
-    // TODO: Agregar middleware de autenticación admin aquí
-
     const { id } = req.params;
     const { status, notes } = req.body;
 
@@ -414,6 +409,21 @@ router.post("/villa-inquiry", async (req, res) => {
 
     client.release();
 
+    // Bandeja PMC (no bloqueante: el lead ya quedó guardado)
+    Inquiry.create({
+      source: InquirySource.VILLA_INQUIRY,
+      source_id: result.rows[0].id,
+      listing_id: listingId || null,
+      property_name: listingName || null,
+      check_in: checkIn || null,
+      check_out: checkOut || null,
+      guests,
+      guest_name: fullName.trim(),
+      guest_email: email,
+      guest_phone: whatsapp?.trim() || null,
+      message: message?.trim() || null,
+    }).catch((err) => console.error("❌ Could not record PMC inquiry:", err));
+
     sendVillaInquiryNotification({
       full_name: fullName.trim(),
       user_email: email.trim().toLowerCase(),
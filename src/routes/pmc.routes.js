@@ -1,39 +1,168 @@
 import { Router } from 'express';
+import { pool } from '../db.js';
 import { auth } from '../middleware/auth.js';
 import { requireRole } from '../middleware/requireRole.js';
+import { Inquiry } from '../models/Inquiry.js';
+import { InquiryStatus } from '../types.js';
 
 const r = Router();
 
-let seq = 2;
-let INQUIRIES = [
-  {
-    id: 1,
-    createdAt: new Date().toISOString(),
-    status: 'new',
-    propertyId: 'demo-1',
-    propertyName: 'Villa Demo',
-    dates: { checkIn: '2026-01-10', checkOut: '2026-01-20' },
-    guest: { name: 'John Doe', pax: 4 },
-    travelAgent: { name: 'TA Example', email: 'ta@example.com', phone: '+1-555-123' },
-    notes: 'Needs pool fence'
+const VALID_STATUSES = Object.values(InquiryStatus);
+
+// El token solo trae { sub, role, status }: el scope por listings necesita el email
+async function loadInquiryUser(req) {
+  const { rows } = await pool.query(`SELECT id, email, role FROM users WHERE id = $1`, [req.user.sub]);
+  if (!rows.length) return null;
+  return { id: rows[0].id, email: rows[0].email, role: req.user.role || rows[0].role };
+}
+
+// Mantiene el formato que ya consumía el frontend con el mock en memoria
+function toInquiryDto(row) {
+  return {
+    id: Number(row.id),
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+    status: row.status,
+    source: row.source,
+    propertyId: row.listing_id,
+    propertyName: row.property_name,
+    dates: { checkIn: row.check_in, checkOut: row.check_out },
+    guest: {
+      name: row.guest_name,
+      email: row.guest_email,
+      phone: row.guest_phone,
+      pax: row.guests,
+    },
+    notes: row.message,
+    response: row.response,
+    respondedAt: row.responded_at,
+    closedAt: row.closed_at,
+  };
+}
+
+/**
+ * GET /pmc/inquiries
+ * Query params:
+ *   - status: new | responded | booked | declined
+ *   - listingId
+ *   - page (default: 1), limit (default: 50, max: 200)
+ */
+r.get('/inquiries', auth(true), requireRole('pmc','admin'), async (req, res) => {
+  try {
+    const { status, listingId } = req.query;
+    if (status && !VALID_STATUSES.includes(status)) {
+      return res.status(400).json({ message: 'Invalid status', validStatuses: VALID_STATUSES });
+    }
+
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(200, Math.max(1, parseInt(req.query.limit) || 50));
+    const offset = (page - 1) * limit;
+
+    const user = await loadInquiryUser(req);
+    if (!user) return res.status(404).json({ message: 'User not found' });
+
+    const { rows, total } = await Inquiry.listForUser(user, {
+      status,
+      listingId: listingId ? String(listingId) : undefined,
+      limit,
+      offset,
+    });
+
+    res.json({
+      results: rows.map(toInquiryDto),
+      total,
+      page,
+      limit,
+      total_pages: Math.ceil(total / limit),
+    });
+  } catch (error) {
+    console.error('Error in GET /pmc/inquiries:', error);
+    res.status(500).json({ message: 'Failed to fetch inquiries' });
+  }
+});
+
+// GET /pmc/inquiries/:id
+r.get('/inquiries/:id', auth(true), requireRole('pmc','admin'), async (req, res) => {
+  try {
+    const user = await loadInquiryUser(req);
+    if (!user) return res.status(404).json({ message: 'User not found' });
+
+    const item = await Inquiry.findForUser(user, req.params.id);
+    if (!item) return res.status(404).json({ message: 'Not found' });
+
+    res.json({ item: toInquiryDto(item) });
+  } catch (error) {
+    console.error('Error in GET /pmc/inquiries/:id:', error);
+    res.status(500).json({ message: 'Failed to fetch inquiry' });
+  }
+});
+
+/**
+ * PATCH /pmc/inquiries/:id/respond
+ * Body: { response: string }
+ * new → responded (o actualiza la respuesta si ya estaba respondida)
+ */
+r.patch('/inquiries/:id/respond', auth(true), requireRole('pmc','admin'), async (req, res) => {
+  try {
+    const response = (req.body?.response || '').toString().trim();
+    if (!response) return res.status(400).json({ message: 'response is required' });
+
+    const user = await loadInquiryUser(req);
+    if (!user) return res.status(404).json({ message: 'User not found' });
+
+    const current = await Inquiry.findForUser(user, req.params.id);
+    if (!current) return res.status(404).json({ message: 'Not found' });
+
+    if (!Inquiry.canTransition(current.status, InquiryStatus.RESPONDED)) {
+      return res.status(409).json({ message: `Cannot respond to an inquiry in status "${current.status}"` });
+    }
+
+    const updated = await Inquiry.transition(current.id, {
+      from: current.status,
+      to: InquiryStatus.RESPONDED,
+      response: response.slice(0, 5000),
+      userId: user.id,
+    });
+    if (!updated) return res.status(409).json({ message: 'Inquiry was modified concurrently. Please reload.' });
+
+    const item = await Inquiry.findForUser(user, current.id);
+    res.json({ ok: true, item: toInquiryDto(item) });
+  } catch (error) {
+    console.error('Error in PATCH /pmc/inquiries/:id/respond:', error);
+    res.status(500).json({ message: 'Failed to respond to inquiry' });
   }
-];
-
-r.get('/inquiries', auth(true), requireRole('pmc','admin'), (req, res) => {
-  const { status } = req.query;
-  let items = [...INQUIRIES].sort((a,b)=> new Date(b.createdAt)-new Date(a.createdAt));
-  if (status === 'new') items = items.filter(i=>i.status==='new');
-  if (status === 'responded') items = items.filter(i=>i.status==='responded');
-  res.json({ results: items, total: items.length });
 });
 
-r.patch('/inquiries/:id/respond', auth(true), requireRole('pmc','admin'), (req, res) => {
-  const id = Number(req.params.id);
-  const idx = INQUIRIES.findIndex(i=>i.id===id);
-  if (idx === -1) return res.status(404).json({ message: 'Not found' });
-  INQUIRIES[idx].status = 'responded';
-  INQUIRIES[idx].respondedAt = new Date().toISOString();
-  res.json({ ok: true, item: INQUIRIES[idx] });
+/**
+ * PATCH /pmc/inquiries/:id/status
+ * Body: { status: 'booked' | 'declined' }
+ */
+r.patch('/inquiries/:id/status', auth(true), requireRole('pmc','admin'), async (req, res) => {
+  try {
+    const { status } = req.body || {};
+    if (![InquiryStatus.BOOKED, InquiryStatus.DECLINED].includes(status)) {
+      return res.status(400).json({ message: 'status must be "booked" or "declined"' });
+    }
+
+    const user = await loadInquiryUser(req);
+    if (!user) return res.status(404).json({ message: 'User not found' });
+
+    const current = await Inquiry.findForUser(user, req.params.id);
+    if (!current) return res.status(404).json({ message: 'Not found' });
+
+    if (!Inquiry.canTransition(current.status, status)) {
+      return res.status(409).json({ message: `Cannot move inquiry from "${current.status}" to "${status}"` });
+    }
+
+    const updated = await Inquiry.transition(current.id, { from: current.status, to: status, userId: user.id });
+    if (!updated) return res.status(409).json({ message: 'Inquiry was modified concurrently. Please reload.' });
+
+    const item = await Inquiry.findForUser(user, current.id);
+    res.json({ ok: true, item: toInquiryDto(item) });
+  } catch (error) {
+    console.error('Error in PATCH /pmc/inquiries/:id/status:', error);
+    res.status(500).json({ message: 'Failed to update inquiry status' });
+  }
 });
 
 export default r;
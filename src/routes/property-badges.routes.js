@@ -2,6 +2,7 @@ import { Router } from 'express';
 import { pool } from '../db.js';
 import { auth } from '../middleware/auth.js';
 import { requireRole } from '../middleware/requireRole.js';
+import { PmcAccess } from '../models/PmcAccess.js';
 
 const r = Router();
 
@@ -24,7 +25,7 @@ r.get('/:id/badges', auth(true), async (req, res) => {
     ORDER BY c.sort_order, b.name
   `, [id]);
 
-  rows
+  const assignments = rows
   .filter(r => 
     r.name !== 'Unknown' && 
     r.name !== 'Villas not verified' && 
@@ -46,10 +47,15 @@ r.get('/:id/badges', auth(true), async (req, res) => {
 });
 
 // PUT /properties/:id/badges
+// Un PMC solo puede tocar los badges de listings de sus property managers
 r.put('/:id/badges', auth(true), requireRole('admin','pmc'), async (req, res) => {
   const { id } = req.params;
   const { assignments = [] } = req.body || {};
 
+  if (!(await PmcAccess.ownsListing(req.user, id))) {
+    return res.status(403).json({ message: 'You do not manage this property' });
+  }
+
   const slugs = assignments.map(a => a.slug);
   const client = await pool.connect();
   try {
@@ -2,6 +2,8 @@ import { Router } from 'express';
 import { pool } from '../db.js';
 import { verifyRecaptcha } from '../services/recaptcha.service.js';
 import { sendEmail } from '../services/email.service.js';
+import { Inquiry } from '../models/Inquiry.js';
+import { InquirySource } from '../types.js';
 
 
 const r = Router();
@@ -76,6 +78,19 @@ r.post('/property-messages', async (req, res) => {
       console.warn('Could not fetch listing info:', e);
     }
 
+    // Registrar en la bandeja PMC (no bloqueante)
+    try {
+      await Inquiry.create({
+        source: InquirySource.PROPERTY_MESSAGE,
+        source_id: messageId,
+        listing_id: listingId,
+        property_name: listingName,
+        message: cleanMessage,
+      });
+    } catch (inquiryErr) {
+      console.error('Could not record PMC inquiry:', inquiryErr);
+    }
+
     // Enviar email al equipo
     try {
       const subject = `💬 New Villa Inquiry: ${listingName}`;
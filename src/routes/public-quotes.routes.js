@@ -0,0 +1,12 @@
+import { Router } from 'express';
+import { getPublicQuote } from '../controllers/quotes.controller.js';
+
+const router = Router();
+
+/**
+ * GET /public/quotes/:token
+ * Vista pública del quote compartido por el advisor. Endpoint PÚBLICO - el token es la autorización.
+ */
+router.get('/:token', getPublicQuote);
+
+export default router;
@@ -3,9 +3,17 @@ import { auth } from '../middleware/auth.js';
 import { requireRole } from '../middleware/requireRole.js';
 import {
   createQuote,
+  listQuotes,
   sendQuoteEmail,
   getQuoteDetails,
-  quotesAvailabilityCheck
+  quotesAvailabilityCheck,
+  acceptQuote,
+  declineQuote,
+  expireQuote,
+  reviseQuote,
+  createQuoteShareLink,
+  revokeQuoteShareLink,
+  exportQuotePdf
 } from '../controllers/quotes.controller.js';
 import { calculateQuote } from "../controllers/quotes.controller.js";
 
@@ -25,10 +33,22 @@ router.post(
   requireRole("admin", "ta", "pmc"),
   calculateQuote
 );
+router.get('/', auth(true), requireRole('admin', 'ta', 'pmc'), listQuotes);
 router.post('/', auth(true), requireRole('admin', 'ta', 'pmc'), createQuote);
 router.get('/:id', auth(true), requireRole('admin', 'ta', 'pmc'), getQuoteDetails);
+router.get('/:id/pdf', auth(true), requireRole('admin', 'ta', 'pmc'), exportQuotePdf);
 router.post('/:id/send', auth(true), requireRole('admin', 'ta', 'pmc'), sendQuoteEmail);
 
+// Ciclo de vida: respuesta del cliente, vencimiento manual y nuevas versiones
+router.post('/:id/accept', auth(true), requireRole('admin', 'ta', 'pmc'), acceptQuote);
+router.post('/:id/decline', auth(true), requireRole('admin', 'ta', 'pmc'), declineQuote);
+router.post('/:id/expire', auth(true), requireRole('admin', 'ta', 'pmc'), expireQuote);
+router.post('/:id/revise', auth(true), requireRole('admin', 'ta', 'pmc'), reviseQuote);
+
+// Link público de solo lectura (GET /public/quotes/:token)
+router.post('/:id/share-link', auth(true), requireRole('admin', 'ta', 'pmc'), createQuoteShareLink);
+router.delete('/:id/share-link', auth(true), requireRole('admin', 'ta', 'pmc'), revokeQuoteShareLink);
+
 
 
 export default router;
\ No newline at end of file
@@ -0,0 +1,166 @@
+import { Policy } from '../middleware/routePolicy.js';
+import { Roles } from '../types.js';
+
+/**
+ * Quién puede llamar cada ruta, por mount path de server.js.
+ * Clave: 'METHOD /path' exactamente como está declarado en el router.
+ * Toda ruta POST/PUT/PATCH/DELETE tiene que estar acá o el servidor no arranca
+ * (assertRoutePolicies). Los routers pueden tener además sus propios auth()/requireRole().
+ */
+const { ADMIN, TA, PMC } = Roles;
+
+const AGENTS = Policy.roles(ADMIN, TA, PMC);
+const ADMIN_ONLY = Policy.roles(ADMIN);
+const ADMIN_OR_PMC = Policy.roles(ADMIN, PMC);
+
+export const ROUTE_POLICIES = {
+  '/webhooks': {
+    'POST /guesty': Policy.PUBLIC, // firma Svix verificada en la ruta
+  },
+
+  '/public': {
+    'POST /property-messages': Policy.PUBLIC, // protegido con reCAPTCHA
+  },
+
+  '/public/listings': {
+    'GET /': Policy.PUBLIC,
+    'GET /map': Policy.PUBLIC,
+    'GET /amenities': Policy.PUBLIC,
+    'GET /:id': Policy.PUBLIC,
+  },
+
+  '/public/quotes': {
+    'GET /:token': Policy.PUBLIC,
+  },
+
+  '/badges': {
+    'GET /': Policy.OPTIONAL,
+  },
+
+  '/advisors': {
+    'POST /signup': Policy.PUBLIC,
+  },
+
+  '/property-managers': {
+    'POST /signup': Policy.PUBLIC,
+  },
+
+  '/cart': {
+    'GET /': Policy.AUTHENTICATED,
+    'POST /items': Policy.AUTHENTICATED,
+    'PUT /items/order': Policy.AUTHENTICATED,
+    'DELETE /items/:listingId': Policy.AUTHENTICATED,
+    'DELETE /': Policy.AUTHENTICATED,
+    'POST /convert-to-quote': AGENTS,
+    // Público: la auth opcional (carrito guardado) la resuelve la ruta, ignorando tokens vencidos
+    'POST /export-pdf': Policy.PUBLIC,
+  },
+
+  '/early-access': {
+    'POST /': Policy.PUBLIC,
+    'GET /': ADMIN_ONLY,
+    'GET /:id': ADMIN_ONLY,
+    'PATCH /:id': ADMIN_ONLY,
+    'DELETE /:id': ADMIN_ONLY,
+  },
+
+  '/api/leads': {
+    'POST /expansion-request': Policy.PUBLIC,
+    'GET /expansion-requests': ADMIN_ONLY,
+    'PATCH /expansion-requests/:id': ADMIN_ONLY,
+    'POST /villa-inquiry': Policy.PUBLIC,
+  },
+
+  '/auth': {
+    'POST /send-code': Policy.PUBLIC,
+    'POST /verify-code': Policy.PUBLIC,
+    'POST /register': Policy.PUBLIC,
+    'POST /login': Policy.PUBLIC,
+    'POST /refresh': Policy.PUBLIC, // usa la cookie de refresh, no el access token
+    'POST /logout': Policy.OPTIONAL,
+    'POST /logout-all': Policy.AUTHENTICATED,
+    'GET /sessions': Policy.AUTHENTICATED,
+    'DELETE /sessions/:sessionId': Policy.AUTHENTICATED,
+    'GET /me': { ...Policy.AUTHENTICATED, allowInactive: true },
+  },
+
+  '/admin': {
+    'GET /users': ADMIN_ONLY,
+    'POST /users/:userId/role': ADMIN_ONLY,
+    'POST /users/:userId/approve': ADMIN_ONLY,
+    'POST /users/:userId/reject': ADMIN_ONLY,
+    'POST /users/:userId/suspend': ADMIN_ONLY,
+    'POST /users/:userId/reactivate': ADMIN_ONLY,
+    'GET /users/:userId/property-managers': ADMIN_ONLY,
+    'POST /users/:userId/property-managers': ADMIN_ONLY,
+    'DELETE /users/:userId/property-managers/:propertyManagerId': ADMIN_ONLY,
+    'GET /users/:userId/audit-log': ADMIN_ONLY,
+    'GET /audit-log': ADMIN_ONLY,
+  },
+
+  '/listings': {
+    'GET /': Policy.OPTIONAL, // la audiencia (campos visibles) sale del rol
+    'GET /:id': AGENTS,
+  },
+
+  '/pmc': {
+    'GET /inquiries': ADMIN_OR_PMC,
+    'GET /inquiries/:id': ADMIN_OR_PMC,
+    'PATCH /inquiries/:id/respond': ADMIN_OR_PMC,
+    'PATCH /inquiries/:id/status': ADMIN_OR_PMC,
+  },
+
+  '/availability': {
+    'GET /': Policy.PUBLIC,
+    'GET /:id': Policy.PUBLIC,
+  },
+
+  '/properties': {
+    'GET /:id/badges': Policy.AUTHENTICATED,
+    'PUT /:id/badges': ADMIN_OR_PMC,
+  },
+
+  '/admin/properties': {
+    'GET /': ADMIN_OR_PMC,
+    'GET /edit-requests': ADMIN_OR_PMC,
+    'POST /edit-requests/:requestId(\\d+)/approve': ADMIN_ONLY,
+    'POST /edit-requests/:requestId(\\d+)/reject': ADMIN_ONLY,
+    'GET /:id': ADMIN_OR_PMC,
+    'PATCH /:id/villanet': ADMIN_OR_PMC,
+  },
+
+  '/admin/jobs': {
+    'GET /': ADMIN_ONLY,
+    'GET /runs': ADMIN_ONLY,
+    'GET /runs/:runId(\\d+)': ADMIN_ONLY,
+    'POST /runs/:runId(\\d+)/cancel': ADMIN_ONLY,
+    'POST /:name/run': ADMIN_ONLY,
+  },
+
+  '/booking': {
+    'POST /': Policy.PUBLIC,
+  },
+
+  '/quotes': {
+    'POST /availability-check': AGENTS,
+    'POST /calculate': AGENTS,
+    'GET /': AGENTS,
+    'POST /': AGENTS,
+    'GET /:id': AGENTS,
+    'GET /:id/pdf': AGENTS,
+    'POST /:id/send': AGENTS,
+    'POST /:id/accept': AGENTS,
+    'POST /:id/decline': AGENTS,
+    'POST /:id/expire': AGENTS,
+    'POST /:id/revise': AGENTS,
+    'POST /:id/share-link': AGENTS,
+    'DELETE /:id/share-link': AGENTS,
+  },
+
+  '/saved-searches': {
+    'GET /': Policy.AUTHENTICATED,
+    'POST /': Policy.AUTHENTICATED,
+    'PATCH /:id(\\d+)': Policy.AUTHENTICATED,
+    'DELETE /:id(\\d+)': Policy.AUTHENTICATED,
+  },
+};
@@ -0,0 +1,133 @@
+import { Router } from 'express';
+import { auth } from '../middleware/auth.js';
+import { SavedSearch, MAX_SAVED_SEARCHES_PER_USER } from '../models/SavedSearch.js';
+import { buildSearchFilters } from '../services/listingSearch.service.js';
+
+const router = Router();
+
+const MAX_NAME_LENGTH = 120;
+
+/**
+ * Valida name/query/alertsEnabled del body. En create todo es requerido salvo alertsEnabled.
+ * @returns {{ changes: object, errors: string[] }}
+ */
+function parseBody(body, { partial }) {
+  const changes = {};
+  const errors = [];
+  const { name, query, alertsEnabled } = body || {};
+
+  if (name !== undefined || !partial) {
+    const text = String(name ?? '').trim();
+    if (!text) errors.push('name is required');
+    else if (text.length > MAX_NAME_LENGTH) errors.push(`name must be at most ${MAX_NAME_LENGTH} characters`);
+    else changes.name = text;
+  }
+
+  if (query !== undefined || !partial) {
+    const sanitized = SavedSearch.sanitizeQuery(query);
+    errors.push(...sanitized.errors);
+    if (!sanitized.errors.length) {
+      // Mismos errores que GET /listings (near/radiusKm/polygon inválidos)
+      try {
+        buildSearchFilters(sanitized.query, {});
+        changes.query = sanitized.query;
+      } catch (err) {
+        if (err.code !== 'INVALID_GEO_FILTER') throw err;
+        errors.push(err.message);
+      }
+    }
+  }
+
+  if (alertsEnabled !== undefined) {
+    if (typeof alertsEnabled !== 'boolean') errors.push('alertsEnabled must be a boolean');
+    else changes.alertsEnabled = alertsEnabled;
+  }
+
+  return { changes, errors };
+}
+
+/**
+ * GET /saved-searches
+ * Búsquedas guardadas del usuario
+ */
+router.get('/', auth(true), async (req, res) => {
+  try {
+    const searches = await SavedSearch.list(req.user.sub);
+    return res.json({ searches, limit: MAX_SAVED_SEARCHES_PER_USER });
+  } catch (err) {
+    console.error('❌ Error in GET /saved-searches:', err);
+    return res.status(500).json({ error: 'Error loading saved searches' });
+  }
+});
+
+/**
+ * POST /saved-searches
+ * Body: { name: string, query: object (query string de GET /listings), alertsEnabled?: boolean }
+ * Las alertas arrancan en la próxima corrida de syncAvailability (la primera solo arma la base).
+ */
+router.post('/', auth(true), async (req, res) => {
+  try {
+    const { changes, errors } = parseBody(req.body, { partial: false });
+    if (errors.length) {
+      return res.status(400).json({ error: 'Invalid saved search', details: errors });
+    }
+
+    const result = await SavedSearch.create(req.user.sub, changes);
+    if (result.error === 'LIMIT_REACHED') {
+      return res.status(409).json({
+        error: `You can save up to ${MAX_SAVED_SEARCHES_PER_USER} searches`,
+        code: result.error,
+      });
+    }
+
+    return res.status(201).json({ search: result.search });
+  } catch (err) {
+    console.error('❌ Error in POST /saved-searches:', err);
+    return res.status(500).json({ error: 'Error saving the search' });
+  }
+});
+
+/**
+ * PATCH /saved-searches/:id
+ * Body: { name?, query?, alertsEnabled? }
+ */
+router.patch('/:id(\\d+)', auth(true), async (req, res) => {
+  try {
+    const { changes, errors } = parseBody(req.body, { partial: true });
+    if (errors.length) {
+      return res.status(400).json({ error: 'Invalid saved search', details: errors });
+    }
+    if (!Object.keys(changes).length) {
+      return res.status(400).json({ error: 'Nothing to update' });
+    }
+
+    const search = await SavedSearch.update(req.params.id, req.user.sub, changes);
+    if (!search) {
+      return res.status(404).json({ error: 'Saved search not found' });
+    }
+
+    return res.json({ search });
+  } catch (err) {
+    console.error('❌ Error in PATCH /saved-searches/:id:', err);
+    return res.status(500).json({ error: 'Error updating the saved search' });
+  }
+});
+
+/**
+ * DELETE /saved-searches/:id
+ */
+router.delete('/:id(\\d+)', auth(true), async (req, res) => {
+  try {
+    const removed = await SavedSearch.remove(req.params.id, req.user.sub);
+    if (!removed) {
+      return res.status(404).json({ error: 'Saved search not found' });
+    }
+
+    return res.status(204).end();
+  } catch (err) {
+    console.error('❌ Error in DELETE /saved-searches/:id:', err);
+    return res.status(500).json({ error: 'Error deleting the saved search' });
+  }
+});
+
+export default router;
@@ -0,0 +1,53 @@
+import express from 'express';
+import { cache } from '../cache.js';
+import { verifyGuestySignature, handleGuestyEvent } from '../services/guestyWebhook.service.js';
+
+const router = express.Router();
+
+// Guesty reintenta si no respondemos 2xx: se recuerda el svix-id de los ya procesados
+const PROCESSED_TTL_SEC = 24 * 60 * 60;
+
+/**
+ * POST /webhooks/guesty
+ * Eventos de reservas, calendario y listings (ver guestyWebhook.service.js).
+ * Se monta antes de express.json(): la firma se calcula sobre el body crudo.
+ * 401 firma inválida · 503 sin GUESTY_WEBHOOK_SECRET · 500 error procesando (Guesty reintenta)
+ */
+router.post('/guesty', express.raw({ type: '*/*', limit: '1mb' }), async (req, res) => {
+  let webhookId;
+  try {
+    webhookId = verifyGuestySignature(req.headers, req.body);
+  } catch (err) {
+    if (err.code === 'WEBHOOK_NOT_CONFIGURED') {
+      console.error('❌ [Guesty Webhook]', err.message);
+      return res.status(503).json({ error: 'Webhook not configured' });
+    }
+    console.warn('⚠️ [Guesty Webhook] Rejected:', err.message);
+    return res.status(401).json({ error: 'Invalid signature' });
+  }
+
+  const processedKey = `guesty_webhook:${webhookId}`;
+  if (cache.get(processedKey)) {
+    return res.json({ ok: true, duplicate: true });
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(req.body.toString('utf8'));
+  } catch {
+    return res.status(400).json({ error: 'Invalid JSON body' });
+  }
+
+  try {
+    const result = await handleGuestyEvent(payload);
+    cache.set(processedKey, true, PROCESSED_TTL_SEC);
+
+    console.log(`🪝 [Guesty Webhook] ${result.event} ${result.listingId || '-'} → ${result.action}`);
+    return res.json({ ok: true, ...result });
+  } catch (err) {
+    console.error(`❌ [Guesty Webhook] Error processing ${payload?.event} (${webhookId}):`, err.message);
+    return res.status(500).json({ error: 'Error processing webhook' });
+  }
+});
+
+export default router;
@@ -13,6 +13,7 @@ import availabilityRoutes from './routes/availability.routes.js';
 import badgesRoutes from './routes/badges.routes.js';
 import propertyBadgesRoutes from './routes/property-badges.routes.js';
 import adminPropertiesRoutes from './routes/admin.properties.routes.js';
+import adminJobsRoutes from './routes/admin.jobs.routes.js';
 import bookingRoutes from './routes/booking.routes.js';
 import advisorsRoutes from './routes/advisors.routes.js';
 import propertyManagersRoutes from './routes/propertyManagers.routes.js';
@@ -21,12 +22,24 @@ import cartRoutes from './routes/cart.routes.js';
 import earlyAccessRoutes from './routes/early-access.routes.js';
 import quotesRoutes from './routes/quotes.routes.js'
 import leadsRoutes from './routes/leads.routes.js';
+import publicQuotesRoutes from './routes/public-quotes.routes.js';
+import savedSearchesRoutes from './routes/saved-searches.routes.js';
+import webhooksRoutes from './routes/webhooks.routes.js';
+import { ROUTE_POLICIES } from './routes/route-policies.js';
+import { mountWithPolicies, assertRoutePolicies } from './middleware/routePolicy.js';
 
 const app = express();
 
 app.set('trust proxy', 1);
 
+// Autorización por ruta: ver route-policies.js
+const mount = (path, router) => mountWithPolicies(app, path, router, ROUTE_POLICIES);
+
 app.use(helmet());
+
+// Webhooks antes de express.json(): la firma se verifica sobre el body crudo
+mount('/webhooks', webhooksRoutes);
+
 app.use(express.json());
 app.use(cookieParser());
 
@@ -49,25 +62,32 @@ app.use(
 app.get('/health', (_req, res) => res.json({ ok: true }));
 
 // 🆕 Rutas PÚBLICAS primero (sin autenticación)
-app.use('/public', publicMessagesRouter);
-app.use('/public/listings', publicListingsRoutes);
-app.use('/badges', badgesRoutes);
-app.use('/advisors', advisorsRoutes);
-app.use('/property-managers', propertyManagersRoutes);
-app.use('/cart', cartRoutes);
-app.use('/early-access', earlyAccessRoutes);
-app.use('/api/leads', leadsRoutes);
+mount('/public', publicMessagesRouter);
+mount('/public/listings', publicListingsRoutes);
+mount('/public/quotes', publicQuotesRoutes);
+mount('/badges', badgesRoutes);
+mount('/advisors', advisorsRoutes);
+mount('/property-managers', propertyManagersRoutes);
+mount('/cart', cartRoutes);
+mount('/early-access', earlyAccessRoutes);
+mount('/api/leads', leadsRoutes);
 
 // Rutas protegidas
-app.use('/auth', authRoutes);
-app.use('/admin', adminRoutes);
-app.use('/listings', listingsRoutes);
-app.use('/pmc', pmcRoutes);
-app.use('/availability', availabilityRoutes);
-app.use('/properties', propertyBadgesRoutes);
-app.use('/admin/properties', adminPropertiesRoutes);
-app.use('/booking', bookingRoutes);
-app.use('/quotes', quotesRoutes);
+mount('/auth', authRoutes);
+mount('/admin', adminRoutes);
+mount('/listings', listingsRoutes);
+mount('/pmc', pmcRoutes);
+mount('/availability', availabilityRoutes);
+mount('/properties', propertyBadgesRoutes);
+mount('/admin/properties', adminPropertiesRoutes);
+mount('/admin/jobs', adminJobsRoutes);
+mount('/booking', bookingRoutes);
+mount('/quotes', quotesRoutes);
+mount('/saved-searches', savedSearchesRoutes);
+
+// Falla el arranque si alguna ruta que modifica datos no tiene política declarada
+assertRoutePolicies();
+
 app.use((req, res) => {
   res.status(404).json({ error: 'Not found', path: req.originalUrl });
 });
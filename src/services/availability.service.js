@@ -533,6 +533,16 @@ export function clearCache() {
   daysInflight.clear();
 }
 
+// Entradas de un solo listing (p.ej. después de un webhook de Guesty)
+export function clearListingCache(id) {
+  const marker = `:${id}:`;
+  for (const cacheMap of [listingAvailCache, daysCache]) {
+    for (const key of cacheMap.keys()) {
+      if (key.includes(marker)) cacheMap.delete(key);
+    }
+  }
+}
+
 export function getCacheStats() {
   return {
     listingAvailCache: listingAvailCache.size,
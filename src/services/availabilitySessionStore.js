@@ -0,0 +1,95 @@
+import { pool } from "../db.js";
+import { cache } from "../cache.js";
+
+/**
+ * Store de sesiones de búsqueda con availability (ver searchListings).
+ * Interfaz común, todo async:
+ *   get(id) → session | null
+ *   set(id, session, ttlSec)
+ *   delete(id)
+ *
+ * AVAILABILITY_SESSION_STORE=memory (default) usa el NodeCache del proceso;
+ * =postgres persiste en availability_search_sessions y funciona con varios workers.
+ */
+
+export const AVAILABILITY_SESSION_TTL_SEC = Number(process.env.AVAILABILITY_SESSION_TTL_SEC || 86400);
+
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+export class MemorySessionStore {
+  constructor(nodeCache = cache) {
+    this.cache = nodeCache;
+  }
+
+  async get(id) {
+    return this.cache.get(id) || null;
+  }
+
+  async set(id, session, ttlSec = AVAILABILITY_SESSION_TTL_SEC) {
+    this.cache.set(id, session, ttlSec);
+  }
+
+  async delete(id) {
+    this.cache.del(id);
+  }
+}
+
+export class PostgresSessionStore {
+  constructor(db = pool) {
+    this.db = db;
+  }
+
+  async get(id) {
+    const { rows } = await this.db.query(
+      `SELECT data FROM availability_search_sessions WHERE id = $1 AND expires_at > NOW()`,
+      [id]
+    );
+    return rows[0]?.data || null;
+  }
+
+  async set(id, session, ttlSec = AVAILABILITY_SESSION_TTL_SEC) {
+    await this.db.query(
+      `INSERT INTO availability_search_sessions (id, data, expires_at)
+       VALUES ($1, $2, NOW() + make_interval(secs => $3))
+       ON CONFLICT (id) DO UPDATE
+       SET data = EXCLUDED.data, expires_at = EXCLUDED.expires_at, updated_at = NOW()`,
+      [id, JSON.stringify(session), ttlSec]
+    );
+  }
+
+  async delete(id) {
+    await this.db.query(`DELETE FROM availability_search_sessions WHERE id = $1`, [id]);
+  }
+
+  /**
+   * Borra las sesiones vencidas
+   * @returns {Promise<number>}
+   */
+  async purgeExpired() {
+    const { rowCount } = await this.db.query(
+      `DELETE FROM availability_search_sessions WHERE expires_at <= NOW()`
+    );
+    return rowCount;
+  }
+}
+
+/**
+ * @param {'memory'|'postgres'} kind
+ */
+export function createSessionStore(kind) {
+  if (kind === "postgres") {
+    const store = new PostgresSessionStore();
+    const interval = setInterval(() => {
+      store.purgeExpired().catch((err) => console.error("❌ Error purging availability sessions:", err));
+    }, PURGE_INTERVAL_MS);
+    if (interval.unref) interval.unref();
+    return store;
+  }
+
+  if (kind && kind !== "memory") {
+    console.warn(`⚠️ Unknown AVAILABILITY_SESSION_STORE "${kind}", using memory`);
+  }
+  return new MemorySessionStore();
+}
+
+export const availabilitySessionStore = createSessionStore(process.env.AVAILABILITY_SESSION_STORE || "memory");
@@ -0,0 +1,191 @@
+import { pool } from "../db.js";
+
+/**
+ * Escritura de listing_availability compartida por scripts/syncAvailability.js
+ * (todas las propiedades) y el webhook de Guesty (una sola propiedad), más el estado
+ * por listing (listing_sync_state) y los checkpoints de cada corrida (availability_sync_runs).
+ */
+
+export const AVAILABILITY_RANGE_DAYS = 548; // 1 año y medio (~18 meses)
+
+// Un calendario sin sync OK en este lapso se marca availabilityStale en la búsqueda
+export const AVAILABILITY_STALE_HOURS = Number(process.env.AVAILABILITY_STALE_HOURS) || 24;
+
+// Una corrida 'running' sin heartbeat en este lapso se considera muerta (se puede retomar)
+const RUN_HEARTBEAT_TIMEOUT_MIN = 10;
+// Corridas muertas más viejas que esto no se retoman: se marcan 'abandoned'
+const RUN_RESUME_MAX_AGE_HOURS = 12;
+
+/**
+ * UPSERT de los días normalizados por fetchBatch.
+ * NOTA sobre cta/ctd: Guesty usa convención "Closed To Arrival/Departure".
+ *   cta: false → check-in PERMITIDO  ✅
+ *   cta: true  → check-in BLOQUEADO  ❌
+ * Se almacena tal cual. Al consultar filtrar con: WHERE cta = false AND ctd = false
+ */
+export async function upsertAvailabilityData(listingId, days, db = pool) {
+  const values = [];
+  const params = [];
+  let counter = 1;
+
+  for (const d of days) {
+    const offset = counter;
+    values.push(
+      `($${offset}, $${offset + 1}, $${offset + 2}, $${offset + 3}, $${offset + 4}, $${offset + 5}, $${offset + 6}, NOW())`,
+    );
+    params.push(
+      listingId,
+      d.date,
+      d.status === "available",
+      d.price ?? null,
+      d.minStay || 1,
+      d.cta,
+      d.ctd,
+    );
+    counter += 7;
+  }
+
+  return db.query(`
+    INSERT INTO listing_availability
+      (listing_id, date, available, price_usd, min_nights, cta, ctd, synced_at)
+    VALUES ${values.join(",")}
+    ON CONFLICT (listing_id, date)
+    DO UPDATE SET
+      available  = EXCLUDED.available,
+      price_usd  = EXCLUDED.price_usd,
+      min_nights = EXCLUDED.min_nights,
+      cta        = EXCLUDED.cta,
+      ctd        = EXCLUDED.ctd,
+      synced_at  = EXCLUDED.synced_at;
+  `, params);
+}
+
+export async function updateSyncStatus(listingId, status, db = pool) {
+  return db.query(
+    `UPDATE listings
+     SET availability_synced_at = NOW(),
+         availability_sync_status = $1
+     WHERE listing_id = $2`,
+    [status, listingId],
+  );
+}
+
+/**
+ * Resultado del sync de un listing: availability_sync_status en listings + listing_sync_state
+ * @param {string} listingId
+ * @param {{ ok: boolean, error?: string|null, runId?: number|null }} result
+ */
+export async function recordSyncResult(listingId, { ok, error = null, runId = null }, db = pool) {
+  await updateSyncStatus(listingId, ok ? "ok" : "error", db);
+  return db.query(
+    `INSERT INTO listing_sync_state
+       (listing_id, last_attempt_at, last_success_at, last_error_at, last_error, consecutive_failures, last_run_id)
+     VALUES (
+       $1, NOW(),
+       CASE WHEN $2 THEN NOW() END,
+       CASE WHEN $2 THEN NULL ELSE NOW() END,
+       $3,
+       CASE WHEN $2 THEN 0 ELSE 1 END,
+       $4
+     )
+     ON CONFLICT (listing_id) DO UPDATE SET
+       last_attempt_at      = NOW(),
+       last_success_at      = CASE WHEN $2 THEN NOW() ELSE listing_sync_state.last_success_at END,
+       last_error_at        = CASE WHEN $2 THEN listing_sync_state.last_error_at ELSE NOW() END,
+       last_error           = CASE WHEN $2 THEN listing_sync_state.last_error ELSE $3 END,
+       consecutive_failures = CASE WHEN $2 THEN 0 ELSE listing_sync_state.consecutive_failures + 1 END,
+       last_run_id          = COALESCE($4, listing_sync_state.last_run_id)`,
+    [listingId, ok, error ? String(error).slice(0, 1000) : null, runId],
+  );
+}
+
+/**
+ * Hay otra corrida viva (con heartbeat reciente), de cualquier modo
+ */
+export async function isSyncRunActive(db = pool) {
+  const { rows } = await db.query(
+    `SELECT id FROM availability_sync_runs
+     WHERE status = 'running'
+       AND heartbeat_at > NOW() - $1 * INTERVAL '1 minute'
+     LIMIT 1`,
+    [RUN_HEARTBEAT_TIMEOUT_MIN],
+  );
+  return rows.length > 0;
+}
+
+/**
+ * Corrida del mismo modo que murió a mitad de camino, para seguir desde su checkpoint.
+ * Las demasiado viejas se marcan 'abandoned' y no se devuelven.
+ * @returns {Promise<{ id: number, listing_ids: string[], checkpoint: number, ok_count: number, error_count: number }|null>}
+ */
+export async function findResumableRun(mode, db = pool) {
+  await db.query(
+    `UPDATE availability_sync_runs
+     SET status = 'abandoned', finished_at = NOW()
+     WHERE status = 'running'
+       AND heartbeat_at <= NOW() - $1 * INTERVAL '1 minute'
+       AND started_at <= NOW() - $2 * INTERVAL '1 hour'`,
+    [RUN_HEARTBEAT_TIMEOUT_MIN, RUN_RESUME_MAX_AGE_HOURS],
+  );
+
+  const { rows } = await db.query(
+    `UPDATE availability_sync_runs
+     SET resumed_count = resumed_count + 1, heartbeat_at = NOW()
+     WHERE id = (
+       SELECT id FROM availability_sync_runs
+       WHERE status = 'running'
+         AND mode = $1
+         AND heartbeat_at <= NOW() - $2 * INTERVAL '1 minute'
+       ORDER BY started_at DESC
+       LIMIT 1
+     )
+     RETURNING id, listing_ids, checkpoint, ok_count, error_count`,
+    [mode, RUN_HEARTBEAT_TIMEOUT_MIN],
+  );
+  return rows[0] || null;
+}
+
+export async function startSyncRun(mode, listingIds, db = pool) {
+  const { rows } = await db.query(
+    `INSERT INTO availability_sync_runs (mode, listing_ids) VALUES ($1, $2::text[])
+     RETURNING id, listing_ids, checkpoint, ok_count, error_count`,
+    [mode, listingIds],
+  );
+  return rows[0];
+}
+
+/**
+ * Guarda el avance después de cada batch (también sirve de heartbeat)
+ */
+export async function checkpointSyncRun(runId, { checkpoint, ok, errors }, db = pool) {
+  return db.query(
+    `UPDATE availability_sync_runs
+     SET checkpoint = $2, ok_count = $3, error_count = $4, heartbeat_at = NOW()
+     WHERE id = $1`,
+    [runId, checkpoint, ok, errors],
+  );
+}
+
+export async function finishSyncRun(runId, { status, ok, errors }, db = pool) {
+  return db.query(
+    `UPDATE availability_sync_runs
+     SET status = $2, ok_count = $3, error_count = $4, heartbeat_at = NOW(), finished_at = NOW()
+     WHERE id = $1`,
+    [runId, status, ok, errors],
+  );
+}
+
+/**
+ * Listings habilitados cuyo último intento falló (modo --retry-failed)
+ */
+export async function listFailedListingIds(db = pool) {
+  const { rows } = await db.query(
+    `SELECT l.listing_id
+     FROM listing_sync_state s
+     JOIN listings l ON l.listing_id = s.listing_id
+     WHERE s.consecutive_failures > 0
+       AND l.villanet_enabled = true AND l.is_listed = true
+     ORDER BY s.consecutive_failures ASC, s.last_error_at ASC`,
+  );
+  return rows.map((r) => r.listing_id);
+}
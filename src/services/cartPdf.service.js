@@ -49,10 +49,13 @@ async function downloadImage(url) {
   });
 }
 
+const MARGIN = 50;
+const LOGO_PATH = path.join(__dirname, '../assets/logo.png');
+
 /**
- * Genera un PDF estilizado con imágenes de villas
+ * Crea un PDFDocument A4, ejecuta `render(doc)` y resuelve con el Buffer del PDF
  */
-export function generateCartPdf(listings, { clientName }) {
+function createPdfBuffer(render) {
   return new Promise(async (resolve, reject) => {
     try {
       const doc = new PDFDocument({ 
@@ -67,402 +70,784 @@ export function generateCartPdf(listings, { clientName }) {
       doc.on('end', () => resolve(Buffer.concat(chunks)));
       doc.on('error', reject);
 
-      const pageWidth = doc.page.width;
-      const pageHeight = doc.page.height;
-      const margin = 50;
-      const logoPath = path.join(__dirname, '../assets/logo.png');
-
-      // ============ FUNCIÓN PARA DIBUJAR HEADER MEJORADO ============
-      function drawHeader(yPosition = 35) {
-        try {
-          if (fs.existsSync(logoPath)) {
-            doc.image(logoPath, margin, yPosition, { width: 80 });
-          } else {
-            // Logo tipográfico elegante
-            doc
-              .fontSize(18)
-              .fillColor(COLORS.accent)
-              .font('Helvetica-Bold')
-              .text('VILLA', margin, yPosition + 3, { continued: true })
-              .fillColor(COLORS.dark)
-              .text('NET');
-          }
-        } catch (error) {
-          doc
-            .fontSize(18)
-            .fillColor(COLORS.accent)
-            .font('Helvetica-Bold')
-            .text('VILLA', margin, yPosition + 3, { continued: true })
-            .fillColor(COLORS.dark)
-            .text('NET');
-        }
+      await render(doc);
 
-        // Línea decorativa con gradiente simulado
-        const lineY = yPosition + 58;
-        doc
-          .moveTo(margin, lineY)
-          .lineTo(pageWidth - margin, lineY)
-          .strokeColor(COLORS.accent)
-          .lineWidth(2.5)
-          .stroke();
-        
-        return lineY + 45;
-      }
+      doc.end();
+    } catch (error) {
+      reject(error);
+    }
+  });
+}
+
+function drawTextLogo(doc, x, y) {
+  doc
+    .fontSize(18)
+    .fillColor(COLORS.accent)
+    .font('Helvetica-Bold')
+    .text('VILLA', x, y, { continued: true })
+    .fillColor(COLORS.dark)
+    .text('NET');
+}
+
+/**
+ * Header con logo VillaNet (y opcionalmente el logo del PMC a la derecha).
+ * Devuelve la Y donde empieza el contenido.
+ */
+function drawHeader(doc, yPosition = 35, { pmLogo = null } = {}) {
+  const pageWidth = doc.page.width;
+
+  try {
+    if (fs.existsSync(LOGO_PATH)) {
+      doc.image(LOGO_PATH, MARGIN, yPosition, { width: 80 });
+    } else {
+      // Logo tipográfico elegante
+      drawTextLogo(doc, MARGIN, yPosition + 3);
+    }
+  } catch (error) {
+    drawTextLogo(doc, MARGIN, yPosition + 3);
+  }
+
+  if (pmLogo) {
+    try {
+      doc.image(pmLogo, pageWidth - MARGIN - 110, yPosition, { fit: [110, 45], align: 'right', valign: 'center' });
+    } catch (error) {
+      console.warn('⚠️ Could not draw PM logo:', error.message);
+    }
+  }
+
+  // Línea decorativa con gradiente simulado
+  const lineY = yPosition + 58;
+  doc
+    .moveTo(MARGIN, lineY)
+    .lineTo(pageWidth - MARGIN, lineY)
+    .strokeColor(COLORS.accent)
+    .lineWidth(2.5)
+    .stroke();
+  
+  return lineY + 45;
+}
+
+/**
+ * Footer con contacto y número de página en todas las páginas (requiere bufferPages)
+ */
+function drawFooters(doc) {
+  const pageWidth = doc.page.width;
+  const pageHeight = doc.page.height;
+  const margin = MARGIN;
+  const pageCount = doc.bufferedPageRange().count;
+  
+  for (let i = 0; i < pageCount; i++) {
+    doc.switchToPage(i);
+    
+    const footerY = pageHeight - 55;
+    
+    // Línea superior del footer
+    doc
+      .moveTo(margin, footerY)
+      .lineTo(pageWidth - margin, footerY)
+      .strokeColor(COLORS.accent)
+      .lineWidth(1.8)
+      .stroke();
+
+    // Información de contacto
+    doc
+      .fontSize(9)
+      .font('Helvetica-Bold')
+      .fillColor(COLORS.dark)
+      .text('VillaNet', margin, footerY + 14, {
+        width: pageWidth - margin * 2,
+        align: 'center',
+      });
+
+    doc
+      .fontSize(8.5)
+      .font('Helvetica')
+      .fillColor(COLORS.textLight)
+      .text('Luxury Villa Rentals  •  contact@villanet.com', margin, footerY + 28, {
+        width: pageWidth - margin * 2,
+        align: 'center',
+      });
+
+    // Número de página
+    doc
+      .fontSize(8)
+      .fillColor(COLORS.textLight)
+      .text(`Page ${i + 1} of ${pageCount}`, pageWidth - margin - 60, footerY + 14);
+  }
+}
+
+/**
+ * Dibuja la imagen de la villa recortada con bordes redondeados (o un placeholder si no carga)
+ */
+async function drawVillaImage(doc, imageUrl, imgX, imgY, imageWidth, imageHeight, villaName) {
+  let imageLoaded = false;
+  
+  if (imageUrl) {
+    try {
+      const imageBuffer = await downloadImage(imageUrl);
+      doc.save();
+      doc.roundedRect(imgX, imgY, imageWidth, imageHeight, 8).clip();
+      doc.image(imageBuffer, imgX, imgY, {
+        width: imageWidth,
+        height: imageHeight,
+        fit: [imageWidth, imageHeight],
+        align: 'center',
+        valign: 'center'
+      });
+      doc.restore();
+      imageLoaded = true;
+    } catch (error) {
+      console.warn(`⚠️ Could not load image for ${villaName}:`, error.message);
+    }
+  }
+
+  if (!imageLoaded) {
+    // Placeholder mejorado con gradiente simulado
+    doc
+      .roundedRect(imgX, imgY, imageWidth, imageHeight, 8)
+      .fillColor('#F0F0F0')
+      .fill();
+    
+    doc
+      .roundedRect(imgX, imgY, imageWidth, imageHeight, 8)
+      .lineWidth(1.5)
+      .strokeColor(COLORS.divider)
+      .stroke();
+    
+    // Ícono de casa
+    doc
+      .fontSize(65)
+      .fillColor(COLORS.textLight)
+      .text('🏡', imgX, imgY + (imageHeight / 2) - 42, {
+        width: imageWidth,
+        align: 'center'
+      });
+    
+    doc
+      .fontSize(9)
+      .fillColor(COLORS.textLight)
+      .text('Image not available', imgX, imgY + (imageHeight / 2) + 30, {
+        width: imageWidth,
+        align: 'center'
+      });
+  }
+}
 
-      // ============ PRIMERA PÁGINA - PORTADA MEJORADA ============
-      const startY = drawHeader();
-      doc.y = startY;
+/**
+ * Genera un PDF estilizado con imágenes de villas
+ */
+export function generateCartPdf(listings, { clientName }) {
+  return createPdfBuffer(async (doc) => {
+    const pageWidth = doc.page.width;
+    const pageHeight = doc.page.height;
+    const margin = MARGIN;
+
+    // ============ PRIMERA PÁGINA - PORTADA MEJORADA ============
+    const startY = drawHeader(doc);
+    doc.y = startY;
+
+    // Título principal con mejor espaciado
+    doc
+      .fontSize(42)
+      .font('Helvetica-Bold')
+      .fillColor(COLORS.dark)
+      .text('Villa Selection', margin, doc.y, {
+        width: pageWidth - margin * 2,
+        align: 'center',
+        characterSpacing: 0.5
+      });
 
-      // Título principal con mejor espaciado
+    doc.y += 18;
+
+    // Subtítulo
+    doc
+      .fontSize(14)
+      .font('Helvetica')
+      .fillColor(COLORS.textLight)
+      .text('Curated for Your Perfect Getaway', margin, doc.y, {
+        width: pageWidth - margin * 2,
+        align: 'center'
+      });
+
+    doc.y += 60;
+
+    // Información del cliente con caja decorativa
+    if (clientName) {
+      const boxY = doc.y;
+      const boxHeight = 80;
+      
+      // Caja con sombra simulada
+      doc
+        .roundedRect(margin + 3, boxY + 3, pageWidth - margin * 2, boxHeight, 8)
+        .fillColor('#E8E8E8')
+        .fill();
+      
       doc
-        .fontSize(42)
+        .roundedRect(margin, boxY, pageWidth - margin * 2, boxHeight, 8)
+        .fillColor(COLORS.grayLight)
+        .fill();
+
+      doc
+        .fontSize(10)
         .font('Helvetica-Bold')
-        .fillColor(COLORS.dark)
-        .text('Villa Selection', margin, doc.y, {
+        .fillColor(COLORS.textLight)
+        .text('PREPARED FOR', margin + 30, boxY + 20);
+      
+      doc
+        .fontSize(16)
+        .font('Helvetica-Bold')
+        .fillColor(COLORS.accent)
+        .text(clientName, margin + 30, boxY + 42);
+      
+      doc.y = boxY + boxHeight + 45;
+    } else {
+      doc.y += 25;
+    }
+
+    // Descripción con mejor formato
+    doc
+      .fontSize(10)
+      .font('Helvetica')
+      .fillColor(COLORS.text)
+      .text(
+        'This document presents a carefully curated selection of luxury villas. Each property has been chosen to match your preferences and lifestyle requirements.',
+        margin,
+        doc.y,
+        {
           width: pageWidth - margin * 2,
-          align: 'center',
-          characterSpacing: 0.5
-        });
+          align: 'left',
+          lineGap: 3
+        }
+      );
+
+    doc.y += 20;
+
+    doc
+      .fontSize(9)
+      .fillColor(COLORS.textLight)
+      .text(
+        'Please contact your travel advisor for availability, detailed information, and final pricing.',
+        margin,
+        doc.y,
+        {
+          width: pageWidth - margin * 2,
+          align: 'left'
+        }
+      );
+
+    doc.y += 65;
+
+    // ============ VILLAS CON DISEÑO MEJORADO ============
+    for (let index = 0; index < listings.length; index++) {
+      const villa = listings[index];
+      
+      const cardHeight = 210;
+      const imageWidth = 270;
+      const imageHeight = cardHeight - 30;
+      
+      // Verificar si necesitamos nueva página
+      if (doc.y > pageHeight - cardHeight - 90) {
+        doc.addPage();
+        doc.y = drawHeader(doc);
+      }
 
-      doc.y += 18;
+      const cardY = doc.y;
+      const cardX = margin;
+      const cardWidth = pageWidth - margin * 2;
 
-      // Subtítulo
+      // Sombra de la card
       doc
-        .fontSize(14)
-        .font('Helvetica')
-        .fillColor(COLORS.textLight)
-        .text('Curated for Your Perfect Getaway', margin, doc.y, {
-          width: pageWidth - margin * 2,
+        .roundedRect(cardX + 2, cardY + 2, cardWidth, cardHeight, 10)
+        .fillColor('#E8E8E8')
+        .fill();
+
+      // Fondo de la card
+      doc
+        .roundedRect(cardX, cardY, cardWidth, cardHeight, 10)
+        .lineWidth(0.5)
+        .strokeColor(COLORS.divider)
+        .fillAndStroke(COLORS.white, COLORS.divider);
+
+      // ============ IMAGEN CON MEJOR MANEJO ============
+      const imgX = cardX + 15;
+      const imgY = cardY + 15;
+      
+      await drawVillaImage(doc, villa.imageUrl, imgX, imgY, imageWidth, imageHeight, villa.name);
+
+      // ============ CONTENIDO A LA DERECHA MEJORADO ============
+      const contentX = cardX + imageWidth + 40;
+      const contentWidth = cardWidth - imageWidth - 55;
+      let currentY = cardY + 22;
+
+      // Badge de número con sombra
+      const badgeSize = 38;
+      doc
+        .roundedRect(contentX + 1, currentY + 1, badgeSize, badgeSize, 6)
+        .fillColor('#D0D0D0')
+        .fill();
+      
+      doc
+        .roundedRect(contentX, currentY, badgeSize, badgeSize, 6)
+        .fill(COLORS.accent);
+
+      doc
+        .fontSize(20)
+        .font('Helvetica-Bold')
+        .fillColor(COLORS.white)
+        .text((index + 1).toString(), contentX, currentY + 8, {
+          width: badgeSize,
           align: 'center'
         });
 
-      doc.y += 60;
+      currentY += 53;
 
-      // Información del cliente con caja decorativa
-      if (clientName) {
-        const boxY = doc.y;
-        const boxHeight = 80;
-        
-        // Caja con sombra simulada
-        doc
-          .roundedRect(margin + 3, boxY + 3, pageWidth - margin * 2, boxHeight, 8)
-          .fillColor('#E8E8E8')
-          .fill();
-        
-        doc
-          .roundedRect(margin, boxY, pageWidth - margin * 2, boxHeight, 8)
-          .fillColor(COLORS.grayLight)
-          .fill();
+      // Nombre de la villa con límite de altura
+      const villaName = villa.name || 'Unnamed Villa';
+      doc
+        .fontSize(16)
+        .font('Helvetica-Bold')
+        .fillColor(COLORS.dark);
+      
+      const nameHeight = doc.heightOfString(villaName, {
+        width: contentWidth
+      });
+      
+      doc.text(villaName, contentX, currentY, {
+        width: contentWidth,
+        height: 42,
+        ellipsis: true
+      });
+
+      currentY += Math.min(nameHeight, 42) + 10;
 
+      // Ubicación con bullet point
+      if (villa.location) {
         doc
           .fontSize(10)
-          .font('Helvetica-Bold')
+          .font('Helvetica')
           .fillColor(COLORS.textLight)
-          .text('PREPARED FOR', margin + 30, boxY + 20);
-        
-        doc
-          .fontSize(16)
-          .font('Helvetica-Bold')
-          .fillColor(COLORS.accent)
-          .text(clientName, margin + 30, boxY + 42);
+          .text('• ', contentX, currentY, { continued: true })
+          .fillColor(COLORS.text)
+          .text(villa.location, {
+            width: contentWidth - 10,
+            ellipsis: true
+          });
         
-        doc.y = boxY + boxHeight + 45;
-      } else {
-        doc.y += 25;
+        currentY += 22;
       }
 
-      // Descripción con mejor formato
+      // Bedrooms & Bathrooms mejorado
+      const beds = villa.bedrooms ?? '—';
+      const baths = villa.bathrooms ?? '—';
+      
       doc
         .fontSize(10)
+        .font('Helvetica-Bold')
+        .fillColor(COLORS.dark)
+        .text(beds, contentX, currentY, { continued: true })
+        .font('Helvetica')
+        .fillColor(COLORS.text)
+        .text(' Bedrooms  ', { continued: true })
+        .fillColor(COLORS.divider)
+        .text('•', { continued: true })
+        .fillColor(COLORS.text)
+        .text('  ', { continued: true })
+        .font('Helvetica-Bold')
+        .fillColor(COLORS.dark)
+        .text(baths, { continued: true })
         .font('Helvetica')
         .fillColor(COLORS.text)
-        .text(
-          'This document presents a carefully curated selection of luxury villas. Each property has been chosen to match your preferences and lifestyle requirements.',
-          margin,
-          doc.y,
-          {
-            width: pageWidth - margin * 2,
-            align: 'left',
-            lineGap: 3
-          }
-        );
-
-      doc.y += 20;
+        .text(' Bathrooms');
+      
+      currentY += 28;
+
+      // Precio con mejor formato
+      if (villa.priceUSD != null) {
+        const amount = Number(villa.priceUSD);
+        if (!isNaN(amount)) {
+          const formatted = `$${amount.toLocaleString('en-US', {
+            minimumFractionDigits: 0,
+            maximumFractionDigits: 0,
+          })}`;
+      
+          doc
+            .fontSize(9)
+            .font('Helvetica')
+            .fillColor(COLORS.textLight)
+            .text('Starting from  ', contentX, currentY, { continued: true })
+            .fontSize(18)
+            .font('Helvetica-Bold')
+            .fillColor(COLORS.accent)
+            .text(formatted, { continued: true })
+            .fontSize(9)
+            .font('Helvetica')
+            .fillColor(COLORS.textLight)
+            .text('  / night');
+        }
+      }
+
+      // Siguiente card con más espacio
+      doc.y = cardY + cardHeight + 35;
+    }
 
+    // Mensaje si no hay villas
+    if (!listings.length) {
       doc
-        .fontSize(9)
+        .fontSize(12)
         .fillColor(COLORS.textLight)
-        .text(
-          'Please contact your travel advisor for availability, detailed information, and final pricing.',
-          margin,
-          doc.y,
-          {
-            width: pageWidth - margin * 2,
-            align: 'left'
-          }
-        );
-
-      doc.y += 65;
-
-      // ============ VILLAS CON DISEÑO MEJORADO ============
-      for (let index = 0; index < listings.length; index++) {
-        const villa = listings[index];
-        
-        const cardHeight = 210;
-        const imageWidth = 270;
-        const imageHeight = cardHeight - 30;
-        
-        // Verificar si necesitamos nueva página
-        if (doc.y > pageHeight - cardHeight - 90) {
-          doc.addPage();
-          doc.y = drawHeader();
-        }
+        .text('No villas were included in this selection.', margin, doc.y + 50, {
+          width: pageWidth - margin * 2,
+          align: 'center',
+        });
+    }
 
-        const cardY = doc.y;
-        const cardX = margin;
-        const cardWidth = pageWidth - margin * 2;
+    // ============ FOOTER MEJORADO EN TODAS LAS PÁGINAS ============
+    drawFooters(doc);
+  });
+}
+// ============ QUOTE PDF ============
+
+function formatMoney(amount, currency = 'USD') {
+  if (amount == null || isNaN(Number(amount))) return 'Contact for pricing';
+  return new Intl.NumberFormat('en-US', {
+    style: 'currency',
+    currency,
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2,
+  }).format(Number(amount));
+}
 
-        // Sombra de la card
-        doc
-          .roundedRect(cardX + 2, cardY + 2, cardWidth, cardHeight, 10)
-          .fillColor('#E8E8E8')
-          .fill();
+function formatLongDate(ymd) {
+  if (!ymd) return null;
+  return new Date(ymd + 'T12:00:00').toLocaleDateString('en-US', {
+    weekday: 'short',
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+    timeZone: 'UTC',
+  });
+}
 
-        // Fondo de la card
-        doc
-          .roundedRect(cardX, cardY, cardWidth, cardHeight, 10)
-          .lineWidth(0.5)
-          .strokeColor(COLORS.divider)
-          .fillAndStroke(COLORS.white, COLORS.divider);
-
-        // ============ IMAGEN CON MEJOR MANEJO ============
-        const imgX = cardX + 15;
-        const imgY = cardY + 15;
-        
-        let imageLoaded = false;
-        
-        if (villa.imageUrl) {
-          try {
-            const imageBuffer = await downloadImage(villa.imageUrl);
-            doc.save();
-            doc.roundedRect(imgX, imgY, imageWidth, imageHeight, 8).clip();
-            doc.image(imageBuffer, imgX, imgY, {
-              width: imageWidth,
-              height: imageHeight,
-              fit: [imageWidth, imageHeight],
-              align: 'center',
-              valign: 'center'
-            });
-            doc.restore();
-            imageLoaded = true;
-          } catch (error) {
-            console.warn(`⚠️ Could not load image for ${villa.name}:`, error.message);
-          }
-        }
+/**
+ * Filas del desglose de precios de una villa: [label, amount, { bold, accent }]
+ */
+function breakdownRows(b, nights, commissionPct, showCommission) {
+  const rows = [[`Base Rate (${nights} night${nights !== 1 ? 's' : ''})`, b.base]];
+
+  if (b.cleaning > 0) rows.push(['Cleaning Fee', b.cleaning]);
+  if (b.feeBreakdown?.length > 0) {
+    b.feeBreakdown
+      .filter((f) => f.amount > 0)
+      .forEach((f) => rows.push([f.title, f.amount]));
+  } else if (b.otherFees > 0) {
+    rows.push(['Other Fees', b.otherFees]);
+  }
+  if (b.taxes > 0) rows.push(['Taxes', b.taxes]);
+
+  rows.push(['Total', b.total, { bold: true }]);
+
+  if (showCommission && commissionPct > 0) {
+    const commission = b.total * (commissionPct / 100);
+    rows.push([`Advisor Commission (${commissionPct}%)`, commission]);
+    rows.push(['Total incl. Commission', b.total + commission, { bold: true, accent: true }]);
+  }
+
+  return rows;
+}
 
-        if (!imageLoaded) {
-          // Placeholder mejorado con gradiente simulado
-          doc
-            .roundedRect(imgX, imgY, imageWidth, imageHeight, 8)
-            .fillColor('#F0F0F0')
-            .fill();
-          
-          doc
-            .roundedRect(imgX, imgY, imageWidth, imageHeight, 8)
-            .lineWidth(1.5)
-            .strokeColor(COLORS.divider)
-            .stroke();
-          
-          // Ícono de casa
-          doc
-            .fontSize(65)
-            .fillColor(COLORS.textLight)
-            .text('🏡', imgX, imgY + (imageHeight / 2) - 42, {
-              width: imageWidth,
-              align: 'center'
-            });
-          
-          doc
-            .fontSize(9)
-            .fillColor(COLORS.textLight)
-            .text('Image not available', imgX, imgY + (imageHeight / 2) + 30, {
-              width: imageWidth,
-              align: 'center'
-            });
-        }
+/**
+ * Genera el PDF de un quote: portada con huésped y fechas, una card por villa con
+ * desglose de precios (fees/taxes), link de reserva, y un resumen de totales.
+ *
+ * @param {Object} params
+ * @param {Object} params.quote - fila de quotes
+ * @param {Array}  params.items - items con `breakdown` y `guestyUrl` (ver buildItemsWithBreakdown)
+ * @param {number} params.nights
+ * @param {string|null} params.checkInYmd
+ * @param {string|null} params.checkOutYmd
+ * @param {string|null} params.pmLogoUrl - logo del PMC para el header
+ * @param {string} params.pmName
+ * @param {number} params.commissionPct - solo se muestra si audience = 'advisor'
+ * @param {'advisor'|'guest'} params.audience
+ * @returns {Promise<Buffer>}
+ */
+export function generateQuotePdf({
+  quote,
+  items,
+  nights,
+  checkInYmd,
+  checkOutYmd,
+  pmLogoUrl = null,
+  pmName = 'villanet',
+  commissionPct = 0,
+  audience = 'advisor',
+}) {
+  return createPdfBuffer(async (doc) => {
+    const pageWidth = doc.page.width;
+    const pageHeight = doc.page.height;
+    const margin = MARGIN;
+    const contentWidth = pageWidth - margin * 2;
+    const safeNights = nights || 1;
+    const showCommission = audience === 'advisor';
+    const hasDates = checkInYmd && checkOutYmd;
+
+    let pmLogo = null;
+    if (pmLogoUrl) {
+      try {
+        pmLogo = await downloadImage(pmLogoUrl);
+      } catch (error) {
+        console.warn(`⚠️ Could not load PM logo for ${pmName}:`, error.message);
+      }
+    }
 
-        // ============ CONTENIDO A LA DERECHA MEJORADO ============
-        const contentX = cardX + imageWidth + 40;
-        const contentWidth = cardWidth - imageWidth - 55;
-        let currentY = cardY + 22;
+    const newPage = () => {
+      doc.addPage();
+      doc.y = drawHeader(doc, 35, { pmLogo });
+    };
+    const ensureSpace = (height) => {
+      if (doc.y + height > pageHeight - 90) newPage();
+    };
+
+    // ============ PORTADA ============
+    doc.y = drawHeader(doc, 35, { pmLogo });
+
+    doc
+      .fontSize(34)
+      .font('Helvetica-Bold')
+      .fillColor(COLORS.dark)
+      .text('Villa Quote', margin, doc.y, {
+        width: contentWidth,
+        align: 'center',
+        characterSpacing: 0.5
+      });
 
-        // Badge de número con sombra
-        const badgeSize = 38;
-        doc
-          .roundedRect(contentX + 1, currentY + 1, badgeSize, badgeSize, 6)
-          .fillColor('#D0D0D0')
-          .fill();
-        
-        doc
-          .roundedRect(contentX, currentY, badgeSize, badgeSize, 6)
-          .fill(COLORS.accent);
+    doc.y += 12;
+
+    const subtitle = hasDates
+      ? `${formatLongDate(checkInYmd)}  →  ${formatLongDate(checkOutYmd)}  •  ${safeNights} night${safeNights !== 1 ? 's' : ''}`
+      : 'Flexible Dates';
+    doc
+      .fontSize(12)
+      .font('Helvetica')
+      .fillColor(COLORS.textLight)
+      .text(subtitle, margin, doc.y, { width: contentWidth, align: 'center' });
+
+    doc.y += 35;
+
+    // Caja con huésped y datos del quote
+    const boxY = doc.y;
+    const boxHeight = 80;
+    doc
+      .roundedRect(margin + 3, boxY + 3, contentWidth, boxHeight, 8)
+      .fillColor('#E8E8E8')
+      .fill();
+    doc
+      .roundedRect(margin, boxY, contentWidth, boxHeight, 8)
+      .fillColor(COLORS.grayLight)
+      .fill();
+
+    doc
+      .fontSize(10)
+      .font('Helvetica-Bold')
+      .fillColor(COLORS.textLight)
+      .text('PREPARED FOR', margin + 30, boxY + 20);
+    doc
+      .fontSize(16)
+      .font('Helvetica-Bold')
+      .fillColor(COLORS.accent)
+      .text(`${quote.guest_first_name || ''} ${quote.guest_last_name || ''}`.trim() || 'Guest', margin + 30, boxY + 42, {
+        width: contentWidth / 2 - 30,
+        ellipsis: true,
+      });
 
-        doc
-          .fontSize(20)
-          .font('Helvetica-Bold')
-          .fillColor(COLORS.white)
-          .text((index + 1).toString(), contentX, currentY + 8, {
-            width: badgeSize,
-            align: 'center'
-          });
+    const metaX = margin + contentWidth / 2;
+    const metaLines = [
+      quote.guests ? `Guests: ${quote.guests}` : null,
+      `Quote #${String(quote.id).slice(0, 8).toUpperCase()}${quote.version > 1 ? ` (v${quote.version})` : ''}`,
+      quote.expires_at
+        ? `Valid until: ${new Date(quote.expires_at).toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' })}`
+        : null,
+    ].filter(Boolean);
+    doc.fontSize(9.5).font('Helvetica').fillColor(COLORS.text);
+    metaLines.forEach((line, i) => {
+      doc.text(line, metaX, boxY + 18 + i * 16, { width: contentWidth / 2 - 30, align: 'right' });
+    });
 
-        currentY += 53;
+    doc.y = boxY + boxHeight + 35;
 
-        // Nombre de la villa con límite de altura
-        const villaName = villa.name || 'Unnamed Villa';
-        doc
-          .fontSize(16)
-          .font('Helvetica-Bold')
-          .fillColor(COLORS.dark);
-        
-        const nameHeight = doc.heightOfString(villaName, {
-          width: contentWidth
-        });
-        
-        doc.text(villaName, contentX, currentY, {
-          width: contentWidth,
-          height: 42,
-          ellipsis: true
-        });
+    // ============ VILLAS ============
+    for (let index = 0; index < items.length; index++) {
+      const item = items[index];
+      const b = item.breakdown || {};
+      const currency = b.currency || 'USD';
+      const rows = breakdownRows(b, safeNights, commissionPct, showCommission);
 
-        currentY += Math.min(nameHeight, 42) + 10;
+      const cardHeaderHeight = 150;
+      const rowHeight = 18;
+      const cardHeight = cardHeaderHeight + rows.length * rowHeight + 55;
 
-        // Ubicación con bullet point
-        if (villa.location) {
-          doc
-            .fontSize(10)
-            .font('Helvetica')
-            .fillColor(COLORS.textLight)
-            .text('• ', contentX, currentY, { continued: true })
-            .fillColor(COLORS.text)
-            .text(villa.location, {
-              width: contentWidth - 10,
-              ellipsis: true
-            });
-          
-          currentY += 22;
-        }
+      ensureSpace(cardHeight);
 
-        // Bedrooms & Bathrooms mejorado
-        const beds = villa.bedrooms ?? '—';
-        const baths = villa.bathrooms ?? '—';
-        
+      const cardY = doc.y;
+      const cardX = margin;
+
+      doc
+        .roundedRect(cardX + 2, cardY + 2, contentWidth, cardHeight, 10)
+        .fillColor('#E8E8E8')
+        .fill();
+      doc
+        .roundedRect(cardX, cardY, contentWidth, cardHeight, 10)
+        .lineWidth(0.5)
+        .fillAndStroke(COLORS.white, COLORS.divider);
+
+      // Imagen
+      const imageWidth = 190;
+      const imageHeight = cardHeaderHeight - 30;
+      await drawVillaImage(doc, item.image_url, cardX + 15, cardY + 15, imageWidth, imageHeight, item.listing_name);
+
+      // Datos de la villa
+      const infoX = cardX + imageWidth + 35;
+      const infoWidth = contentWidth - imageWidth - 50;
+      let currentY = cardY + 20;
+
+      doc
+        .fontSize(9)
+        .font('Helvetica-Bold')
+        .fillColor(COLORS.accentDark)
+        .text(`OPTION ${index + 1}`, infoX, currentY);
+      currentY += 16;
+
+      doc
+        .fontSize(15)
+        .font('Helvetica-Bold')
+        .fillColor(COLORS.dark)
+        .text(item.listing_name || 'Luxury Villa', infoX, currentY, {
+          width: infoWidth,
+          height: 38,
+          ellipsis: true,
+        });
+      currentY += 40;
+
+      if (item.listing_location) {
         doc
           .fontSize(10)
-          .font('Helvetica-Bold')
-          .fillColor(COLORS.dark)
-          .text(beds, contentX, currentY, { continued: true })
-          .font('Helvetica')
-          .fillColor(COLORS.text)
-          .text(' Bedrooms  ', { continued: true })
-          .fillColor(COLORS.divider)
-          .text('•', { continued: true })
-          .fillColor(COLORS.text)
-          .text('  ', { continued: true })
-          .font('Helvetica-Bold')
-          .fillColor(COLORS.dark)
-          .text(baths, { continued: true })
           .font('Helvetica')
           .fillColor(COLORS.text)
-          .text(' Bathrooms');
-        
-        currentY += 28;
-
-        // Precio con mejor formato
-        if (villa.priceUSD != null) {
-          const amount = Number(villa.priceUSD);
-          if (!isNaN(amount)) {
-            const formatted = `$${amount.toLocaleString('en-US', {
-              minimumFractionDigits: 0,
-              maximumFractionDigits: 0,
-            })}`;
-        
-            doc
-              .fontSize(9)
-              .font('Helvetica')
-              .fillColor(COLORS.textLight)
-              .text('Starting from  ', contentX, currentY, { continued: true })
-              .fontSize(18)
-              .font('Helvetica-Bold')
-              .fillColor(COLORS.accent)
-              .text(formatted, { continued: true })
-              .fontSize(9)
-              .font('Helvetica')
-              .fillColor(COLORS.textLight)
-              .text('  / night');
-          }
-        }
-
-        // Siguiente card con más espacio
-        doc.y = cardY + cardHeight + 35;
+          .text(`• ${item.listing_location}`, infoX, currentY, { width: infoWidth, ellipsis: true });
+        currentY += 18;
       }
 
-      // Mensaje si no hay villas
-      if (!listings.length) {
+      doc
+        .fontSize(10)
+        .font('Helvetica')
+        .fillColor(COLORS.text)
+        .text(`${item.bedrooms ?? '—'} Bedrooms  •  ${item.bathrooms ?? '—'} Bathrooms`, infoX, currentY);
+      currentY += 22;
+
+      doc
+        .fontSize(9)
+        .font('Helvetica')
+        .fillColor(COLORS.textLight)
+        .text('Total stay  ', infoX, currentY, { continued: true })
+        .fontSize(16)
+        .font('Helvetica-Bold')
+        .fillColor(COLORS.accent)
+        .text(formatMoney(b.total, currency));
+
+      // Desglose
+      let rowY = cardY + cardHeaderHeight + 5;
+      const labelX = cardX + 25;
+      const valueWidth = 140;
+      const valueX = cardX + contentWidth - 25 - valueWidth;
+
+      doc
+        .moveTo(labelX, rowY - 5)
+        .lineTo(cardX + contentWidth - 25, rowY - 5)
+        .strokeColor(COLORS.divider)
+        .lineWidth(0.5)
+        .stroke();
+
+      rows.forEach(([label, amount, opts = {}]) => {
         doc
-          .fontSize(12)
-          .fillColor(COLORS.textLight)
-          .text('No villas were included in this selection.', margin, doc.y + 50, {
-            width: pageWidth - margin * 2,
-            align: 'center',
-          });
-      }
+          .fontSize(opts.bold ? 10.5 : 9.5)
+          .font(opts.bold ? 'Helvetica-Bold' : 'Helvetica')
+          .fillColor(opts.accent ? COLORS.accentDark : opts.bold ? COLORS.dark : COLORS.text)
+          .text(label, labelX, rowY, { width: valueX - labelX - 10, ellipsis: true });
+        doc.text(formatMoney(amount, currency), valueX, rowY, { width: valueWidth, align: 'right' });
+        rowY += rowHeight;
+      });
 
-      // ============ FOOTER MEJORADO EN TODAS LAS PÁGINAS ============
-      const pageCount = doc.bufferedPageRange().count;
-      
-      for (let i = 0; i < pageCount; i++) {
-        doc.switchToPage(i);
-        
-        const footerY = pageHeight - 55;
-        
-        // Línea superior del footer
+      if (b.priceSource === 'fallback_estimate') {
         doc
-          .moveTo(margin, footerY)
-          .lineTo(pageWidth - margin, footerY)
-          .strokeColor(COLORS.accent)
-          .lineWidth(1.8)
-          .stroke();
+          .fontSize(8)
+          .font('Helvetica-Oblique')
+          .fillColor(COLORS.textLight)
+          .text('Estimated from nightly rate. Final price confirmed at booking.', labelX, rowY + 2);
+      }
 
-        // Información de contacto
+      // Link de reserva
+      if (item.guestyUrl) {
         doc
-          .fontSize(9)
+          .fontSize(10)
           .font('Helvetica-Bold')
           .fillColor(COLORS.dark)
-          .text('VillaNet', margin, footerY + 14, {
-            width: pageWidth - margin * 2,
-            align: 'center',
+          .text('Book this villa  →', labelX, cardY + cardHeight - 28, {
+            link: item.guestyUrl,
+            underline: true,
           });
+      }
 
+      doc.y = cardY + cardHeight + 30;
+    }
+
+    if (!items.length) {
+      doc
+        .fontSize(12)
+        .fillColor(COLORS.textLight)
+        .text('No villas were included in this quote.', margin, doc.y + 30, {
+          width: contentWidth,
+          align: 'center',
+        });
+    }
+
+    // ============ RESUMEN ============
+    if (items.length > 1) {
+      ensureSpace(60 + items.length * 20);
+
+      doc
+        .fontSize(14)
+        .font('Helvetica-Bold')
+        .fillColor(COLORS.dark)
+        .text('Summary', margin, doc.y);
+      doc.y += 10;
+
+      items.forEach((item, index) => {
+        const b = item.breakdown || {};
+        const total = showCommission && commissionPct > 0
+          ? b.total * (1 + commissionPct / 100)
+          : b.total;
+        const y = doc.y;
         doc
-          .fontSize(8.5)
+          .fontSize(10)
           .font('Helvetica')
-          .fillColor(COLORS.textLight)
-          .text('Luxury Villa Rentals  •  contact@villanet.com', margin, footerY + 28, {
-            width: pageWidth - margin * 2,
-            align: 'center',
-          });
-
-        // Número de página
+          .fillColor(COLORS.text)
+          .text(`${index + 1}. ${item.listing_name || 'Luxury Villa'}`, margin, y, { width: contentWidth - 160, ellipsis: true });
         doc
-          .fontSize(8)
-          .fillColor(COLORS.textLight)
-          .text(`Page ${i + 1} of ${pageCount}`, pageWidth - margin - 60, footerY + 14);
-      }
+          .font('Helvetica-Bold')
+          .fillColor(COLORS.dark)
+          .text(formatMoney(total, b.currency || 'USD'), pageWidth - margin - 150, y, { width: 150, align: 'right' });
+        doc.y = y + 20;
+      });
 
-      doc.end();
-    } catch (error) {
-      reject(error);
+      doc
+        .fontSize(8.5)
+        .font('Helvetica')
+        .fillColor(COLORS.textLight)
+        .text('Each villa is an alternative option; totals are per stay and are not cumulative.', margin, doc.y + 4, {
+          width: contentWidth,
+        });
     }
+
+    drawFooters(doc);
   });
-}
\ No newline at end of file
+}
@@ -0,0 +1,242 @@
+import { pool } from "../db.js";
+import { fetchAllListings, mapListingMinimal, extractImageUrlsFromListing, extractLatLng } from "./guesty.service.js";
+import { getGuestyAccessToken } from "./guestyAuth.js";
+
+/**
+ * Sync del catálogo de Guesty → listings (scripts/sync_listings.mjs, pm2 diario).
+ *
+ * Guesty es dueño de: nombre, capacidad (dormitorios, baños, huéspedes), imágenes,
+ * ubicación y booking domain. Todo lo curado por VillaNet (villanet_*) no se toca,
+ * y un valor que Guesty no manda nunca pisa al que ya está en la base.
+ *
+ * Unidades nuevas entran con villanet_enabled en su default: no se publican hasta
+ * que alguien las cure. Deslistadas en Guesty → is_listed = false, guesty_status = 'inactive'.
+ * Ausentes de GET /listings → is_listed = false, guesty_status = 'deleted'.
+ */
+
+// Si Guesty devuelve menos de esta fracción de las unidades conocidas se asume una
+// respuesta incompleta y no se marca ninguna como borrada
+const MIN_SEEN_RATIO = Number(process.env.CATALOG_SYNC_MIN_SEEN_RATIO) || 0.5;
+const DEFAULT_BOOKING_DOMAIN = process.env.GUESTY_BOOKING_DOMAIN || null;
+
+/**
+ * Campos que escribe el sync, a partir de un listing crudo de GET /listings
+ */
+export function mapCatalogListing(l) {
+  const minimal = mapListingMinimal(l);
+  const addr = l?.address || {};
+  const coords = extractLatLng(l);
+  const images = extractImageUrlsFromListing(l);
+  const isListed = l?.isListed ?? false;
+  const isActive = l?.active ?? l?.isActive ?? isListed;
+
+  return {
+    listing_id: minimal.id ? String(minimal.id) : null,
+    name: minimal.name,
+    // Sin nombre en Guesty mapListingMinimal devuelve "Listing <id>": sirve para insertar, no para pisar
+    has_name: Boolean(l?.nickname || l?.title || l?.name || l?.internalName),
+    bedrooms: minimal.bedrooms,
+    bathrooms: minimal.bathrooms,
+    max_guests: typeof l?.accommodates === "number" ? l.accommodates : null,
+    city: addr.city || addr.neighbourhood || null,
+    country: addr.country || addr.countryCode || null,
+    location_text: minimal.location,
+    lat: coords?.lat ?? null,
+    lng: coords?.lng ?? null,
+    hero_image_url: minimal.heroImage || images[0] || null,
+    images_json: images.length ? JSON.stringify(images) : null,
+    booking_domain: l?.bookingEngine?.domain || l?.bookingDomain || null,
+    active: Boolean(isListed && isActive),
+  };
+}
+
+// Columnas de Guesty: [columna, expresión en el DO UPDATE]. Un NULL de Guesty conserva el valor actual.
+const GUESTY_COLUMNS = [
+  ["name", "CASE WHEN $2 THEN EXCLUDED.name ELSE listings.name END"],
+  ["bedrooms", "COALESCE(EXCLUDED.bedrooms, listings.bedrooms)"],
+  ["bathrooms", "COALESCE(EXCLUDED.bathrooms, listings.bathrooms)"],
+  ["max_guests", "COALESCE(EXCLUDED.max_guests, listings.max_guests)"],
+  ["city", "COALESCE(EXCLUDED.city, listings.city)"],
+  ["country", "COALESCE(EXCLUDED.country, listings.country)"],
+  ["location_text", "COALESCE(EXCLUDED.location_text, listings.location_text)"],
+  ["lat", "COALESCE(EXCLUDED.lat, listings.lat)"],
+  ["lng", "COALESCE(EXCLUDED.lng, listings.lng)"],
+  ["hero_image_url", "COALESCE(EXCLUDED.hero_image_url, listings.hero_image_url)"],
+  ["images_json", "COALESCE(EXCLUDED.images_json, listings.images_json)"],
+  ["guesty_booking_domain", "COALESCE($15, listings.guesty_booking_domain, $16)"],
+  // Solo se re-lista lo que bajó el propio sync; un deslistado manual se respeta
+  ["is_listed", `CASE
+      WHEN NOT EXCLUDED.is_listed THEN false
+      WHEN listings.guesty_status IN ('inactive', 'deleted') THEN true
+      ELSE listings.is_listed
+    END`],
+];
+
+// updated_at ordena empates en la búsqueda: solo se mueve si cambió algún campo
+const UPSERT_SQL = `
+  INSERT INTO listings (
+    listing_id, name, bedrooms, bathrooms, max_guests,
+    city, country, location_text, lat, lng,
+    hero_image_url, images_json, guesty_booking_domain, is_listed,
+    guesty_status, guesty_last_seen_at, updated_at
+  ) VALUES (
+    $1, $3, $4, $5, $6,
+    $7, $8, $9, $10, $11,
+    $12, $13::jsonb, COALESCE($15, $16), $14,
+    $17, NOW(), NOW()
+  )
+  ON CONFLICT (listing_id) DO UPDATE SET
+    ${GUESTY_COLUMNS.map(([col, expr]) => `${col} = ${expr}`).join(",\n    ")},
+    updated_at = CASE
+      WHEN ROW(${GUESTY_COLUMNS.map(([col]) => `listings.${col}`).join(", ")})
+        IS DISTINCT FROM ROW(${GUESTY_COLUMNS.map(([, expr]) => expr).join(", ")})
+      THEN NOW()
+      ELSE listings.updated_at
+    END,
+    guesty_status = EXCLUDED.guesty_status,
+    guesty_last_seen_at = NOW()
+  RETURNING (xmax = 0) AS inserted
+`;
+
+async function upsertCatalogListing(client, f) {
+  const { rows } = await client.query(UPSERT_SQL, [
+    f.listing_id, f.has_name, f.name, f.bedrooms, f.bathrooms, f.max_guests,
+    f.city, f.country, f.location_text, f.lat, f.lng,
+    f.hero_image_url, f.images_json, f.active,
+    f.booking_domain, DEFAULT_BOOKING_DOMAIN,
+    f.active ? "active" : "inactive",
+  ]);
+  return rows[0]?.inserted === true;
+}
+
+/**
+ * Hay un sync de catálogo en curso si el último start de la última hora no tiene end
+ */
+export async function isCatalogSyncRunning() {
+  const { rows } = await pool.query(`
+    SELECT id FROM sync_logs
+    WHERE event_type = 'catalog_sync_start'
+      AND created_at > NOW() - INTERVAL '60 minutes'
+      AND NOT EXISTS (
+        SELECT 1 FROM sync_logs s2
+        WHERE s2.event_type = 'catalog_sync_end'
+          AND s2.created_at > sync_logs.created_at
+      )
+    LIMIT 1
+  `);
+  return rows.length > 0;
+}
+
+async function logCatalogSync(eventType, message, details) {
+  const { rows } = await pool.query(
+    `INSERT INTO sync_logs (event_type, message, details) VALUES ($1, $2, $3) RETURNING id`,
+    [eventType, message, JSON.stringify(details)]
+  );
+  return rows[0].id;
+}
+
+/**
+ * Corre el sync completo en una transacción (dryRun → ROLLBACK al final).
+ * @param {{ dryRun?: boolean, checkRunning?: boolean }} [options]
+ *   checkRunning=false cuando ya corre bajo el advisory lock del job "catalog-sync"
+ * @returns {Promise<object>} resumen, el mismo que queda en sync_logs (catalog_sync_end)
+ */
+export async function runCatalogSync({ dryRun = false, checkRunning = true } = {}) {
+  const startTime = Date.now();
+
+  if (checkRunning && await isCatalogSyncRunning()) {
+    return { status: "skipped", reason: "already running" };
+  }
+
+  const startLogId = await logCatalogSync("catalog_sync_start", "Sync de catálogo iniciado", { dry_run: dryRun });
+  const summary = {
+    start_log_id: startLogId,
+    dry_run: dryRun,
+    fetched: 0,
+    inserted: 0,
+    updated: 0,
+    inactive: 0,
+    relisted: 0,
+    deleted: 0,
+    deletion_skipped: false,
+    errors: 0,
+    error_ids: [],
+  };
+
+  const client = await pool.connect();
+  try {
+    const token = await getGuestyAccessToken();
+    const raw = await fetchAllListings(token);
+    summary.fetched = raw.length;
+    if (!raw.length) throw new Error("Guesty returned no listings");
+
+    const { rows: existing } = await client.query(`SELECT listing_id, guesty_status FROM listings`);
+    const previousStatus = new Map(existing.map((r) => [r.listing_id, r.guesty_status]));
+    const knownCount = existing.filter((r) => r.guesty_status !== "deleted").length;
+
+    await client.query("BEGIN");
+
+    const seenIds = [];
+    for (const listing of raw) {
+      const fields = mapCatalogListing(listing);
+      if (!fields.listing_id) continue;
+      seenIds.push(fields.listing_id);
+
+      // Un listing que falla no aborta la transacción del resto
+      await client.query("SAVEPOINT catalog_listing");
+      try {
+        const inserted = await upsertCatalogListing(client, fields);
+        await client.query("RELEASE SAVEPOINT catalog_listing");
+
+        if (inserted) summary.inserted++;
+        else summary.updated++;
+
+        const before = previousStatus.get(fields.listing_id);
+        if (!fields.active && previousStatus.has(fields.listing_id) && before !== "inactive") summary.inactive++;
+        if (fields.active && (before === "inactive" || before === "deleted")) summary.relisted++;
+      } catch (err) {
+        await client.query("ROLLBACK TO SAVEPOINT catalog_listing");
+        console.error(`❌ [Catalog Sync] listing ${fields.listing_id}:`, err.message);
+        summary.errors++;
+        if (summary.error_ids.length < 50) summary.error_ids.push(fields.listing_id);
+      }
+    }
+
+    if (seenIds.length < knownCount * MIN_SEEN_RATIO) {
+      summary.deletion_skipped = true;
+      console.warn(`⚠️  [Catalog Sync] Guesty devolvió ${seenIds.length} de ${knownCount} unidades conocidas: no se marcan borradas`);
+    } else {
+      const { rowCount } = await client.query(
+        `UPDATE listings
+         SET is_listed = false, guesty_status = 'deleted', updated_at = NOW()
+         WHERE guesty_status IS DISTINCT FROM 'deleted'
+           AND NOT (listing_id = ANY($1::text[]))`,
+        [seenIds]
+      );
+      summary.deleted = rowCount;
+    }
+
+    await client.query(dryRun ? "ROLLBACK" : "COMMIT");
+  } catch (err) {
+    await client.query("ROLLBACK").catch(() => {});
+    summary.status = "failed";
+    summary.duration_s = parseFloat(((Date.now() - startTime) / 1000).toFixed(1));
+    await logCatalogSync("catalog_sync_error", err.message, { start_log_id: startLogId, error: err.stack });
+    await logCatalogSync("catalog_sync_end", `Sync de catálogo failed: ${err.message}`, summary);
+    throw err;
+  } finally {
+    client.release();
+  }
+
+  summary.status = summary.errors === 0 ? "ok" : "partial";
+  summary.duration_s = parseFloat(((Date.now() - startTime) / 1000).toFixed(1));
+
+  await logCatalogSync(
+    "catalog_sync_end",
+    `Sync de catálogo ${summary.status}${dryRun ? " (dry-run)" : ""}: ${summary.fetched} en Guesty, ` +
+      `${summary.inserted} nuevas, ${summary.updated} actualizadas, ${summary.inactive} deslistadas, ` +
+      `${summary.deleted} borradas, ${summary.errors} errores en ${summary.duration_s}s`,
+    summary
+  );
+  return summary;
+}
@@ -357,6 +357,68 @@ export async function sendVillaInquiryNotification(leadData) {
   return { success: true, messageId: info.messageId }
 }
 
+/**
+ * Alerta de búsqueda guardada: villas nuevas y bajas de precio desde la última corrida
+ * @param {Object} alert - { to, fullName, searchName, priceLabel, newMatches, priceDrops }
+ * @returns {Promise<Object>} Resultado del envío
+ */
+export async function sendSavedSearchAlert({ to, fullName, searchName, priceLabel, newMatches, priceDrops }) {
+  const money = (n) => (n === null || n === undefined ? "—" : `$${Number(n).toLocaleString("en-US")}`);
+
+  const row = (villa, priceCell) => `
+            <tr>
+              <td style="padding: 10px 0; border-bottom: 1px solid #e0e0e0; color: #111827; font-size: 14px; font-weight: 600;">
+                ${villa.name}<br>
+                <span style="color: #666; font-size: 12px; font-weight: 400;">${villa.location || ""}${villa.bedrooms ? ` · ${villa.bedrooms} BR` : ""}</span>
+              </td>
+              <td style="padding: 10px 0; border-bottom: 1px solid #e0e0e0; color: #333; font-size: 14px; text-align: right;">${priceCell}</td>
+            </tr>`;
+
+  const section = (title, rows) => `
+        <div style="background: #f8f9fa; border-radius: 12px; padding: 20px; margin-bottom: 25px;">
+          <h3 style="margin: 0 0 15px 0; color: #111827; font-size: 18px; font-weight: 600;">${title}</h3>
+          <table style="width: 100%; border-collapse: collapse;">${rows}
+          </table>
+        </div>`;
+
+  const emailBody = `
+    <div style="font-family: 'Helvetica', -apple-system, sans-serif; max-width: 600px; margin: 0 auto; background: #ffffff;">
+      <div style="background: white; padding: 30px 20px; text-align: center; border-bottom: 2px solid #e0e0e0;">
+        <h1 style="color: #111827; margin: 0; font-size: 28px; font-weight: 700;">Saved Search Update</h1>
+        <p style="color: #475569; margin: 10px 0 0 0; font-size: 16px;">${searchName}</p>
+      </div>
+
+      <div style="padding: 30px 20px;">
+        <p style="color: #333; font-size: 15px; margin: 0 0 25px 0;">
+          Hi ${(fullName || "").split(" ")[0] || "there"}, here is what changed since the last availability update.
+        </p>
+        ${newMatches.length ? section(
+          `New villas matching (${newMatches.length})`,
+          newMatches.map((v) => row(v, `${money(v.priceUSD)} <span style="color:#999; font-size:12px;">${priceLabel}</span>`)).join("")
+        ) : ""}
+        ${priceDrops.length ? section(
+          `Price drops (${priceDrops.length})`,
+          priceDrops.map((v) => row(v, `<span style="color:#999; text-decoration: line-through;">${money(v.previousPriceUSD)}</span> ${money(v.priceUSD)} <span style="color:#999; font-size:12px;">${priceLabel}</span>`)).join("")
+        ) : ""}
+      </div>
+
+      <div style="background: #f8f9fa; padding: 20px; text-align: center; border-top: 1px solid #e0e0e0;">
+        <p style="margin: 0; color: #999; font-size: 12px;">
+          You are receiving this because alerts are enabled for this saved search on <strong>thevillanet.com</strong>.
+        </p>
+      </div>
+    </div>
+  `;
+
+  return sendEmail({
+    to,
+    subject: `${searchName}: ${[
+      newMatches.length && `${newMatches.length} new villa${newMatches.length === 1 ? "" : "s"}`,
+      priceDrops.length && `${priceDrops.length} price drop${priceDrops.length === 1 ? "" : "s"}`,
+    ].filter(Boolean).join(", ")}`,
+    html: emailBody,
+  });
+}
 
 /**
  * Verifica la configuración de email
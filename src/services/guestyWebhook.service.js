@@ -0,0 +1,190 @@
+import crypto from "crypto";
+import { pool } from "../db.js";
+import { fetchBatch, ymd } from "./availability.service.js";
+import { fetchListingById, mapListingMinimal, extractDetailFields, extractLatLng } from "./guesty.service.js";
+import { getGuestyAccessToken } from "./guestyAuth.js";
+import { AVAILABILITY_RANGE_DAYS, upsertAvailabilityData, recordSyncResult } from "./availabilitySync.service.js";
+import { invalidateListingCache } from "./listingCache.service.js";
+
+/**
+ * Webhooks de Guesty (POST /webhooks/guesty). Guesty los firma con Svix:
+ *   headers svix-id / svix-timestamp / svix-signature ("v1,<base64> v1,<base64>")
+ *   firma = base64(HMAC-SHA256(secreto, `${id}.${timestamp}.${body crudo}`))
+ *   secreto = GUESTY_WEBHOOK_SECRET ("whsec_<base64>", del dashboard de Guesty)
+ *
+ * Cada evento refresca solo el listing afectado: el calendario completo (mismo rango
+ * que syncAvailability.js) para reservas y cambios de calendario, y los campos que
+ * vienen de Guesty para listing.updated. Los campos villanet_* nunca se tocan.
+ */
+
+const SIGNATURE_TOLERANCE_SEC = 5 * 60;
+
+const CALENDAR_EVENTS = new Set([
+  "reservation.new",
+  "reservation.updated",
+  "reservation.canceled",
+  "reservation.cancelled",
+  "listing.calendar.updated",
+]);
+const LISTING_EVENTS = new Set(["listing.updated"]);
+
+export function webhookError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+function signingKey(secret) {
+  return Buffer.from(secret.startsWith("whsec_") ? secret.slice(6) : secret, "base64");
+}
+
+/**
+ * Verifica la firma Svix sobre el body crudo.
+ * Errores: WEBHOOK_NOT_CONFIGURED | INVALID_SIGNATURE
+ * @param {Record<string, string>} headers - req.headers
+ * @param {Buffer} rawBody
+ */
+export function verifyGuestySignature(headers, rawBody, secret = process.env.GUESTY_WEBHOOK_SECRET) {
+  if (!secret) throw webhookError("WEBHOOK_NOT_CONFIGURED", "GUESTY_WEBHOOK_SECRET is not set");
+
+  const id = headers["svix-id"] || headers["webhook-id"];
+  const timestamp = headers["svix-timestamp"] || headers["webhook-timestamp"];
+  const signatures = headers["svix-signature"] || headers["webhook-signature"];
+  if (!id || !timestamp || !signatures || !Buffer.isBuffer(rawBody)) {
+    throw webhookError("INVALID_SIGNATURE", "Missing webhook signature headers");
+  }
+
+  const age = Math.abs(Date.now() / 1000 - Number(timestamp));
+  if (!(age <= SIGNATURE_TOLERANCE_SEC)) {
+    throw webhookError("INVALID_SIGNATURE", "Webhook timestamp outside tolerance");
+  }
+
+  const expected = crypto
+    .createHmac("sha256", signingKey(secret))
+    .update(`${id}.${timestamp}.`)
+    .update(rawBody)
+    .digest();
+
+  const valid = String(signatures)
+    .split(" ")
+    .map((part) => part.split(","))
+    .filter(([version, value]) => version === "v1" && value)
+    .some(([, value]) => {
+      const received = Buffer.from(value, "base64");
+      return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+    });
+
+  if (!valid) throw webhookError("INVALID_SIGNATURE", "Invalid webhook signature");
+  return id;
+}
+
+/**
+ * listing_id del evento según su tipo (reserva, calendario o listing)
+ */
+export function listingIdOf(payload) {
+  const candidates = [
+    payload?.reservation?.listingId,
+    payload?.reservation?.listing?._id,
+    payload?.listing?._id,
+    payload?.listing?.id,
+    payload?.listingId,
+    Array.isArray(payload?.calendar) ? payload.calendar[0]?.listingId : payload?.calendar?.listingId,
+  ];
+  const id = candidates.find((c) => c !== undefined && c !== null && String(c).trim());
+  return id ? String(id).trim() : null;
+}
+
+async function refreshCalendar(listingId) {
+  const fromDate = new Date();
+  const toDate = new Date();
+  toDate.setDate(toDate.getDate() + AVAILABILITY_RANGE_DAYS);
+
+  const [data] = await fetchBatch([listingId], ymd(fromDate), ymd(toDate));
+  if (!data?.days?.length) {
+    await recordSyncResult(listingId, { ok: false, error: "No calendar data from Guesty (webhook)" });
+    throw new Error(`No calendar data from Guesty for listing ${listingId}`);
+  }
+
+  await upsertAvailabilityData(listingId, data.days);
+  await recordSyncResult(listingId, { ok: true });
+  return data.days.length;
+}
+
+/**
+ * Campos de Guesty del listing (solo los que llegan con valor, como backfill-listing-details).
+ * Un listing desactivado en Guesty se deslistea con guesty_status 'inactive', igual que
+ * el catalog sync: así el sync lo vuelve a listar cuando se reactive en Guesty.
+ */
+async function refreshListing(listingId) {
+  const token = await getGuestyAccessToken();
+  const detail = await fetchListingById(token, listingId);
+  if (!detail) throw new Error(`Listing ${listingId} not found in Guesty`);
+
+  const minimal = mapListingMinimal(detail);
+  const { description, amenities } = extractDetailFields(detail);
+  const coords = extractLatLng(detail);
+  // Sin nombre en Guesty mapListingMinimal devuelve "Listing <id>": no pisar el actual
+  const hasName = Boolean(detail?.nickname || detail?.title || detail?.name);
+
+  const fields = {
+    name: hasName ? minimal.name : null,
+    bedrooms: minimal.bedrooms,
+    bathrooms: minimal.bathrooms,
+    max_guests: detail?.accommodates ?? null,
+    price_usd: minimal.priceUSD,
+    description,
+    amenities_json: amenities.length ? JSON.stringify(amenities) : null,
+    lat: coords?.lat ?? null,
+    lng: coords?.lng ?? null,
+  };
+  if (detail?.active === false || detail?.isListed === false) {
+    fields.is_listed = false;
+    fields.guesty_status = "inactive";
+  }
+
+  const setClauses = [];
+  const values = [];
+  for (const [col, val] of Object.entries(fields)) {
+    if (val !== null && val !== undefined) {
+      values.push(val);
+      setClauses.push(`${col} = $${values.length}`);
+    }
+  }
+  if (!setClauses.length) return [];
+
+  values.push(listingId);
+  await pool.query(
+    `UPDATE listings SET ${setClauses.join(", ")}, updated_at = NOW()
+     WHERE listing_id = $${values.length}`,
+    values
+  );
+  return setClauses.map((c) => c.split(" = ")[0]);
+}
+
+/**
+ * Procesa un evento ya verificado. Eventos de listings que no están en la base se ignoran.
+ * @param {object} payload - body del webhook
+ * @returns {Promise<{ event: string, listingId: string|null, action: string, detail?: any }>}
+ */
+export async function handleGuestyEvent(payload) {
+  const event = String(payload?.event || payload?.type || "");
+  const listingId = listingIdOf(payload);
+
+  const isCalendar = CALENDAR_EVENTS.has(event);
+  const isListing = LISTING_EVENTS.has(event);
+  if (!isCalendar && !isListing) return { event, listingId, action: "ignored" };
+  if (!listingId) return { event, listingId, action: "ignored", detail: "no listing id" };
+
+  const { rows } = await pool.query(`SELECT listing_id FROM listings WHERE listing_id = $1`, [listingId]);
+  if (!rows.length) return { event, listingId, action: "ignored", detail: "unknown listing" };
+
+  let result;
+  if (isCalendar) {
+    result = { event, listingId, action: "calendar_refreshed", detail: { days: await refreshCalendar(listingId) } };
+  } else {
+    result = { event, listingId, action: "listing_updated", detail: { fields: await refreshListing(listingId) } };
+  }
+
+  invalidateListingCache(listingId);
+  return result;
+}
@@ -0,0 +1,129 @@
+/**
+ * Jobs de mantenimiento que se pueden correr con jobRunner.service.js
+ * (pm2 vía scripts/runJob.js o un admin vía POST /admin/jobs/:name/run).
+ *
+ * Cada job es un script de scripts/ que corre en un proceso hijo: así siguen
+ * funcionando igual que a mano (process.exit, pool.end) y se pueden cancelar.
+ * Jobs con el mismo `lock` nunca corren a la vez (advisory lock de Postgres); el hijo
+ * recibe JOB_RUN_ID y los scripts que tienen su propio chequeo de "ya corriendo" lo saltean.
+ *
+ *   script       → path relativo a la raíz del repo
+ *   args         → argumentos fijos del script
+ *   lock         → clave del advisory lock (default: el nombre del job)
+ *   timeoutMin   → se cancela si corre más que esto
+ *   waitForLockMin → en vez de saltearse, espera hasta esto a que se libere el lock
+ *   schedule     → solo informativo: el cron de ecosystem.config.cjs
+ */
+export const JOBS = {
+  guardian: {
+    description: "Audita URLs de booking y limpia datos según las reglas del guardian",
+    script: "scripts/guardian.cron.js",
+    timeoutMin: 60,
+    schedule: "0 8 * * 1,3",
+  },
+  "catalog-sync": {
+    description: "Sync del catálogo de Guesty: altas, bajas, nombres, capacidad, imágenes y ubicación",
+    script: "scripts/sync_listings.mjs",
+    lock: "catalog",
+    timeoutMin: 60,
+    schedule: "0 2 * * *",
+  },
+  "availability-incremental": {
+    description: "Sync de availability de las propiedades habilitadas (retoma corridas interrumpidas)",
+    script: "scripts/syncAvailability.js",
+    lock: "availability",
+    timeoutMin: 180,
+    schedule: "0 */4 * * *",
+  },
+  "availability-full": {
+    description: "Resync completo de availability",
+    script: "scripts/syncAvailability.js",
+    args: ["--full"],
+    lock: "availability",
+    timeoutMin: 180,
+    // El full tiene prioridad: si hay un incremental corriendo lo espera en vez de saltearse
+    waitForLockMin: 60,
+    schedule: "0 3 * * *",
+  },
+  "availability-retry": {
+    description: "Reintenta solo los listings cuyo último sync de availability falló",
+    script: "scripts/syncAvailability.js",
+    args: ["--retry-failed"],
+    lock: "availability",
+    timeoutMin: 30,
+    schedule: "30 * * * *",
+  },
+  "fees-incremental": {
+    description: "Sync de fees de propiedades con fees vencidos o con error",
+    script: "scripts/syncFees.js",
+    lock: "fees",
+    timeoutMin: 120,
+    schedule: "0 */6 * * *",
+  },
+  "fees-full": {
+    description: "Resync completo de fees",
+    script: "scripts/syncFees.js",
+    args: ["--full"],
+    lock: "fees",
+    timeoutMin: 120,
+    waitForLockMin: 30,
+    schedule: "0 4 * * *",
+  },
+  "rates-sync": {
+    description: "Precio base en USD de cada listing desde Guesty",
+    script: "scripts/syncRates.js",
+    lock: "rates",
+    timeoutMin: 120,
+  },
+  "saved-search-alerts": {
+    description: "Emails de búsquedas guardadas (también corre al final de cada sync de availability)",
+    script: "scripts/savedSearchAlerts.js",
+    // Mismo lock que los syncs: no se pisa con el runSavedSearchAlerts() del final de syncAvailability
+    lock: "availability",
+    timeoutMin: 30,
+  },
+  "quote-expiry": {
+    description: "Vence los quotes enviados cuya ventana de validez ya pasó",
+    script: "scripts/expireQuotes.js",
+    timeoutMin: 10,
+    schedule: "15 * * * *",
+  },
+  "hero-images-backfill": {
+    description: "Completa villanet_hero_images vacíos desde images_json",
+    script: "scripts/backfill-hero-images.js",
+    lock: "listings-backfill",
+    timeoutMin: 30,
+  },
+  "listing-details-backfill": {
+    description: "Completa capacidad, precio y ubicación faltantes desde Guesty",
+    script: "scripts/backfill-listing-details.js",
+    args: ["--apply"],
+    lock: "listings-backfill",
+    timeoutMin: 120,
+  },
+};
+
+const DEFAULT_TIMEOUT_MIN = 120;
+
+/**
+ * Definición normalizada de un job, o null si no existe
+ * @param {string} name
+ */
+export function getJob(name) {
+  if (!Object.prototype.hasOwnProperty.call(JOBS, name)) return null;
+  const job = JOBS[name];
+  return {
+    name,
+    description: job.description,
+    script: job.script,
+    args: job.args || [],
+    lock: job.lock || name,
+    timeoutMin: job.timeoutMin || DEFAULT_TIMEOUT_MIN,
+    waitForLockMin: job.waitForLockMin || 0,
+    schedule: job.schedule || null,
+  };
+}
+
+export function listJobDefinitions() {
+  return Object.keys(JOBS).map(getJob);
+}
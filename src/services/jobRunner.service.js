@@ -0,0 +1,250 @@
+import { spawn } from "child_process";
+import os from "os";
+import path from "path";
+import { fileURLToPath } from "url";
+import { pool } from "../db.js";
+import { JobRun } from "../models/JobRun.js";
+import { JobRunStatus } from "../types.js";
+import { getJob, listJobDefinitions } from "./jobRegistry.js";
+
+/**
+ * Corre jobs de jobRegistry.js con exclusión mutua e historial en job_runs.
+ *
+ * - Lock: pg_try_advisory_lock(LOCK_NAMESPACE, hashtext(lock)) en una conexión dedicada
+ *   que se mantiene toda la corrida. Si el proceso muere, Postgres libera el lock solo.
+ * - El script corre en un proceso hijo; su stdout/stderr se guarda (el final) en job_runs.output.
+ * - Cada HEARTBEAT_MS se actualiza heartbeat_at + output y se mira cancel_requested_at:
+ *   así se puede cancelar desde cualquier proceso (la API cancela corridas lanzadas por pm2).
+ */
+
+const ROOT_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "../..");
+
+const LOCK_NAMESPACE = 7301; // primer int de los advisory locks de jobs
+const HEARTBEAT_MS = 5000;
+const LOCK_RETRY_MS = 30 * 1000;
+const KILL_GRACE_MS = 30 * 1000; // SIGTERM → SIGKILL
+const MAX_OUTPUT_CHARS = 64 * 1024;
+
+// Corridas lanzadas por este proceso: runId (string, BIGSERIAL) → { child, cancel }
+const localRuns = new Map();
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+export function jobError(code, message, extra = {}) {
+  const err = new Error(message);
+  err.code = code;
+  Object.assign(err, extra);
+  return err;
+}
+
+async function tryLock(client, lockKey) {
+  const { rows } = await client.query(
+    "SELECT pg_try_advisory_lock($1, hashtext($2)) AS locked",
+    [LOCK_NAMESPACE, lockKey]
+  );
+  return rows[0].locked === true;
+}
+
+async function acquireLock(lockKey, waitMin) {
+  const client = await pool.connect();
+  try {
+    const deadline = Date.now() + waitMin * 60 * 1000;
+    while (true) {
+      if (await tryLock(client, lockKey)) return client;
+      if (Date.now() + LOCK_RETRY_MS > deadline) break;
+      await sleep(LOCK_RETRY_MS);
+    }
+  } catch (err) {
+    client.release();
+    throw err;
+  }
+  client.release();
+  return null;
+}
+
+async function releaseLock(client, lockKey) {
+  try {
+    await client.query("SELECT pg_advisory_unlock($1, hashtext($2))", [LOCK_NAMESPACE, lockKey]);
+    client.release();
+  } catch (err) {
+    // Conexión rota: se descarta y Postgres ya soltó el lock
+    client.release(err);
+  }
+}
+
+function killChild(child) {
+  if (child.exitCode !== null || child.signalCode !== null) return;
+  child.kill("SIGTERM");
+  setTimeout(() => {
+    if (child.exitCode === null && child.signalCode === null) child.kill("SIGKILL");
+  }, KILL_GRACE_MS).unref();
+}
+
+/**
+ * Estado final de una corrida según cómo terminó el proceso hijo
+ * @param {{ cancelled: boolean, timedOut: boolean, spawnError?: Error|null, exitCode: number|null, timeoutMin: number }} result
+ * @returns {{ status: string, error: string|null }}
+ */
+export function runStatusFor({ cancelled, timedOut, spawnError = null, exitCode, timeoutMin }) {
+  if (cancelled) return { status: JobRunStatus.CANCELLED, error: null };
+  if (timedOut) return { status: JobRunStatus.FAILED, error: `Timed out after ${timeoutMin} min` };
+  if (spawnError) return { status: JobRunStatus.FAILED, error: spawnError.message };
+  if (exitCode !== 0) return { status: JobRunStatus.FAILED, error: `Exited with code ${exitCode}` };
+  return { status: JobRunStatus.SUCCEEDED, error: null };
+}
+
+/**
+ * Arranca un job. Resuelve cuando el proceso hijo ya está corriendo; `done` resuelve
+ * con la corrida terminada (nunca rechaza).
+ * Errores: JOB_NOT_FOUND | JOB_LOCKED (err.runningRun = la corrida que tiene el lock)
+ * @param {string} name
+ * @param {{ trigger: string, triggeredBy?: string|null, waitForLock?: boolean }} options
+ *   trigger: JobTrigger · waitForLock=false ignora waitForLockMin (requests HTTP)
+ * @returns {Promise<{ run: object, done: Promise<object> }>}
+ */
+export async function startJob(name, { trigger, triggeredBy = null, waitForLock = true }) {
+  const job = getJob(name);
+  if (!job) throw jobError("JOB_NOT_FOUND", `Unknown job: ${name}`);
+
+  await JobRun.markLost();
+
+  const lockClient = await acquireLock(job.lock, waitForLock ? job.waitForLockMin : 0);
+  if (!lockClient) {
+    const runningRun = await JobRun.findRunningByLock(job.lock);
+    throw jobError("JOB_LOCKED", `Job ${name} is locked by another run (${job.lock})`, { runningRun, job });
+  }
+
+  let run;
+  let child;
+  try {
+    run = await JobRun.create({ jobName: name, lockKey: job.lock, trigger, triggeredBy, host: os.hostname() });
+    child = spawn(process.execPath, [job.script, ...job.args], {
+      cwd: ROOT_DIR,
+      // JOB_RUN_ID le avisa al script que ya corre bajo el advisory lock (no chequea el suyo)
+      env: { ...process.env, JOB_RUN_ID: String(run.id) },
+      stdio: ["ignore", "pipe", "pipe"],
+    });
+  } catch (err) {
+    if (run) await JobRun.finish(run.id, { status: JobRunStatus.FAILED, error: err.message, output: "" }).catch(() => {});
+    await releaseLock(lockClient, job.lock);
+    throw err;
+  }
+
+  let output = "";
+  const append = (chunk, stream) => {
+    stream.write(chunk);
+    output += chunk.toString("utf8");
+    if (output.length > MAX_OUTPUT_CHARS) output = output.slice(-MAX_OUTPUT_CHARS);
+  };
+  child.stdout.on("data", (chunk) => append(chunk, process.stdout));
+  child.stderr.on("data", (chunk) => append(chunk, process.stderr));
+
+  let cancelled = false;
+  let timedOut = false;
+  const cancel = () => {
+    if (cancelled) return;
+    cancelled = true;
+    console.warn(`🛑 [Jobs] Cancelando ${name} (run #${run.id})`);
+    killChild(child);
+  };
+  localRuns.set(String(run.id), { child, cancel });
+
+  const timeout = setTimeout(() => {
+    timedOut = true;
+    console.warn(`⏱️ [Jobs] ${name} (run #${run.id}) superó ${job.timeoutMin} min`);
+    killChild(child);
+  }, job.timeoutMin * 60 * 1000);
+
+  const heartbeat = setInterval(() => {
+    JobRun.heartbeat(run.id, { output, pid: child.pid ?? null })
+      .then((cancelRequested) => { if (cancelRequested) cancel(); })
+      .catch((err) => console.error(`❌ [Jobs] Heartbeat de run #${run.id}:`, err.message));
+  }, HEARTBEAT_MS);
+
+  console.log(`▶️  [Jobs] ${name} (run #${run.id}, ${trigger}) → node ${[job.script, ...job.args].join(" ")}`);
+
+  const done = new Promise((resolve) => {
+    let finished = false;
+    const finish = async (exitCode, spawnError) => {
+      if (finished) return;
+      finished = true;
+      clearTimeout(timeout);
+      clearInterval(heartbeat);
+      localRuns.delete(String(run.id));
+
+      const { status, error } = runStatusFor({ cancelled, timedOut, spawnError, exitCode, timeoutMin: job.timeoutMin });
+
+      const finishedRun = await JobRun.finish(run.id, { status, exitCode, error, output })
+        .catch((err) => {
+          console.error(`❌ [Jobs] No se pudo cerrar run #${run.id}:`, err.message);
+          return { ...run, status, exitCode, error };
+        });
+      await releaseLock(lockClient, job.lock);
+
+      console.log(`⏹️  [Jobs] ${name} (run #${run.id}) → ${status}${error ? `: ${error}` : ""}`);
+      resolve(finishedRun);
+    };
+
+    child.on("error", (err) => finish(null, err));
+    child.on("close", (code, signal) => finish(code ?? (signal ? null : 0)));
+  });
+
+  return { run, done };
+}
+
+/**
+ * Corrida salteada porque otra tenía el lock (historial de corridas programadas)
+ */
+export async function recordSkippedRun(name, { trigger, runningRun = null }) {
+  const job = getJob(name);
+  return JobRun.create({
+    jobName: name,
+    lockKey: job.lock,
+    trigger,
+    status: JobRunStatus.SKIPPED,
+    host: os.hostname(),
+    error: runningRun ? `Lock held by run #${runningRun.id} (${runningRun.jobName})` : "Lock held by another run",
+  });
+}
+
+/**
+ * Pide cancelar una corrida. Si corre en este proceso se corta ya; si no, el proceso
+ * que la corre lo ve en su próximo heartbeat.
+ * Errores: JOB_RUN_NOT_FOUND | JOB_RUN_NOT_RUNNING
+ */
+export async function cancelJobRun(runId, { userId = null } = {}) {
+  const run = await JobRun.requestCancel(runId, userId);
+  if (!run) {
+    const existing = await JobRun.findById(runId);
+    if (!existing) throw jobError("JOB_RUN_NOT_FOUND", `Job run ${runId} not found`);
+    throw jobError("JOB_RUN_NOT_RUNNING", `Job run ${runId} is ${existing.status}`);
+  }
+
+  localRuns.get(String(runId))?.cancel();
+  return run;
+}
+
+/**
+ * Cancela todo lo que corre en este proceso (apagado de scripts/runJob.js)
+ */
+export function cancelLocalRuns() {
+  for (const { cancel } of localRuns.values()) cancel();
+  return localRuns.size;
+}
+
+/**
+ * Jobs registrados con su última corrida
+ */
+export async function listJobs() {
+  await JobRun.markLost();
+  const latest = await JobRun.latestByJob();
+  return listJobDefinitions().map((job) => ({
+    name: job.name,
+    description: job.description,
+    lock: job.lock,
+    timeoutMin: job.timeoutMin,
+    schedule: job.schedule,
+    lastRun: latest.get(job.name) || null,
+    running: latest.get(job.name)?.status === JobRunStatus.RUNNING,
+  }));
+}
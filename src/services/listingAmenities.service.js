@@ -0,0 +1,129 @@
+import { pool } from "../db.js";
+import { cache } from "../cache.js";
+
+/**
+ * Vocabulario normalizado de amenities sobre listings.amenities_json (nombres de Guesty).
+ * Cada slug agrupa las variantes con que Guesty/los PMC cargan la misma amenity; la
+ * comparación es contra listings.amenity_names (minúsculas, espacios colapsados, ver
+ * migrations/011_listings_amenities.sql). Amenity nueva = agregarla acá.
+ */
+export const AMENITY_VOCABULARY = {
+  "pool": { label: "Pool", names: ["pool", "swimming pool", "private pool", "outdoor pool", "shared pool"] },
+  "heated-pool": { label: "Heated pool", names: ["heated pool", "pool heating"] },
+  "hot-tub": { label: "Hot tub", names: ["hot tub", "jacuzzi", "private hot tub", "shared hot tub"] },
+  "air-conditioning": { label: "Air conditioning", names: ["air conditioning", "central air conditioning", "ac"] },
+  "wifi": { label: "Wifi", names: ["wireless internet", "wifi", "wi-fi", "internet", "pocket wifi"] },
+  "kitchen": { label: "Kitchen", names: ["kitchen", "full kitchen"] },
+  "washer": { label: "Washer", names: ["washer", "washing machine"] },
+  "dryer": { label: "Dryer", names: ["dryer"] },
+  "dishwasher": { label: "Dishwasher", names: ["dishwasher"] },
+  "parking": { label: "Free parking", names: ["free parking on premises", "free parking on street", "parking", "garage"] },
+  "ev-charger": { label: "EV charger", names: ["ev charger", "electric vehicle charger"] },
+  "pets-allowed": { label: "Pets allowed", names: ["pets allowed", "pet friendly", "dogs allowed", "cats allowed"] },
+  "family-friendly": { label: "Family friendly", names: ["family/kid friendly", "family friendly", "kid friendly"] },
+  "crib": { label: "Crib", names: ["crib", "baby crib", "pack 'n play/travel crib"] },
+  "high-chair": { label: "High chair", names: ["high chair"] },
+  "wheelchair-accessible": { label: "Wheelchair accessible", names: ["wheelchair accessible", "step-free access"] },
+  "elevator": { label: "Elevator", names: ["elevator", "elevator in building"] },
+  "gym": { label: "Gym", names: ["gym", "fitness center", "exercise equipment"] },
+  "sauna": { label: "Sauna", names: ["sauna"] },
+  "bbq-grill": { label: "BBQ grill", names: ["bbq grill", "barbecue", "grill"] },
+  "outdoor-dining": { label: "Outdoor dining", names: ["outdoor dining area", "patio or balcony", "terrace"] },
+  "garden": { label: "Garden", names: ["garden or backyard", "garden", "backyard"] },
+  "fireplace": { label: "Fireplace", names: ["indoor fireplace", "fireplace", "fire pit"] },
+  "tv": { label: "TV", names: ["tv", "cable tv", "smart tv", "satellite tv"] },
+  "game-room": { label: "Game room", names: ["game room", "game console", "pool table", "ping pong table"] },
+  "beachfront": { label: "Beachfront", names: ["beachfront", "beach front", "direct beach access"] },
+  "beach-access": { label: "Beach access", names: ["beach access", "beach essentials"] },
+  "waterfront": { label: "Waterfront", names: ["waterfront", "lake access", "boat slip"] },
+  "ocean-view": { label: "Ocean view", names: ["ocean view", "sea view", "beach view"] },
+  "ski-in-ski-out": { label: "Ski-in/Ski-out", names: ["ski in/ski out", "ski-in/ski-out"] },
+  "events-allowed": { label: "Events allowed", names: ["suitable for events", "events allowed"] },
+  "smoking-allowed": { label: "Smoking allowed", names: ["smoking allowed"] },
+};
+
+const AMENITIES_CACHE_TTL_SEC = 600;
+
+/**
+ * Misma normalización que amenity_names() en SQL
+ */
+export function normalizeAmenityName(name) {
+  return String(name).trim().replace(/\s+/g, " ").toLowerCase();
+}
+
+const SLUGS_BY_NAME = new Map();
+for (const [slug, { names }] of Object.entries(AMENITY_VOCABULARY)) {
+  for (const name of names) {
+    const key = normalizeAmenityName(name);
+    SLUGS_BY_NAME.set(key, [...(SLUGS_BY_NAME.get(key) || []), slug]);
+  }
+}
+
+/**
+ * Slugs del vocabulario presentes en un amenities_json (las que no mapean se ignoran)
+ * @param {string[]|string|null} amenities
+ * @returns {string[]}
+ */
+export function amenitySlugsFor(amenities) {
+  let list = amenities;
+  if (typeof list === "string") {
+    try {
+      list = JSON.parse(list);
+    } catch {
+      list = [];
+    }
+  }
+  if (!Array.isArray(list)) return [];
+
+  const slugs = new Set(
+    list.filter((a) => typeof a === "string").flatMap((a) => SLUGS_BY_NAME.get(normalizeAmenityName(a)) || [])
+  );
+  return Object.keys(AMENITY_VOCABULARY).filter((slug) => slugs.has(slug));
+}
+
+/**
+ * amenities=pool,wifi → slugs conocidos (los desconocidos se ignoran, igual que badges)
+ * @returns {string[]}
+ */
+export function parseAmenityFilter(value) {
+  return [...new Set(String(value || "").split(",").map((s) => s.trim().toLowerCase()))].filter(
+    (slug) => AMENITY_VOCABULARY[slug]
+  );
+}
+
+/**
+ * Variantes normalizadas de un slug (el array que se pasa como parámetro text[])
+ */
+export function amenityNamesFor(slug) {
+  return AMENITY_VOCABULARY[slug].names.map(normalizeAmenityName);
+}
+
+/**
+ * Cantidad de listings por amenity bajo un WHERE de buildSearchFilters (un solo scan)
+ * @param {{ whereSQL: string, params: any[] }} filters
+ * @returns {Promise<{ slug: string, label: string, count: number }[]>} solo las que tienen count > 0
+ */
+export async function countAmenities({ whereSQL, params }) {
+  const cacheKey = `amenities:counts:${whereSQL}:${JSON.stringify(params)}`;
+  const cached = cache.get(cacheKey);
+  if (cached) return cached;
+
+  const slugs = Object.keys(AMENITY_VOCABULARY);
+  const queryParams = [...params];
+  const columns = slugs
+    .map((slug, i) => {
+      queryParams.push(amenityNamesFor(slug));
+      return `COUNT(*) FILTER (WHERE l.amenity_names && $${queryParams.length}::text[])::int AS a${i}`;
+    })
+    .join(",\n       ");
+
+  const { rows } = await pool.query(`SELECT ${columns} FROM listings l ${whereSQL};`, queryParams);
+
+  const counts = slugs
+    .map((slug, i) => ({ slug, label: AMENITY_VOCABULARY[slug].label, count: rows[0]?.[`a${i}`] ?? 0 }))
+    .filter((a) => a.count > 0)
+    .sort((a, b) => b.count - a.count || a.label.localeCompare(b.label));
+
+  cache.set(cacheKey, counts, AMENITIES_CACHE_TTL_SEC);
+  return counts;
+}
@@ -0,0 +1,28 @@
+import { cache } from "../cache.js";
+import { clearListingCache } from "./availability.service.js";
+
+/**
+ * Invalidación de lo que está cacheado sobre un listing: detalle en ambas APIs,
+ * availability en memoria y, si cambió algo que afecta la búsqueda, los cachés
+ * agregados (mapa, facets, conteos de amenities) que pueden incluirlo.
+ */
+
+const AGGREGATE_PREFIXES = ["public:map:", "facets:", "amenities:counts:"];
+
+/**
+ * @param {string} listingId
+ * @param {{ aggregates?: boolean }} [options] - aggregates=false para cambios que solo ve el detalle
+ */
+export function invalidateListingCache(listingId, { aggregates = true } = {}) {
+  const keys = [`private:listing:${listingId}`, `public:listing:${listingId}`];
+  const availabilityPrefix = `availability:${listingId}:`;
+
+  for (const key of cache.keys()) {
+    if (key.startsWith(availabilityPrefix) || (aggregates && AGGREGATE_PREFIXES.some((p) => key.startsWith(p)))) {
+      keys.push(key);
+    }
+  }
+
+  cache.del(keys);
+  clearListingCache(listingId);
+}
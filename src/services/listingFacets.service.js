@@ -0,0 +1,171 @@
+import { pool } from "../db.js";
+import { cache } from "../cache.js";
+import { countAmenities } from "./listingAmenities.service.js";
+
+/**
+ * Facets de la búsqueda de listings (?facets=true o ?facets=badges,price,...).
+ * Se cuentan con el mismo WHERE/params que arma buildSearchFilters, así que reflejan
+ * los filtros actuales (no la disponibilidad por fechas: eso se resuelve por escaneo).
+ * Destinations y bedrooms son multi-select: cada uno se cuenta sin su propio filtro
+ * para que las demás opciones no queden en 0 al elegir una.
+ */
+
+export const FACET_NAMES = ["badges", "bedrooms", "destinations", "price", "amenities"];
+
+// Columnas que matchea el filtro destination/destinations (cualquiera de ellas).
+// El facet de destinos se cuenta sobre las mismas para que elegir un valor dé el mismo total.
+export const DESTINATION_COLUMNS = ["l.villanet_destination_tag", "l.villanet_city", "l.city", "l.country"];
+
+// Opciones del filtro bedrooms ("al menos N"): 1..11 y '12+'
+const BEDROOM_OPTIONS = 12;
+
+const FACETS_CACHE_TTL_SEC = 60;
+const MAX_DESTINATION_FACETS = 50;
+const PRICE_BUCKETS = 10;
+
+/**
+ * facets=true|1|all → todos; facets=badges,price → solo esos (los desconocidos se ignoran)
+ * @param {string|undefined} value
+ * @returns {string[]}
+ */
+export function parseFacetNames(value) {
+  if (!value) return [];
+
+  const raw = String(value).trim().toLowerCase();
+  if (raw === "true" || raw === "1" || raw === "all") return FACET_NAMES;
+  if (raw === "false" || raw === "0") return [];
+
+  const requested = raw.split(",").map((s) => s.trim());
+  return FACET_NAMES.filter((name) => requested.includes(name));
+}
+
+/**
+ * @param {{ whereSQL: string, params: any[] }} filters - salida de buildSearchFilters
+ * @param {Record<string, string>} badgeFieldMap - slug → columna villanet_*
+ * @param {string[]} names - ver parseFacetNames
+ * @param {{ withoutOwnFilter?: Record<string, { whereSQL: string, params: any[] }> }} [options] -
+ *   por facet (destinations, bedrooms), los filtros armados sin el filtro de ese facet
+ * @returns {Promise<object>} { badges?, bedrooms?, destinations?, price?, amenities? }
+ */
+export async function getSearchFacets({ whereSQL, params }, badgeFieldMap, names = FACET_NAMES, { withoutOwnFilter = {} } = {}) {
+  // Los filtros sin destino/bedrooms salen del mismo query, así que la clave no cambia
+  const cacheKey = `facets:${names.join(",")}:${whereSQL}:${JSON.stringify(params)}`;
+  const cached = cache.get(cacheKey);
+  if (cached) return cached;
+
+  const own = (name) => withoutOwnFilter[name] || { whereSQL, params };
+
+  const builders = {
+    badges: () => badgeFacets(whereSQL, params, badgeFieldMap),
+    bedrooms: () => bedroomFacets(own("bedrooms").whereSQL, own("bedrooms").params),
+    destinations: () => destinationFacets(own("destinations").whereSQL, own("destinations").params),
+    price: () => priceHistogram(whereSQL, params),
+    amenities: () => countAmenities({ whereSQL, params }),
+  };
+
+  const values = await Promise.all(names.map((name) => builders[name]()));
+  const facets = Object.fromEntries(names.map((name, i) => [name, values[i]]));
+
+  cache.set(cacheKey, facets, FACETS_CACHE_TTL_SEC);
+  return facets;
+}
+
+/**
+ * { slug: count } para cada badge de VILLANET_BADGE_FIELD_MAP (un solo scan)
+ */
+async function badgeFacets(whereSQL, params, badgeFieldMap) {
+  const slugs = Object.keys(badgeFieldMap);
+  if (!slugs.length) return {};
+
+  const columns = slugs
+    .map((slug, i) => `COUNT(*) FILTER (WHERE l.${badgeFieldMap[slug]} = true)::int AS b${i}`)
+    .join(",\n       ");
+
+  const { rows } = await pool.query(`SELECT ${columns} FROM listings l ${whereSQL};`, params);
+  return Object.fromEntries(slugs.map((slug, i) => [slug, rows[0]?.[`b${i}`] ?? 0]));
+}
+
+/**
+ * Acumulado como el filtro (bedrooms=N es "al menos N"): cada opción 1..11 y '12+'
+ * cuenta los listings con bedrooms >= N. Las opciones sin listings no se devuelven.
+ */
+async function bedroomFacets(whereSQL, params) {
+  const columns = Array.from(
+    { length: BEDROOM_OPTIONS },
+    (_, i) => `COUNT(*) FILTER (WHERE l.bedrooms >= ${i + 1})::int AS b${i + 1}`
+  ).join(",\n       ");
+
+  const { rows } = await pool.query(`SELECT ${columns} FROM listings l ${whereSQL};`, params);
+  return Array.from({ length: BEDROOM_OPTIONS }, (_, i) => ({
+    value: i + 1 === BEDROOM_OPTIONS ? `${BEDROOM_OPTIONS}+` : String(i + 1),
+    count: rows[0]?.[`b${i + 1}`] ?? 0,
+  })).filter((facet) => facet.count > 0);
+}
+
+/**
+ * Cada valor de DESTINATION_COLUMNS del listing (sin repetir), igual que el filtro:
+ * el count de un valor es lo que devuelve destination=<valor>
+ */
+async function destinationFacets(whereSQL, params) {
+  const { rows } = await pool.query(
+    `SELECT d.value, COUNT(*)::int AS count
+     FROM listings l
+     CROSS JOIN LATERAL (
+       SELECT DISTINCT v AS value
+       FROM unnest(ARRAY[${DESTINATION_COLUMNS.join(", ")}]) AS v
+       WHERE COALESCE(v, '') <> ''
+     ) d
+     ${whereSQL}
+     GROUP BY d.value
+     ORDER BY count DESC, d.value
+     LIMIT ${MAX_DESTINATION_FACETS};`,
+    params
+  );
+  return rows;
+}
+
+/**
+ * Histograma de price_usd (nightly) en PRICE_BUCKETS tramos iguales entre el mínimo y el máximo
+ */
+async function priceHistogram(whereSQL, params) {
+  const { rows } = await pool.query(
+    `WITH matched AS (
+       SELECT l.price_usd::numeric AS price
+       FROM listings l
+       ${whereSQL} AND l.price_usd IS NOT NULL
+     ),
+     bounds AS (
+       SELECT MIN(price) AS min_price, MAX(price) AS max_price FROM matched
+     )
+     SELECT
+       b.min_price,
+       b.max_price,
+       CASE
+         WHEN b.max_price > b.min_price
+           THEN LEAST(WIDTH_BUCKET(m.price, b.min_price, b.max_price, ${PRICE_BUCKETS}), ${PRICE_BUCKETS})
+         ELSE 1
+       END AS bucket,
+       COUNT(*)::int AS count
+     FROM matched m
+     CROSS JOIN bounds b
+     GROUP BY b.min_price, b.max_price, bucket
+     ORDER BY bucket;`,
+    params
+  );
+
+  if (!rows.length) return { min: null, max: null, buckets: [] };
+
+  const min = Number(rows[0].min_price);
+  const max = Number(rows[0].max_price);
+  const bucketCount = max > min ? PRICE_BUCKETS : 1;
+  const width = (max - min) / bucketCount;
+  const counts = new Map(rows.map((r) => [r.bucket, r.count]));
+
+  const buckets = Array.from({ length: bucketCount }, (_, i) => ({
+    from: Math.round(min + width * i),
+    to: i === bucketCount - 1 ? max : Math.round(min + width * (i + 1)),
+    count: counts.get(i + 1) || 0,
+  }));
+
+  return { min, max, buckets };
+}
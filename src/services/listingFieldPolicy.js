@@ -0,0 +1,74 @@
+import { Roles, ListingAudience } from "../types.js";
+
+/**
+ * Política de campos de listings por audiencia.
+ * Todo campo que no esté acá es público. Cada entrada lista las audiencias que lo
+ * ven y los alias con que aparece en las respuestas (la grilla usa camelCase).
+ * Agregar un campo confidencial nuevo = agregarlo acá; las rutas no filtran por su cuenta.
+ */
+const { ADMIN, TA, PMC } = ListingAudience;
+
+export const LISTING_FIELD_POLICY = {
+  villanet_commission_rate: { audiences: [ADMIN, TA], aliases: ["villaNetCommissionRate"] },
+  villanet_partner_reservation_email: { audiences: [ADMIN, TA], aliases: [] },
+  villanet_property_email: { audiences: [ADMIN, TA], aliases: [] },
+  villanet_pmc_information: { audiences: [ADMIN, TA, PMC], aliases: [] },
+  guesty_booking_domain: { audiences: [ADMIN, TA, PMC], aliases: ["guestyBookingDomain"] },
+  // Antigüedad del calendario en la grilla (listing_sync_state.last_success_at)
+  availability_synced_at: { audiences: [ADMIN, TA, PMC], aliases: ["availabilitySyncedAt", "availabilityStale"] },
+};
+
+const ROLE_AUDIENCE = {
+  [Roles.ADMIN]: ADMIN,
+  [Roles.TA]: TA,
+  [Roles.PMC]: PMC,
+};
+
+// Clave de respuesta → audiencias permitidas (incluye alias)
+const ALLOWED_BY_KEY = new Map(
+  Object.entries(LISTING_FIELD_POLICY).flatMap(([field, { audiences, aliases }]) =>
+    [field, ...aliases].map((key) => [key, new Set(audiences)])
+  )
+);
+
+const HIDDEN_BY_AUDIENCE = new Map();
+
+/**
+ * Audiencia del request según el usuario (req.user puede no existir)
+ * @param {{ role?: string } | null | undefined} user
+ * @returns {string} ListingAudience
+ */
+export function audienceFor(user) {
+  return (user && ROLE_AUDIENCE[user.role]) || ListingAudience.ANONYMOUS;
+}
+
+/**
+ * Claves que la audiencia no puede ver
+ * @param {string} audience
+ * @returns {string[]}
+ */
+export function hiddenFieldsFor(audience) {
+  if (!HIDDEN_BY_AUDIENCE.has(audience)) {
+    HIDDEN_BY_AUDIENCE.set(
+      audience,
+      [...ALLOWED_BY_KEY].filter(([, allowed]) => !allowed.has(audience)).map(([key]) => key)
+    );
+  }
+  return HIDDEN_BY_AUDIENCE.get(audience);
+}
+
+/**
+ * Copia del listing sin los campos que la audiencia no puede ver
+ * @param {object} listing
+ * @param {string} audience
+ * @returns {object}
+ */
+export function applyFieldPolicy(listing, audience) {
+  if (!listing) return listing;
+
+  const projected = { ...listing };
+  for (const key of hiddenFieldsFor(audience)) {
+    delete projected[key];
+  }
+  return projected;
+}
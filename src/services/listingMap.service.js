@@ -0,0 +1,223 @@
+import { pool } from "../db.js";
+import { cache } from "../cache.js";
+import { buildSearchFilters, getBadgeFieldMap } from "./listingSearch.service.js";
+import { isCalendarDate } from "../utils/dates.js";
+
+/**
+ * Vista de mapa de GET /public/listings/map.
+ * Agrupa los listings del viewport en una grilla que depende del zoom (clusters con
+ * cantidad, rango de precio y centroide); desde MAP_CLUSTER_MAX_ZOOM devuelve pins.
+ * Con fechas filtra y cotiza contra listing_availability (sin llamadas a Guesty).
+ */
+
+const MAP_CLUSTER_MAX_ZOOM = Number(process.env.MAP_CLUSTER_MAX_ZOOM || 14);
+const MAP_MAX_PINS = 500;
+const MAP_MAX_NIGHTS = 60;
+const MAP_CACHE_TTL_SEC = 60;
+
+// Celdas por tile de 256px: ~64px por cluster en pantalla
+const CELLS_PER_TILE = 4;
+
+function mapError(message) {
+  const err = new Error(message);
+  err.code = "INVALID_MAP_QUERY";
+  return err;
+}
+
+/**
+ * bbox=north,west,south,east (mismo orden que GET /availability)
+ */
+function parseBbox(value) {
+  const parts = String(value || "").split(",").map((s) => Number(s.trim()));
+  const [north, west, south, east] = parts;
+
+  const valid =
+    parts.length === 4 &&
+    parts.every(Number.isFinite) &&
+    south >= -90 && north <= 90 && south < north &&
+    west >= -180 && west <= 180 && east >= -180 && east <= 180;
+
+  if (!valid) throw mapError("bbox must be 'north,west,south,east'");
+  return { north, west, south, east };
+}
+
+function parseZoom(value) {
+  const zoom = Number(value);
+  if (!Number.isInteger(zoom) || zoom < 0 || zoom > 22) {
+    throw mapError("zoom must be an integer between 0 and 22");
+  }
+  return zoom;
+}
+
+function parseStay(checkIn, checkOut) {
+  if (!checkIn && !checkOut) return null;
+  if (!isCalendarDate(checkIn) || !isCalendarDate(checkOut)) {
+    throw mapError("checkIn and checkOut must be valid YYYY-MM-DD dates");
+  }
+
+  const nights = Math.round((new Date(checkOut) - new Date(checkIn)) / 86400000);
+  if (!(nights > 0) || nights > MAP_MAX_NIGHTS) {
+    throw mapError(`Stay must be between 1 and ${MAP_MAX_NIGHTS} nights`);
+  }
+  return { checkIn, checkOut, nights };
+}
+
+/**
+ * Clusters o pins del viewport.
+ * Query: bbox, zoom, checkIn/checkOut opcionales, maxTotalBudget y los mismos filtros
+ * que la búsqueda (bedrooms, badges, destination, q, ...).
+ * Errores de validación llevan code INVALID_MAP_QUERY / INVALID_GEO_FILTER.
+ * @param {object} query - req.query
+ * @returns {Promise<object>}
+ */
+export async function getListingsMap(query) {
+  const bbox = parseBbox(query.bbox);
+  const zoom = parseZoom(query.zoom);
+  const stay = parseStay(query.checkIn, query.checkOut);
+  const maxTotalBudget = stay && query.maxTotalBudget ? Number(query.maxTotalBudget) : null;
+
+  const cacheKey = `public:map:${JSON.stringify(Object.entries(query).sort())}`;
+  const cached = cache.get(cacheKey);
+  if (cached) return cached;
+
+  const badgeFieldMap = await getBadgeFieldMap();
+  // El orden no aplica al mapa; near/radius/polygon sí se respetan
+  const { whereSQL, params } = buildSearchFilters({ ...query, sort: "rank" }, badgeFieldMap);
+
+  const clauses = [];
+
+  params.push(bbox.south, bbox.north);
+  clauses.push(`l.lat BETWEEN $${params.length - 1} AND $${params.length}`);
+
+  params.push(bbox.west, bbox.east);
+  clauses.push(
+    bbox.west <= bbox.east
+      ? `l.lng BETWEEN $${params.length - 1} AND $${params.length}`
+      : `(l.lng >= $${params.length - 1} OR l.lng <= $${params.length})` // cruza el antimeridiano
+  );
+
+  let availabilityJoin = "";
+  let priceSQL = "l.price_usd";
+
+  if (stay) {
+    params.push(stay.checkIn, stay.checkOut, stay.nights);
+    const [ci, co, n] = [params.length - 2, params.length - 1, params.length];
+
+    availabilityJoin = `
+      JOIN (
+        SELECT la.listing_id, SUM(la.price_usd) AS stay_total
+        FROM listing_availability la
+        WHERE la.date >= $${ci}
+          AND la.date < $${co}
+          AND la.available = true
+          AND la.cta = false
+          AND la.ctd = false
+        GROUP BY la.listing_id
+        HAVING
+          COUNT(*) = $${n}
+          AND MIN(CASE WHEN la.date = $${ci} THEN la.min_nights ELSE NULL END) <= $${n}
+      ) av ON av.listing_id = l.listing_id`;
+    // Parámetro aparte: $n ya quedó tipado por el COUNT(*) del HAVING
+    params.push(stay.nights);
+    priceSQL = `ROUND(av.stay_total / $${params.length}::numeric, 2)`;
+
+    if (Number.isFinite(maxTotalBudget)) {
+      params.push(maxTotalBudget);
+      clauses.push(`av.stay_total <= (
+        $${params.length}
+        - COALESCE((l.fees->>'cleaning')::numeric, 0)
+        - COALESCE((l.fees->>'otherFees')::numeric, 0)
+      )`);
+    }
+  }
+
+  const fromSQL = `
+    FROM listings l
+    ${availabilityJoin}
+    ${whereSQL} AND ${clauses.join(" AND ")}`;
+
+  const pinJson = `JSONB_BUILD_OBJECT(
+    'id', l.listing_id,
+    'name', l.name,
+    'lat', l.lat,
+    'lng', l.lng,
+    'bedrooms', l.bedrooms,
+    'priceUSD', ${priceSQL},
+    'heroImage', COALESCE(NULLIF(l.hero_image_url, ''), l.images_json->>0)
+  )`;
+
+  let items;
+  let truncated = false;
+
+  if (zoom >= MAP_CLUSTER_MAX_ZOOM) {
+    const { rows } = await pool.query(
+      `SELECT ${pinJson} AS pin
+       ${fromSQL}
+       ORDER BY l.villanet_rank DESC NULLS LAST
+       LIMIT ${MAP_MAX_PINS + 1}`,
+      params
+    );
+    truncated = rows.length > MAP_MAX_PINS;
+    items = rows.slice(0, MAP_MAX_PINS).map((r) => ({ type: "listing", ...normalizePin(r.pin) }));
+  } else {
+    const cellDeg = 360 / (2 ** zoom * CELLS_PER_TILE);
+    params.push(cellDeg);
+    const cell = `$${params.length}::float8`;
+
+    const { rows } = await pool.query(
+      `SELECT
+         FLOOR(l.lng::float8 / ${cell})::bigint AS gx,
+         FLOOR(l.lat::float8 / ${cell})::bigint AS gy,
+         COUNT(*)::int AS count,
+         AVG(l.lat::float8) AS lat,
+         AVG(l.lng::float8) AS lng,
+         MIN(${priceSQL}) AS min_price,
+         MAX(${priceSQL}) AS max_price,
+         MIN(l.lat::float8) AS south,
+         MAX(l.lat::float8) AS north,
+         MIN(l.lng::float8) AS west,
+         MAX(l.lng::float8) AS east,
+         CASE WHEN COUNT(*) = 1 THEN (JSONB_AGG(${pinJson}))->0 END AS pin
+       ${fromSQL}
+       GROUP BY gx, gy`,
+      params
+    );
+
+    items = rows.map((r) => {
+      if (r.count === 1) return { type: "listing", ...normalizePin(r.pin) };
+      return {
+        type: "cluster",
+        id: `${zoom}:${r.gx}:${r.gy}`,
+        count: r.count,
+        lat: Number(r.lat),
+        lng: Number(r.lng),
+        minPrice: r.min_price !== null ? Number(r.min_price) : null,
+        maxPrice: r.max_price !== null ? Number(r.max_price) : null,
+        bounds: { north: r.north, west: r.west, south: r.south, east: r.east },
+      };
+    });
+  }
+
+  const result = {
+    zoom,
+    bbox,
+    clustered: zoom < MAP_CLUSTER_MAX_ZOOM,
+    total: items.reduce((sum, i) => sum + (i.type === "cluster" ? i.count : 1), 0),
+    truncated,
+    availabilityApplied: !!stay,
+    ...(stay && { checkIn: stay.checkIn, checkOut: stay.checkOut, nights: stay.nights }),
+    items,
+  };
+
+  cache.set(cacheKey, result, MAP_CACHE_TTL_SEC);
+  return result;
+}
+
+function normalizePin(pin) {
+  return {
+    ...pin,
+    lat: Number(pin.lat),
+    lng: Number(pin.lng),
+    priceUSD: pin.priceUSD !== null ? Number(pin.priceUSD) : null,
+  };
+}
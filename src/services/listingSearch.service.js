@@ -0,0 +1,1015 @@
+import { pool } from "../db.js";
+import { cache } from "../cache.js";
+import { ListingAudience } from "../types.js";
+import { applyFieldPolicy } from "./listingFieldPolicy.js";
+import { availabilitySessionStore } from "./availabilitySessionStore.js";
+import { parseFacetNames, getSearchFacets, DESTINATION_COLUMNS } from "./listingFacets.service.js";
+import { amenitySlugsFor, parseAmenityFilter, amenityNamesFor } from "./listingAmenities.service.js";
+import { AVAILABILITY_STALE_HOURS } from "./availabilitySync.service.js";
+import {
+  geoError,
+  parseNear,
+  parseRadiusKm,
+  parsePolygon,
+  toPgPolygon,
+  radiusBounds,
+  distanceKmSql,
+} from "../utils/geo.js";
+import { isCalendarDate } from "../utils/dates.js";
+
+/**
+ * Búsqueda de listings compartida por GET /listings (privado) y GET /public/listings.
+ * Las rutas solo resuelven la audiencia y traducen errores: filtros, orden, escaneo de
+ * availability y normalización viven acá para que ambas respondan igual.
+ * Qué campos ve cada audiencia lo decide listingFieldPolicy.js.
+ */
+
+const LAZY_SCAN_CHUNK = 120; // Candidatos por ciclo de escaneo
+const SCAN_TIMEOUT_MS = 5000;
+
+const PLACEHOLDER_IMAGE = "https://images.unsplash.com/photo-1613490493576-7fde63acd811?w=1200";
+const MAX_GRID_IMAGES = 3;
+
+// Columnas de la grilla (los confidenciales los quita applyFieldPolicy)
+const LIST_COLUMNS = `
+  l.listing_id AS id,
+  l.name,
+  l.bedrooms,
+  l.bathrooms,
+  l.price_usd AS "priceUSD",
+
+  l.villanet_rank AS rank,
+  COALESCE(l.villanet_destination_tag, l.villanet_city, l.city, '') AS location,
+
+  l.villanet_destination_tag AS "villaNetDestinationTag",
+  l.villanet_city AS "villaNetCity",
+  l.villanet_property_manager_name AS "villaNetPropertyManagerName",
+  l.villanet_commission_rate AS "villaNetCommissionRate",
+  l.guesty_booking_domain AS "guestyBookingDomain",
+
+  l.villanet_gated_community AS "villanetGatedCommunity",
+  l.villanet_golf_villa AS "villanetGolfVilla",
+  l.villanet_resort_villa AS "villanetResortVilla",
+  l.villanet_resort_collection_name AS "villanetResortCollectionName",
+  l.villanet_chef_included AS "villanetChefIncluded",
+  l.villanet_true_beach_front AS "villanetTrueBeachFront",
+  l.villanet_cook_included AS "villanetCookIncluded",
+  l.villanet_waiter_butler_included AS "villanetWaiterButlerIncluded",
+  l.villanet_ocean_front AS "villanetOceanFront",
+  l.villanet_ocean_view AS "villanetOceanView",
+  l.villanet_walk_to_beach AS "villanetWalkToBeach",
+  l.villanet_accessible AS "villanetAccessible",
+  l.villanet_private_gym AS "villanetPrivateGym",
+  l.villanet_private_cinema AS "villanetPrivateCinema",
+  l.villanet_pickleball AS "villanetPickleball",
+  l.villanet_tennis AS "villanetTennis",
+  l.villanet_golf_cart_included AS "villanetGolfCartIncluded",
+  l.villanet_heated_pool AS "villanetHeatedPool",
+
+  COALESCE(l.hero_image_url, '') AS "heroImage",
+  COALESCE(l.images_json, '[]'::jsonb) AS images_json,
+  (SELECT s.last_success_at FROM listing_sync_state s WHERE s.listing_id = l.listing_id) AS "availabilitySyncedAt",
+  l.updated_at
+`;
+
+const DETAIL_COLUMNS = `
+  listing_id,
+  name,
+  bedrooms,
+  bathrooms,
+  max_guests,
+  price_usd,
+  lat,
+  lng,
+
+  COALESCE(villanet_destination_tag, villanet_city, city, '') AS location,
+
+  description,
+  amenities_json AS amenities,
+  images_json,
+  hero_image_url,
+
+  villanet_rank,
+  villanet_commission_rate,
+  villanet_destination_tag,
+  villanet_city,
+  villanet_property_manager_name,
+  guesty_booking_domain,
+  villanet_partner_reservation_email,
+  villanet_property_email,
+  villanet_pmc_information,
+  villanet_description,
+  villanet_concierge_info,
+  villanet_exclusive_units_managed,
+  villanet_years_in_business,
+  villanet_avg_response_time_hours,
+  villanet_calendar_sync_99,
+  villanet_credit_card_accepted,
+  villanet_insured,
+  villanet_bank_transfer_accepted,
+  villanet_standardized_housekeeping,
+  villanet_staff_gratuity_guideline,
+
+  villanet_gated_community,
+  villanet_golf_villa,
+  villanet_resort_villa,
+  villanet_resort_collection_name,
+  villanet_chef_included,
+  villanet_true_beach_front,
+  villanet_cook_included,
+  villanet_waiter_butler_included,
+  villanet_ocean_front,
+  villanet_ocean_view,
+  villanet_walk_to_beach,
+  villanet_accessible,
+  villanet_private_gym,
+  villanet_private_cinema,
+  villanet_pickleball,
+  villanet_tennis,
+  villanet_golf_cart_included,
+  villanet_heated_pool,
+
+  updated_at
+`;
+
+// Modo de fechas flexibles ("7 noches en algún momento de marzo")
+const FLEX_MAX_WINDOW_DAYS = 92;
+const FLEX_MAX_NIGHTS = 30;
+const FLEX_OPTIONS_PER_LISTING = 3;
+const WEEKDAYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+
+// Marcadores de ts_headline: se escapa el HTML del snippet y recién después se ponen los <mark>
+const HIGHLIGHT_START = "⟦";
+const HIGHLIGHT_STOP = "⟧";
+const HEADLINE_OPTIONS = `StartSel="${HIGHLIGHT_START}", StopSel="${HIGHLIGHT_STOP}", MaxFragments=2, MaxWords=25, MinWords=8, FragmentDelimiter=" … "`;
+
+const SORTS = {
+  rank: "l.villanet_rank DESC NULLS LAST, l.updated_at DESC",
+  price_low: "l.price_usd ASC NULLS LAST, l.updated_at DESC",
+  price_high: "l.price_usd DESC NULLS LAST, l.updated_at DESC",
+  bedrooms: "l.bedrooms DESC NULLS LAST, l.updated_at DESC",
+};
+
+/* =========================
+ * Texto (q): full-text sobre search_document + trigramas sobre search_text (migración 010)
+ * `ref` es el placeholder del término, ej. '$3'
+ * ========================= */
+const tsQuerySql = (ref) =>
+  `(websearch_to_tsquery('simple', immutable_unaccent(${ref}::text)) || websearch_to_tsquery('english', immutable_unaccent(${ref}::text)))`;
+
+const textMatchSql = (ref) =>
+  `(l.search_document @@ ${tsQuerySql(ref)} OR immutable_unaccent(LOWER(${ref}::text)) <% l.search_text)`;
+
+const relevanceSql = (ref) =>
+  `(ts_rank_cd(l.search_document, ${tsQuerySql(ref)}) + word_similarity(immutable_unaccent(LOWER(${ref}::text)), l.search_text))`;
+
+/**
+ * Columnas extra de la grilla según los filtros: distancia (near) y relevancia/snippets (q)
+ * @param {{ distanceRefs?: [string, string] | null, searchRef?: string | null }} refs
+ */
+function extraColumnsSql({ distanceRefs = null, searchRef = null }) {
+  const columns = [];
+  if (distanceRefs) {
+    columns.push(`ROUND(${distanceKmSql(...distanceRefs)}::numeric, 2) AS "distanceKm"`);
+  }
+  if (searchRef) {
+    columns.push(
+      `ROUND(${relevanceSql(searchRef)}::numeric, 4) AS relevance`,
+      `ts_headline('simple', COALESCE(l.name, ''), ${tsQuerySql(searchRef)}, '${HEADLINE_OPTIONS}, HighlightAll=true') AS "nameHighlight"`,
+      `ts_headline('english', COALESCE(l.description, ''), ${tsQuerySql(searchRef)}, '${HEADLINE_OPTIONS}') AS "descriptionSnippet"`
+    );
+  }
+  return columns.length ? `, ${columns.join(", ")}` : "";
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+// Snippet de ts_headline → HTML seguro con <mark>
+function renderHighlight(text) {
+  if (text === null || text === undefined) return null;
+  return escapeHtml(text)
+    .split(HIGHLIGHT_START).join("<mark>")
+    .split(HIGHLIGHT_STOP).join("</mark>");
+}
+
+function searchError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+/**
+ * Mapeo slug de badge → columna booleana villanet_* (cacheado 1h, compartido)
+ * @returns {Promise<Record<string, string>>}
+ */
+export async function getBadgeFieldMap() {
+  let map = cache.get("villanet_badge_map");
+  if (map) return map;
+
+  const { rows } = await pool.query(`
+    SELECT column_name
+    FROM information_schema.columns
+    WHERE table_name = 'listings'
+      AND table_schema = 'public'
+      AND column_name LIKE 'villanet_%'
+      AND data_type = 'boolean'
+    ORDER BY column_name;
+  `);
+
+  map = {};
+  rows.forEach((field) => {
+    const slug = field.column_name.replace("villanet_", "").replace(/_/g, "-");
+    map[slug] = field.column_name;
+  });
+
+  cache.set("villanet_badge_map", map, 3600000);
+  return map;
+}
+
+/**
+ * Traduce el query string de búsqueda a WHERE/ORDER BY sobre `listings l`.
+ * q: full-text + trigramas (tolera typos); con q el default es sort=relevance.
+ * q y destination se combinan con AND (antes GET /listings ignoraba q si venía destination).
+ * amenities=pool,wifi: slugs de AMENITY_VOCABULARY, todos requeridos (AND).
+ * Geo: near=lat,lng (+ radiusKm) y/o polygon=GeoJSON; con near el default es sort=distance.
+ * `extraColumns` agrega distanceKm / relevance / highlights con los mismos `params`.
+ * @param {object} query - req.query
+ * @param {Record<string, string>} badgeFieldMap
+ * @returns {{ whereSQL: string, orderSQL: string, params: any[], badgeSlugs: string[], amenitySlugs: string[], searchTerm: string, sort: string, near: object|null, searchRef: string|null, extraColumns: string }}
+ */
+export function buildSearchFilters(query, badgeFieldMap) {
+  const {
+    q = "",
+    bedrooms = "",
+    bathrooms = "",
+    minPrice = "",
+    maxPrice = "",
+    maxTotalBudget = "",
+    badges = "",
+    destination = "",
+    destinations = "", // separados por '|' desde el multi-select del Quote Wizard
+    guests = "",
+  } = query;
+
+  const clauses = [];
+  const params = [];
+
+  // Destino: uno (comparación exacta, evita St. Barts vs St. Martin) o varios (OR entre ellos)
+  const destinationsList = destinations?.toString().trim()
+    ? destinations.toString().split("|").map((d) => d.trim()).filter(Boolean)
+    : destination?.toString().trim()
+      ? [destination.toString().trim()]
+      : [];
+
+  if (destinationsList.length === 1) {
+    params.push(destinationsList[0]);
+    const idx = params.length;
+    clauses.push(`(${DESTINATION_COLUMNS.map((col) => `${col} = $${idx}`).join(" OR ")})`);
+  } else if (destinationsList.length > 1) {
+    params.push(destinationsList);
+    const idx = params.length;
+    clauses.push(`(${DESTINATION_COLUMNS.map((col) => `${col} = ANY($${idx}::text[])`).join(" OR ")})`);
+  }
+
+  // Búsqueda libre: se combina (AND) con el destino
+  const searchTerm = q?.toString().trim().slice(0, 200) || "";
+  let searchRef = null;
+  if (searchTerm) {
+    params.push(searchTerm);
+    searchRef = `$${params.length}`;
+    clauses.push(textMatchSql(searchRef));
+  }
+
+  // Badges: slugs desconocidos se ignoran
+  const badgeSlugs = String(badges).split(",").filter(Boolean);
+  badgeSlugs
+    .filter((slug) => badgeFieldMap[slug])
+    .forEach((slug) => clauses.push(`l.${badgeFieldMap[slug]} = true`));
+
+  // Amenities (amenities_json normalizado): cada slug matchea cualquiera de sus variantes
+  const amenitySlugs = parseAmenityFilter(query.amenities);
+  for (const slug of amenitySlugs) {
+    params.push(amenityNamesFor(slug));
+    clauses.push(`l.amenity_names && $${params.length}::text[]`);
+  }
+
+  // Bedrooms: mínimo de los valores elegidos ('12+' gana)
+  const bedroomsList = String(bedrooms).split(",").map((s) => s.trim()).filter(Boolean);
+  if (bedroomsList.length) {
+    if (bedroomsList.includes("12+")) {
+      clauses.push(`l.bedrooms >= 12`);
+    } else {
+      const mins = bedroomsList.filter((v) => /^\d+$/.test(v)).map(Number);
+      if (mins.length) {
+        params.push(Math.min(...mins));
+        clauses.push(`l.bedrooms >= $${params.length}`);
+      }
+    }
+  }
+
+  // Bathrooms
+  const bathroomsList = String(bathrooms).split(",").filter(Boolean);
+  if (bathroomsList.length) {
+    const nums = bathroomsList.filter((v) => /^\d+$/.test(v)).map(Number);
+    const ORs = [];
+    if (nums.length) {
+      params.push(nums);
+      ORs.push(`l.bathrooms >= ANY($${params.length}::int[])`);
+    }
+    if (bathroomsList.includes("12+")) ORs.push(`l.bathrooms >= 12`);
+    if (ORs.length) clauses.push(`(${ORs.join(" OR ")})`);
+  }
+
+  // Price
+  if (minPrice) {
+    params.push(Number(minPrice));
+    clauses.push(`l.price_usd >= $${params.length}`);
+  }
+  // maxPrice solo aplica cuando NO hay maxTotalBudget (el budget total opera sobre listing_availability)
+  if (maxPrice && !maxTotalBudget) {
+    params.push(Number(maxPrice));
+    clauses.push(`l.price_usd <= $${params.length}`);
+  }
+
+  // Guests
+  const guestsInt = parseInt(String(guests), 10);
+  if (!Number.isNaN(guestsInt) && guestsInt > 0) {
+    params.push(guestsInt);
+    clauses.push(`COALESCE(l.max_guests, (l.bedrooms * 2)) >= $${params.length}`);
+  }
+
+  // Geo: listings sin lat/lng quedan fuera de radius/polygon
+  const near = parseNear(query.near);
+  const radiusKm = parseRadiusKm(query.radiusKm);
+  const polygon = parsePolygon(query.polygon);
+  let distanceSQL = null;
+  let distanceRefs = null;
+
+  if (radiusKm && !near) throw geoError("radiusKm requires near");
+
+  const pushBounds = ({ minLat, maxLat, minLng, maxLng }) => {
+    params.push(minLat, maxLat);
+    clauses.push(`l.lat BETWEEN $${params.length - 1} AND $${params.length}`);
+    if (minLng >= -180 && maxLng <= 180) {
+      params.push(minLng, maxLng);
+      clauses.push(`l.lng BETWEEN $${params.length - 1} AND $${params.length}`);
+    }
+  };
+
+  if (near) {
+    params.push(near.lat, near.lng);
+    distanceRefs = [`$${params.length - 1}`, `$${params.length}`];
+    distanceSQL = distanceKmSql(...distanceRefs);
+
+    if (radiusKm) {
+      pushBounds(radiusBounds(near, radiusKm));
+      params.push(radiusKm);
+      clauses.push(`${distanceSQL} <= $${params.length}`);
+    }
+  }
+
+  if (polygon) {
+    pushBounds(polygon.bounds);
+    params.push(toPgPolygon(polygon.ring));
+    clauses.push(`$${params.length}::polygon @> point(l.lng, l.lat)`);
+  }
+
+  // Base filters
+  clauses.push(`l.is_listed = true`);
+  clauses.push(`l.villanet_enabled = true`);
+  clauses.push(`(l.images_json IS NOT NULL AND l.images_json != '[]'::jsonb)`);
+
+  const sort = query.sort || (searchRef ? "relevance" : near ? "distance" : "rank");
+  let orderBy = SORTS[sort] || "l.updated_at DESC";
+  if (sort === "distance" && distanceSQL) {
+    orderBy = `${distanceSQL} ASC NULLS LAST, l.villanet_rank DESC NULLS LAST`;
+  } else if (sort === "relevance" && searchRef) {
+    orderBy = `${relevanceSql(searchRef)} DESC, l.villanet_rank DESC NULLS LAST`;
+  }
+
+  return {
+    whereSQL: `WHERE ${clauses.join(" AND ")}`,
+    orderSQL: `ORDER BY ${orderBy}`,
+    params,
+    badgeSlugs,
+    amenitySlugs,
+    searchTerm,
+    sort,
+    near,
+    searchRef,
+    extraColumns: extraColumnsSql({ distanceRefs, searchRef }),
+  };
+}
+
+/**
+ * flexStart/flexEnd (YYYY-MM-DD) + nights [+ startDay]. La estadía completa (check-out
+ * incluido) tiene que caer dentro de la ventana. startDay: 0-6 o sun..sat.
+ * @returns {{ start: string, end: string, nights: number, startDay: number|null } | null}
+ */
+export function parseFlexibleDates(query) {
+  const { flexStart, flexEnd, nights, startDay } = query;
+  if (!flexStart && !flexEnd) return null;
+
+  if (!isCalendarDate(flexStart) || !isCalendarDate(flexEnd)) {
+    throw searchError("INVALID_FLEX_QUERY", "flexStart and flexEnd must be valid YYYY-MM-DD dates");
+  }
+
+  const stayNights = Number(nights);
+  if (!Number.isInteger(stayNights) || stayNights < 1 || stayNights > FLEX_MAX_NIGHTS) {
+    throw searchError("INVALID_FLEX_QUERY", `nights must be an integer between 1 and ${FLEX_MAX_NIGHTS}`);
+  }
+
+  const windowDays = Math.round((new Date(flexEnd) - new Date(flexStart)) / 86400000);
+  if (!(windowDays >= stayNights) || windowDays > FLEX_MAX_WINDOW_DAYS) {
+    throw searchError(
+      "INVALID_FLEX_QUERY",
+      `The flexible window must fit the stay and be at most ${FLEX_MAX_WINDOW_DAYS} days`
+    );
+  }
+
+  let day = null;
+  if (startDay !== undefined && startDay !== "") {
+    const key = String(startDay).trim().toLowerCase().slice(0, 3);
+    day = /^[0-6]$/.test(key) ? Number(key) : WEEKDAYS.indexOf(key);
+    if (day < 0) throw searchError("INVALID_FLEX_QUERY", "startDay must be 0-6 or sun..sat");
+  }
+
+  return { start: String(flexStart), end: String(flexEnd), nights: stayNights, startDay: day };
+}
+
+/**
+ * Fechas flexibles: para cada villa busca los rangos de `nights` noches dentro de la
+ * ventana que cumplen las mismas reglas que checkAvailabilityFromCache y devuelve las
+ * FLEX_OPTIONS_PER_LISTING más baratas. Paginación por página (sin sesión: es un solo query).
+ * Sin `sort` explícito ordena por la mejor opción de cada villa.
+ */
+async function searchFlexibleDates(query, flex, filters, { audience, lim, currentPage }) {
+  const { whereSQL, orderSQL, extraColumns } = filters;
+  const params = [...filters.params];
+  const offset = (currentPage - 1) * lim;
+
+  params.push(flex.start, flex.end, flex.nights);
+  const [startRef, endRef, nightsRef] = [`$${params.length - 2}`, `$${params.length - 1}`, `$${params.length}`];
+
+  const optionFilters = [
+    `r.ok_nights = ${nightsRef}::int`,
+    `r.last_night = r.check_in + (${nightsRef}::int - 1)`,
+    `r.min_nights <= ${nightsRef}::int`,
+  ];
+
+  if (flex.startDay !== null) {
+    params.push(flex.startDay);
+    optionFilters.push(`EXTRACT(DOW FROM r.check_in) = $${params.length}`);
+  }
+
+  const maxTotalBudget = query.maxTotalBudget ? Number(query.maxTotalBudget) : null;
+  if (Number.isFinite(maxTotalBudget)) {
+    params.push(maxTotalBudget);
+    optionFilters.push(`r.total <= $${params.length} - r.fixed_fees`);
+  }
+
+  const order = query.sort ? orderSQL.replace("ORDER BY", "") : "m.best_total ASC, l.villanet_rank DESC NULLS LAST";
+
+  // El frame de la ventana no acepta parámetros: nights ya está validado como entero
+  const frameEnd = flex.nights - 1;
+
+  const { rows } = await pool.query(
+    `WITH days AS (
+       SELECT
+         la.listing_id,
+         la.date,
+         la.price_usd,
+         la.min_nights,
+         (la.available = true AND la.cta = false AND la.ctd = false) AS ok,
+         COALESCE((l.fees->>'cleaning')::numeric, 0) + COALESCE((l.fees->>'otherFees')::numeric, 0) AS fixed_fees
+       FROM listing_availability la
+       JOIN listings l ON l.listing_id = la.listing_id
+       ${whereSQL}
+         AND la.date >= ${startRef}::date
+         AND la.date < ${endRef}::date
+     ),
+     runs AS (
+       SELECT
+         listing_id,
+         date AS check_in,
+         min_nights,
+         fixed_fees,
+         COUNT(*) FILTER (WHERE ok) OVER w AS ok_nights,
+         (SUM(price_usd) OVER w)::numeric AS total,
+         LAST_VALUE(date) OVER w AS last_night
+       FROM days
+       WINDOW w AS (PARTITION BY listing_id ORDER BY date ROWS BETWEEN CURRENT ROW AND ${frameEnd} FOLLOWING)
+     ),
+     ranked AS (
+       SELECT r.*, ROW_NUMBER() OVER (PARTITION BY r.listing_id ORDER BY r.total ASC, r.check_in ASC) AS rn
+       FROM runs r
+       WHERE ${optionFilters.join(" AND ")}
+     ),
+     matches AS (
+       SELECT
+         listing_id,
+         MIN(total) AS best_total,
+         JSONB_AGG(
+           JSONB_BUILD_OBJECT(
+             'checkIn', TO_CHAR(check_in, 'YYYY-MM-DD'),
+             'checkOut', TO_CHAR(check_in + ${nightsRef}::int, 'YYYY-MM-DD'),
+             'nights', ${nightsRef}::int,
+             'total', ROUND(total, 2),
+             'nightlyAverage', ROUND(total / ${nightsRef}::int, 2)
+           )
+           ORDER BY total ASC, check_in ASC
+         ) AS options
+       FROM ranked
+       WHERE rn <= ${FLEX_OPTIONS_PER_LISTING}
+       GROUP BY listing_id
+     )
+     SELECT
+       ${LIST_COLUMNS}${extraColumns},
+       m.options AS "flexibleDates",
+       m.best_total AS "bestTotal",
+       COUNT(*) OVER () AS full_count
+     FROM matches m
+     JOIN listings l ON l.listing_id = m.listing_id
+     ORDER BY ${order}
+     LIMIT $${params.length + 1} OFFSET $${params.length + 2};`,
+    [...params, lim, offset]
+  );
+
+  const total = rows.length ? Number(rows[0].full_count) : 0;
+  const totalPages = Math.ceil(total / lim);
+
+  const results = normalizeResults(
+    rows.map(({ full_count, bestTotal, ...r }) => ({ ...r, bestTotal: bestTotal !== null ? Number(bestTotal) : null })),
+    audience
+  );
+
+  return {
+    results,
+    total,
+    limit: lim,
+    offset,
+    currentPage,
+    totalPages,
+    hasMore: currentPage < totalPages,
+    availabilityApplied: true,
+    flexible: flex,
+  };
+}
+
+/**
+ * Búsqueda paginada, mismo contrato para /listings y /public/listings: q y destination
+ * se aplican juntos (AND). Sin fechas pagina con OFFSET; con flexStart/flexEnd/nights usa
+ * searchFlexibleDates; con checkIn+checkOut escanea
+ * candidatos contra listing_availability y guarda el progreso en una sesión por cursor
+ * (availabilitySessionStore: memoria o Postgres).
+ * Con ?facets=true (o una lista: badges,bedrooms,destinations,price,amenities) agrega `facets`,
+ * contados con el mismo WHERE salvo destinations/bedrooms, que ignoran su propio filtro
+ * (ver listingFacets.service.js).
+ * Errores esperables llevan `code`: AVAILABILITY_SESSION_EXPIRED | AVAILABILITY_SESSION_CHANGED |
+ * INVALID_GEO_FILTER | INVALID_FLEX_QUERY (ver searchErrorResponse).
+ * @param {object} query - req.query
+ * @param {{ audience: string }} options
+ * @returns {Promise<object>} body de la respuesta
+ */
+export async function searchListings(query, { audience }) {
+  const {
+    maxTotalBudget = "",
+    checkIn = "",
+    checkOut = "",
+    limit = "12",
+    page = "1",
+    cursor = "0",
+    availabilitySession = "",
+  } = query;
+
+  const lim = Math.min(Math.max(parseInt(limit) || 12, 1), 100);
+  const currentPage = Math.max(parseInt(page) || 1, 1);
+  const cursorPos = Math.max(parseInt(cursor) || 0, 0);
+
+  // Availability solo cuando ambas fechas están completas
+  const hasAvailabilityFilter = !!(checkIn && checkOut);
+  const tag = audience === ListingAudience.ANONYMOUS ? "Public" : "Privado";
+
+  console.log(`🔎 [${tag} Listings] Page ${currentPage}, limit ${lim}, cursor ${cursorPos}, availability: ${hasAvailabilityFilter}`);
+
+  const badgeFieldMap = await getBadgeFieldMap();
+  const filters = buildSearchFilters(query, badgeFieldMap);
+  const { whereSQL, orderSQL, params, badgeSlugs, amenitySlugs, searchTerm, sort, near, extraColumns } = filters;
+
+  // Facets en paralelo con la búsqueda; si fallan la respuesta sale sin ellos
+  const facetNames = parseFacetNames(query.facets);
+  const withoutOwnFilter = {};
+  if (facetNames.includes("destinations")) {
+    withoutOwnFilter.destinations = buildSearchFilters({ ...query, destination: "", destinations: "" }, badgeFieldMap);
+  }
+  if (facetNames.includes("bedrooms")) {
+    withoutOwnFilter.bedrooms = buildSearchFilters({ ...query, bedrooms: "" }, badgeFieldMap);
+  }
+  const facetsPromise = facetNames.length
+    ? getSearchFacets(filters, badgeFieldMap, facetNames, { withoutOwnFilter }).catch((err) => {
+        console.warn(`[${tag} Listings] Facets failed:`, err.message);
+        return null;
+      })
+    : null;
+  const withFacets = async (body) => {
+    const facets = facetsPromise && (await facetsPromise);
+    return facets ? { ...body, facets } : body;
+  };
+
+  /***********************
+   * FLEXIBLE-DATES MODE (fechas exactas tienen prioridad)
+   ***********************/
+  const flex = hasAvailabilityFilter ? null : parseFlexibleDates(query);
+  if (flex) {
+    return withFacets(await searchFlexibleDates(query, flex, filters, { audience, lim, currentPage }));
+  }
+
+  /***********************
+   * NO-DATES MODE - PAGINACIÓN SIMPLE
+   ***********************/
+  if (!hasAvailabilityFilter) {
+    const offset = (currentPage - 1) * lim;
+
+    const [rows, count] = await Promise.all([
+      pool.query(
+        `SELECT ${LIST_COLUMNS}${extraColumns}
+         FROM listings l
+         ${whereSQL}
+         ${orderSQL}
+         LIMIT $${params.length + 1} OFFSET $${params.length + 2};`,
+        [...params, lim, offset]
+      ),
+      pool.query(`SELECT COUNT(*)::int AS total FROM listings l ${whereSQL};`, params),
+    ]);
+
+    const total = count.rows[0].total;
+    const totalPages = Math.ceil(total / lim);
+
+    console.log(`✅ [${tag} - No Availability] Page ${currentPage}/${totalPages}, showing ${rows.rows.length} items`);
+
+    return withFacets({
+      results: normalizeResults(rows.rows, audience),
+      total,
+      limit: lim,
+      offset,
+      currentPage,
+      totalPages,
+      hasMore: currentPage < totalPages,
+      availabilityApplied: false,
+    });
+  }
+
+  /***********************
+   * AVAILABILITY MODE - FULL SCAN
+   ***********************/
+  const offset = cursorPos;
+  const neededEnd = offset + lim;
+  const keyOf = (id) => `${audience}_availability:${id}`;
+
+  let session;
+  let sessionId;
+  let isNew = false;
+
+  if (cursorPos === 0 || !availabilitySession) {
+    sessionId = `${audience}_av_${Date.now()}_${Math.random().toString(36).slice(2, 11)}`;
+    session = {
+      availableIds: [],
+      cursor: 0,
+      exhausted: false,
+      checkIn,
+      checkOut,
+      whereSQL,
+      orderSQL,
+      params: [...params],
+      maxTotalBudget: maxTotalBudget ? Number(maxTotalBudget) : null,
+      filters: { searchTerm, badgeSlugs, amenitySlugs, sort },
+      createdAt: Date.now(),
+      lastAccessed: Date.now(),
+    };
+    isNew = true;
+  } else {
+    sessionId = availabilitySession;
+    session = await availabilitySessionStore.get(keyOf(sessionId));
+    if (!session) {
+      throw searchError("AVAILABILITY_SESSION_EXPIRED", "Availability session expired");
+    }
+    if (session.checkIn !== checkIn || session.checkOut !== checkOut) {
+      throw searchError("AVAILABILITY_SESSION_CHANGED", "Availability session filters changed");
+    }
+  }
+
+  // Escanear hasta tener `lim` resultados, agotar candidatos o cumplir el timeout
+  if (isNew || session.availableIds.length < neededEnd) {
+    console.log(`🔍 [${tag} FullScan] Session ${sessionId.slice(0, 12)}: needed ${neededEnd}, have ${session.availableIds.length}`);
+
+    const scanStart = Date.now();
+
+    while (session.availableIds.length < neededEnd && !session.exhausted) {
+      if (Date.now() - scanStart > SCAN_TIMEOUT_MS) {
+        console.warn(`⏱️ [${tag} FullScan] Timeout alcanzado tras ${SCAN_TIMEOUT_MS}ms. Respondiendo con ${session.availableIds.length} resultados.`);
+        break;
+      }
+
+      const idsRes = await pool.query(
+        `SELECT l.listing_id AS id
+         FROM listings l
+         ${session.whereSQL}
+         ${session.orderSQL}
+         LIMIT ${LAZY_SCAN_CHUNK} OFFSET ${session.cursor};`,
+        session.params
+      );
+      const candidateIds = idsRes.rows.map((r) => r.id);
+
+      if (candidateIds.length === 0) {
+        session.exhausted = true;
+        break;
+      }
+
+      session.cursor += candidateIds.length;
+
+      // Disponibilidad desde listing_availability (sin llamadas a Guesty)
+      const availableInChunk = await checkAvailabilityFromCache(candidateIds, checkIn, checkOut, session.maxTotalBudget)
+        .catch((err) => {
+          console.warn(`[${tag} FullScan] Cache check failed:`, err.message);
+          return [];
+        });
+
+      session.availableIds.push(...availableInChunk);
+      console.log(`📊 [${tag} FullScan] Scanned ${candidateIds.length}, found ${availableInChunk.length} available (total: ${session.availableIds.length}/${neededEnd} needed)`);
+    }
+  }
+
+  session.lastAccessed = Date.now();
+  await availabilitySessionStore.set(keyOf(sessionId), session);
+
+  // Página completa (o lo que haya si se agotó/timeout)
+  const pageIds = session.availableIds.slice(offset, offset + lim);
+  const detailRows = await fetchDetails(pageIds, { near, searchTerm });
+
+  const returned = detailRows.length;
+  const nextCursor = offset + returned;
+  const hasMore = !session.exhausted || nextCursor < session.availableIds.length;
+
+  console.log(`✅ [${tag} FullScan] Returning ${returned}/${lim} items, cursor ${cursorPos}→${nextCursor}, exhausted: ${session.exhausted}, hasMore: ${hasMore}`);
+
+  return withFacets({
+    results: normalizeResults(detailRows, audience),
+    availabilityApplied: true,
+    availabilitySession: sessionId,
+    cursor: offset,
+    nextCursor,
+    requested: lim,
+    returned,
+    partial: returned < lim && hasMore,
+    exhausted: session.exhausted,
+    totalScanned: session.cursor,
+    totalAvailable: session.availableIds.length,
+    currentPage: Math.floor(offset / lim) + 1,
+    totalPages: Math.ceil(session.availableIds.length / lim) || 1,
+    total: session.availableIds.length,
+    hasMore,
+  });
+}
+
+/**
+ * Status + body para los errores de searchListings (mismo contrato en ambas rutas)
+ * @returns {{ status: number, body: object }}
+ */
+export function searchErrorResponse(err) {
+  if (err.code === "AVAILABILITY_SESSION_EXPIRED") {
+    return {
+      status: 400,
+      body: { message: "Availability session expired. Please refresh your search.", expired: true },
+    };
+  }
+  if (err.code === "AVAILABILITY_SESSION_CHANGED") {
+    return {
+      status: 400,
+      body: { message: "Search filters changed. Starting new availability session.", filtersChanged: true },
+    };
+  }
+  if (err.code === "INVALID_GEO_FILTER" || err.code === "INVALID_FLEX_QUERY") {
+    return { status: 400, body: { message: err.message, code: err.code } };
+  }
+  if (err.message?.includes("timeout") || err.message?.includes("TIMEOUT")) {
+    return {
+      status: 504,
+      body: {
+        message: "Availability check taking too long. Please try a smaller date range.",
+        suggestion: "Try narrowing your search criteria",
+      },
+    };
+  }
+  return {
+    status: 500,
+    body: {
+      message: "Server error fetching listings",
+      error: process.env.NODE_ENV === "development" ? err.message : undefined,
+    },
+  };
+}
+
+/**
+ * Detalle completo de un listing, SIN aplicar la política de campos: se cachea así y
+ * cada ruta lo proyecta con applyFieldPolicy según la audiencia del request.
+ * @param {string} id
+ * @param {{ onlyListed?: boolean }} [options] - onlyListed exige is_listed + villanet_enabled
+ * @returns {Promise<object|null>}
+ */
+export async function getListingDetail(id, { onlyListed = true } = {}) {
+  const { rows } = await pool.query(
+    `SELECT ${DETAIL_COLUMNS}
+     FROM listings
+     WHERE listing_id = $1 ${onlyListed ? "AND is_listed = true AND villanet_enabled = true" : ""}`,
+    [id]
+  );
+  if (!rows[0]) return null;
+  return { ...rows[0], amenityTags: amenitySlugsFor(rows[0].amenities) };
+}
+
+/**
+ * Filas de la grilla para los ids dados, preservando su orden.
+ * Con `near` / `searchTerm` agrega distanceKm / relevance + highlights.
+ */
+async function fetchDetails(ids, { near = null, searchTerm = "" } = {}) {
+  if (!ids.length) return [];
+
+  const params = [ids];
+  let distanceRefs = null;
+  let searchRef = null;
+  if (near) {
+    params.push(near.lat, near.lng);
+    distanceRefs = [`$${params.length - 1}`, `$${params.length}`];
+  }
+  if (searchTerm) {
+    params.push(searchTerm);
+    searchRef = `$${params.length}`;
+  }
+
+  const { rows } = await pool.query(
+    `WITH ordered_ids AS (
+       SELECT id, ordinality
+       FROM unnest($1::text[]) WITH ORDINALITY AS t(id, ordinality)
+     )
+     SELECT ${LIST_COLUMNS}${extraColumnsSql({ distanceRefs, searchRef })}, oi.ordinality
+     FROM ordered_ids oi
+     JOIN listings l ON l.listing_id = oi.id
+     ORDER BY oi.ordinality;`,
+    params
+  );
+  return rows;
+}
+
+function normalizeBoolean(value) {
+  if (value === null || value === undefined) return false;
+  if (typeof value === "boolean") return value;
+  if (typeof value === "string") {
+    return value.toLowerCase() === "true" || value.toLowerCase() === "yes" || value === "1";
+  }
+  return Boolean(value);
+}
+
+const withoutUnknown = (value) => (value && value !== "Unknown" ? value : "");
+
+const BOOLEAN_FIELDS = [
+  "villanetChefIncluded",
+  "villanetHeatedPool",
+  "villanetOceanView",
+  "villanetTrueBeachFront",
+  "villanetGolfCartIncluded",
+  "villanetTennis",
+  "villanetPickleball",
+  "villanetPrivateGym",
+  "villanetPrivateCinema",
+  "villanetCookIncluded",
+  "villanetWaiterButlerIncluded",
+  "villanetOceanFront",
+  "villanetWalkToBeach",
+  "villanetAccessible",
+  "villanetGatedCommunity",
+  "villanetGolfVilla",
+  "villanetResortVilla",
+];
+
+const STALE_AFTER_MS = AVAILABILITY_STALE_HOURS * 60 * 60 * 1000;
+
+/**
+ * Limpia filas de la grilla: sin "Unknown", máximo MAX_GRID_IMAGES imágenes, booleanos
+ * reales, antigüedad del calendario (availabilityStale: sin sync OK en AVAILABILITY_STALE_HOURS)
+ * y aplica la política de campos de la audiencia
+ */
+export function normalizeResults(rows, audience) {
+  return rows.map((r) => {
+    const { ordinality, nameHighlight, descriptionSnippet, ...rest } = r;
+
+    const images = (Array.isArray(r.images_json) ? r.images_json : [])
+      .filter((img) => img !== "Unknown" && img !== "Villas not verified")
+      .slice(0, MAX_GRID_IMAGES);
+
+    const normalized = {
+      ...rest,
+      location: withoutUnknown(r.location),
+      propertyManager: withoutUnknown(r.villaNetPropertyManagerName),
+      villaNetCity: withoutUnknown(r.villaNetCity),
+      villaNetDestinationTag: withoutUnknown(r.villaNetDestinationTag),
+      images_json: images,
+      trustAccount: !!r.trust_account,
+      rank: r.rank !== null ? Number(r.rank) : null,
+      heroImage: images[0] || r.heroImage || PLACEHOLDER_IMAGE,
+      availabilityStale: !r.availabilitySyncedAt || Date.now() - new Date(r.availabilitySyncedAt).getTime() > STALE_AFTER_MS,
+    };
+
+    // ROUND(...)::numeric llega como string desde pg
+    if (r.distanceKm !== undefined) {
+      normalized.distanceKm = r.distanceKm !== null ? Number(r.distanceKm) : null;
+    }
+    if (r.relevance !== undefined) {
+      normalized.relevance = r.relevance !== null ? Number(r.relevance) : null;
+      normalized.highlights = {
+        name: renderHighlight(nameHighlight),
+        description: renderHighlight(descriptionSnippet),
+      };
+    }
+
+    for (const field of BOOLEAN_FIELDS) {
+      normalized[field] = normalizeBoolean(r[field]);
+    }
+    return applyFieldPolicy(normalized, audience);
+  });
+}
+
+/**
+ * IDs de `candidateIds` disponibles para la estadía según listing_availability,
+ * en el mismo orden recibido. Respeta CTA/CTD y min nights del check-in; sin datos
+ * en caché la propiedad no aparece. Con maxTotalBudget descuenta cleaning + otherFees.
+ * @param {string[]} candidateIds
+ * @param {string} checkIn  YYYY-MM-DD
+ * @param {string} checkOut YYYY-MM-DD
+ * @param {number|null} [maxTotalBudget]
+ * @returns {Promise<string[]>}
+ */
+export async function checkAvailabilityFromCache(candidateIds, checkIn, checkOut, maxTotalBudget = null) {
+  if (!candidateIds.length) return [];
+
+  const nights = Math.round((new Date(checkOut) - new Date(checkIn)) / 86400000);
+  if (nights <= 0) return [];
+
+  const t0 = Date.now();
+  let queryText;
+  let queryParams;
+
+  if (maxTotalBudget !== null) {
+    queryText = `
+      SELECT la.listing_id
+      FROM listing_availability la
+      JOIN listings l ON l.listing_id = la.listing_id
+      WHERE la.listing_id = ANY($1::text[])
+        AND la.date >= $2
+        AND la.date < $3
+        AND la.available = true
+        AND la.cta = false
+        AND la.ctd = false
+      GROUP BY la.listing_id, l.fees
+      HAVING
+        COUNT(*) = $4
+        AND MIN(CASE WHEN la.date = $2 THEN la.min_nights ELSE NULL END) <= $4
+        AND SUM(la.price_usd) <= (
+          $5
+          - COALESCE((l.fees->>'cleaning')::numeric, 0)
+          - COALESCE((l.fees->>'otherFees')::numeric, 0)
+        )
+    `;
+    queryParams = [candidateIds, checkIn, checkOut, nights, maxTotalBudget];
+  } else {
+    queryText = `
+      SELECT la.listing_id
+      FROM listing_availability la
+      WHERE la.listing_id = ANY($1::text[])
+        AND la.date >= $2
+        AND la.date < $3
+        AND la.available = true
+        AND la.cta = false
+        AND la.ctd = false
+      GROUP BY la.listing_id
+      HAVING
+        COUNT(*) = $4
+        AND MIN(CASE WHEN la.date = $2 THEN la.min_nights ELSE NULL END) <= $4
+    `;
+    queryParams = [candidateIds, checkIn, checkOut, nights];
+  }
+
+  const { rows } = await pool.query(queryText, queryParams);
+
+  console.log(`⚡ [checkAvailabilityFromCache] ${rows.length}/${candidateIds.length} disponibles en ${Date.now() - t0}ms${maxTotalBudget ? ` (budget: $${maxTotalBudget})` : ""}`);
+
+  // La query no garantiza orden: se respeta el de candidateIds
+  const availableSet = new Set(rows.map((r) => r.listing_id));
+  return candidateIds.filter((id) => availableSet.has(id));
+}
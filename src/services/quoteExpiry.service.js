@@ -0,0 +1,41 @@
+import { pool } from "../db.js";
+
+/**
+ * Vencimiento de quotes por ventana de validez (expires_at). El barrido general corre
+ * como job "quote-expiry" (scripts/expireQuotes.js); los controllers lo llaman con
+ * `quoteId` al leer un quote para no servir un estado viejo entre corridas.
+ */
+
+const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Marca como 'expired' los quotes enviados cuya ventana de validez ya venció,
+ * registrando el evento EXPIRED en quote_history.
+ * Con `quoteId` solo evalúa ese quote.
+ * @returns {Promise<number>} cantidad de quotes vencidos
+ */
+export async function expireStaleQuotes({ quoteId = null } = {}) {
+  if (quoteId && !UUID.test(String(quoteId))) return 0;
+
+  const { rows } = await pool.query(
+    `WITH expired AS (
+       UPDATE quotes
+       SET status = 'expired', status_reason = 'validity_window_elapsed', updated_at = NOW()
+       WHERE status = 'sent'
+         AND expires_at IS NOT NULL
+         AND expires_at < NOW()
+         AND ($1::uuid IS NULL OR id = $1::uuid)
+       RETURNING id, expires_at
+     )
+     INSERT INTO quote_history (quote_id, event_type, actor_user_id, payload)
+     SELECT id, 'EXPIRED', NULL, jsonb_build_object('reason', 'validity_window_elapsed', 'expiresAt', expires_at)
+     FROM expired
+     RETURNING quote_id`,
+    [quoteId || null]
+  );
+
+  if (rows.length && !quoteId) {
+    console.log(`⌛ ${rows.length} quotes expirados por ventana de validez`);
+  }
+  return rows.length;
+}
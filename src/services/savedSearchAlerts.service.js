@@ -0,0 +1,170 @@
+import { pool } from "../db.js";
+import { SavedSearch } from "../models/SavedSearch.js";
+import { sendSavedSearchAlert } from "./email.service.js";
+import { buildSearchFilters, getBadgeFieldMap } from "./listingSearch.service.js";
+import { evaluateAccess } from "./userAccess.service.js";
+
+/**
+ * Alertas de búsquedas guardadas. Corre al final de scripts/syncAvailability.js
+ * (o a mano con scripts/savedSearchAlerts.js): re-ejecuta cada búsqueda contra
+ * listings + listing_availability, compara con la foto anterior y manda un email
+ * si hay villas nuevas o bajas de precio. Sin llamadas a Guesty.
+ */
+
+const MAX_VILLAS_PER_EMAIL = 10;
+const PRICE_DROP_MIN_PCT = Number(process.env.SAVED_SEARCH_PRICE_DROP_PCT || 5);
+
+const todayYmd = () => new Date().toISOString().slice(0, 10);
+
+/**
+ * Villas que matchean hoy la búsqueda, en el orden de la búsqueda. Sin tope: con una foto
+ * recortada, una villa que sale del top y vuelve a entrar se avisaría como nueva.
+ * Con fechas: solo disponibles (misma regla que checkAvailabilityFromCache) y el precio
+ * es el total de noches; sin fechas, price_usd nightly.
+ * @returns {Promise<{ listingId: string, name: string, location: string, bedrooms: number, priceUSD: number|null }[]>}
+ */
+export async function findSavedSearchMatches(query, badgeFieldMap) {
+  const { whereSQL, orderSQL, params } = buildSearchFilters(query, badgeFieldMap);
+  const queryParams = [...params];
+
+  let availabilityJoin = "";
+  let priceSQL = "l.price_usd";
+  const clauses = [];
+
+  if (query.checkIn && query.checkOut) {
+    const nights = Math.round((new Date(query.checkOut) - new Date(query.checkIn)) / 86400000);
+    queryParams.push(query.checkIn, query.checkOut, nights);
+    const [ci, co, n] = [queryParams.length - 2, queryParams.length - 1, queryParams.length];
+
+    availabilityJoin = `
+      JOIN (
+        SELECT la.listing_id, SUM(la.price_usd) AS stay_total
+        FROM listing_availability la
+        WHERE la.date >= $${ci}
+          AND la.date < $${co}
+          AND la.available = true
+          AND la.cta = false
+          AND la.ctd = false
+        GROUP BY la.listing_id
+        HAVING
+          COUNT(*) = $${n}
+          AND MIN(CASE WHEN la.date = $${ci} THEN la.min_nights ELSE NULL END) <= $${n}
+      ) av ON av.listing_id = l.listing_id`;
+    priceSQL = "av.stay_total";
+
+    const maxTotalBudget = Number(query.maxTotalBudget);
+    if (query.maxTotalBudget && Number.isFinite(maxTotalBudget)) {
+      queryParams.push(maxTotalBudget);
+      clauses.push(`av.stay_total <= (
+        $${queryParams.length}
+        - COALESCE((l.fees->>'cleaning')::numeric, 0)
+        - COALESCE((l.fees->>'otherFees')::numeric, 0)
+      )`);
+    }
+  }
+
+  const { rows } = await pool.query(
+    `SELECT
+       l.listing_id,
+       l.name,
+       COALESCE(l.villanet_destination_tag, l.villanet_city, l.city, '') AS location,
+       l.bedrooms,
+       ${priceSQL} AS price
+     FROM listings l
+     ${availabilityJoin}
+     ${whereSQL}${clauses.map((c) => ` AND ${c}`).join("")}
+     ${orderSQL};`,
+    queryParams
+  );
+
+  return rows.map((r) => ({
+    listingId: r.listing_id,
+    name: r.name,
+    location: r.location,
+    bedrooms: r.bedrooms,
+    priceUSD: r.price !== null ? Number(r.price) : null,
+  }));
+}
+
+/**
+ * Nuevas = no estaban en la foto anterior; bajas = precio al menos PRICE_DROP_MIN_PCT menor
+ */
+export function diffMatches(matches, previous) {
+  const newMatches = [];
+  const priceDrops = [];
+
+  for (const match of matches) {
+    if (!previous.has(match.listingId)) {
+      newMatches.push(match);
+      continue;
+    }
+    const before = previous.get(match.listingId);
+    if (before && match.priceUSD !== null && match.priceUSD <= before * (1 - PRICE_DROP_MIN_PCT / 100)) {
+      priceDrops.push({ ...match, previousPriceUSD: before });
+    }
+  }
+  return { newMatches, priceDrops };
+}
+
+/**
+ * Procesa una búsqueda guardada. La primera corrida (last_run_at NULL) solo arma la foto base.
+ * @returns {Promise<'alerted'|'unchanged'|'baseline'|'expired'>}
+ */
+async function processSavedSearch(search, badgeFieldMap) {
+  // Fechas pasadas: no hay nada que avisar hasta que el usuario la edite
+  if (search.query.checkIn && search.query.checkIn < todayYmd()) return "expired";
+
+  const matches = await findSavedSearchMatches(search.query, badgeFieldMap);
+
+  if (!search.lastRunAt) {
+    await SavedSearch.recordRun(search.id, matches, { alerted: false });
+    return "baseline";
+  }
+
+  const previous = await SavedSearch.previousMatches(search.id);
+  const { newMatches, priceDrops } = diffMatches(matches, previous);
+  const alerted = newMatches.length > 0 || priceDrops.length > 0;
+
+  // Se manda antes de guardar la foto: si el email falla, la próxima corrida reintenta
+  if (alerted) {
+    await sendSavedSearchAlert({
+      to: search.email,
+      fullName: search.fullName,
+      searchName: search.name,
+      priceLabel: search.query.checkIn ? "total stay" : "per night",
+      newMatches: newMatches.slice(0, MAX_VILLAS_PER_EMAIL),
+      priceDrops: priceDrops.slice(0, MAX_VILLAS_PER_EMAIL),
+    });
+  }
+
+  await SavedSearch.recordRun(search.id, matches, { alerted });
+  return alerted ? "alerted" : "unchanged";
+}
+
+/**
+ * Corre todas las búsquedas con alertas. Un error en una no corta las demás.
+ * @returns {Promise<{ total: number, alerted: number, unchanged: number, baseline: number, expired: number, errors: number }>}
+ */
+export async function runSavedSearchAlerts() {
+  // Mismas reglas que auth(): pending con trial vencido tampoco recibe alertas
+  const searches = (await SavedSearch.listForAlerts()).filter((search) => evaluateAccess(search).allowed);
+  const summary = { total: searches.length, alerted: 0, unchanged: 0, baseline: 0, expired: 0, errors: 0 };
+  if (!searches.length) return summary;
+
+  const badgeFieldMap = await getBadgeFieldMap();
+
+  for (const search of searches) {
+    try {
+      summary[await processSavedSearch(search, badgeFieldMap)]++;
+    } catch (err) {
+      summary.errors++;
+      console.error(`❌ Saved search ${search.id} failed:`, err.message);
+    }
+  }
+
+  console.log(
+    `🔔 Saved searches: ${summary.total} total, ${summary.alerted} alerted, ${summary.unchanged} unchanged, ` +
+      `${summary.baseline} baseline, ${summary.expired} expired, ${summary.errors} errors`
+  );
+  return summary;
+}
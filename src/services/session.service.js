@@ -0,0 +1,261 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import { pool } from "../db.js";
+
+const ACCESS_TTL_MIN = Number(process.env.ACCESS_TTL_MIN || 15);
+const REFRESH_TTL_DAYS = Number(process.env.REFRESH_TTL_DAYS || 7);
+
+// Dos pestañas pueden refrescar casi a la vez con el mismo cookie: un token rotado hace
+// menos de esto se rechaza sin matar la familia (el browser ya tiene el cookie nuevo).
+const REUSE_GRACE_SEC = Number(process.env.REFRESH_REUSE_GRACE_SEC || 10);
+
+// Path '/auth' para que /auth/refresh, /auth/logout y /auth/sessions reciban el cookie
+const REFRESH_COOKIE = "refresh_token";
+const REFRESH_COOKIE_OPTIONS = {
+  httpOnly: true,
+  secure: true,
+  sameSite: "none",
+  path: "/auth",
+};
+// Path usado antes de las sesiones rotativas (se limpia al rotar/cerrar sesión)
+const LEGACY_COOKIE_PATH = "/auth/refresh";
+
+export function signAccess(payload) {
+  return jwt.sign(payload, process.env.JWT_ACCESS_SECRET, { expiresIn: `${ACCESS_TTL_MIN}m` });
+}
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+}
+
+function newRefreshToken() {
+  return crypto.randomBytes(48).toString("base64url");
+}
+
+function clientInfo(req) {
+  return {
+    ip: req?.ip || null,
+    userAgent: req?.headers?.["user-agent"]?.toString().slice(0, 255) || null,
+  };
+}
+
+export function readRefreshCookie(req) {
+  return req.cookies?.[REFRESH_COOKIE] || null;
+}
+
+export function setRefreshCookie(res, token) {
+  res.clearCookie(REFRESH_COOKIE, { ...REFRESH_COOKIE_OPTIONS, path: LEGACY_COOKIE_PATH });
+  res.cookie(REFRESH_COOKIE, token, {
+    ...REFRESH_COOKIE_OPTIONS,
+    maxAge: REFRESH_TTL_DAYS * 24 * 3600 * 1000,
+  });
+}
+
+export function clearRefreshCookie(res) {
+  res.clearCookie(REFRESH_COOKIE, REFRESH_COOKIE_OPTIONS);
+  res.clearCookie(REFRESH_COOKIE, { ...REFRESH_COOKIE_OPTIONS, path: LEGACY_COOKIE_PATH });
+}
+
+async function insertSession(db, { userId, familyId = null, ip, userAgent }) {
+  const token = newRefreshToken();
+  const { rows } = await db.query(
+    `INSERT INTO user_sessions (family_id, user_id, refresh_token_hash, ip, user_agent, expires_at)
+     VALUES (COALESCE($1::uuid, gen_random_uuid()), $2, $3, $4, $5, NOW() + make_interval(days => $6))
+     RETURNING id, family_id, expires_at`,
+    [familyId, userId, hashToken(token), ip, userAgent, REFRESH_TTL_DAYS]
+  );
+  return { token, session: rows[0] };
+}
+
+/**
+ * Abre una sesión nueva (familia nueva) para el usuario y setea el cookie de refresh.
+ * Devuelve el access token firmado con el rol/estado recibidos.
+ * @param {import('express').Response} res
+ * @param {{ id: string, role: string, status: string }} user
+ * @param {import('express').Request} req
+ * @returns {Promise<string>} access token
+ */
+export async function startSession(res, user, req) {
+  const { token } = await insertSession(pool, { userId: user.id, ...clientInfo(req) });
+  setRefreshCookie(res, token);
+  return signAccess({ sub: user.id, role: user.role, status: user.status });
+}
+
+/**
+ * Qué hacer con la sesión del refresh token presentado (sin tocar la base):
+ *   revoked    → familia ya revocada
+ *   superseded → rotado hace <= REUSE_GRACE_SEC (refresh concurrente de otra pestaña)
+ *   reused     → rotado antes: reuso de un token viejo, hay que revocar la familia
+ *   expired    → vencido
+ *   rotate     → válido, se emite el siguiente de la familia
+ * @param {{ revoked_at?: Date|null, rotated_at?: Date|null, expires_at: Date }} session
+ * @param {number} [now] - ms epoch
+ * @returns {'revoked'|'superseded'|'reused'|'expired'|'rotate'}
+ */
+export function rotationDecision(session, now = Date.now()) {
+  if (session.revoked_at) return "revoked";
+
+  if (session.rotated_at) {
+    const rotatedAgoSec = (now - new Date(session.rotated_at).getTime()) / 1000;
+    return rotatedAgoSec <= REUSE_GRACE_SEC ? "superseded" : "reused";
+  }
+
+  if (new Date(session.expires_at).getTime() <= now) return "expired";
+  return "rotate";
+}
+
+/**
+ * Rota el refresh token: el actual queda marcado como rotado y se emite uno nuevo en la misma familia.
+ * Si el token ya había sido rotado (reuso), se revoca toda la familia.
+ * @returns {Promise<{ token: string, userId: string, familyId: string } | { error: 'invalid'|'expired'|'revoked'|'superseded'|'reused' }>}
+ */
+export async function rotateSession(refreshToken, req) {
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+
+    const { rows } = await client.query(
+      `SELECT * FROM user_sessions WHERE refresh_token_hash = $1 FOR UPDATE`,
+      [hashToken(refreshToken)]
+    );
+
+    if (!rows.length) {
+      await client.query("ROLLBACK");
+      return migrateLegacyToken(refreshToken, req);
+    }
+
+    const current = rows[0];
+    const decision = rotationDecision(current);
+
+    if (decision === "reused") {
+      // Token viejo presentado de nuevo: posible robo → se corta toda la familia
+      await revokeFamily(client, current.family_id, "reuse_detected");
+      await client.query("COMMIT");
+      console.warn(`🚨 Refresh token reuse detected (user ${current.user_id}, family ${current.family_id})`);
+      return { error: "reused" };
+    }
+
+    if (decision !== "rotate") {
+      await client.query("ROLLBACK");
+      return { error: decision };
+    }
+
+    const { token, session } = await insertSession(client, {
+      userId: current.user_id,
+      familyId: current.family_id,
+      ...clientInfo(req),
+    });
+
+    await client.query(
+      `UPDATE user_sessions SET rotated_at = NOW(), last_used_at = NOW(), replaced_by = $2 WHERE id = $1`,
+      [current.id, session.id]
+    );
+
+    await client.query("COMMIT");
+    return { token, userId: current.user_id, familyId: current.family_id };
+  } catch (error) {
+    await client.query("ROLLBACK");
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// Cookies emitidos antes de user_sessions (JWT guardado en refresh_tokens): se canjean una vez por una sesión nueva
+async function migrateLegacyToken(refreshToken, req) {
+  try {
+    jwt.verify(refreshToken, process.env.JWT_REFRESH_SECRET);
+  } catch {
+    return { error: "invalid" };
+  }
+
+  const { rows } = await pool.query(
+    `UPDATE refresh_tokens SET revoked=true
+     WHERE token=$1 AND revoked=false AND expires_at>CURRENT_TIMESTAMP
+     RETURNING user_id`,
+    [refreshToken]
+  );
+  if (!rows.length) return { error: "invalid" };
+
+  const { token, session } = await insertSession(pool, { userId: rows[0].user_id, ...clientInfo(req) });
+  return { token, userId: rows[0].user_id, familyId: session.family_id };
+}
+
+async function revokeFamily(db, familyId, reason) {
+  await db.query(
+    `UPDATE user_sessions SET revoked_at = NOW(), revoked_reason = $2
+     WHERE family_id = $1 AND revoked_at IS NULL`,
+    [familyId, reason]
+  );
+}
+
+/**
+ * Cierra la sesión (familia) a la que pertenece el refresh token
+ */
+export async function endSession(refreshToken) {
+  if (!refreshToken) return;
+
+  const { rows } = await pool.query(
+    `SELECT family_id FROM user_sessions WHERE refresh_token_hash = $1`,
+    [hashToken(refreshToken)]
+  );
+  if (rows.length) {
+    await revokeFamily(pool, rows[0].family_id, "logout");
+  } else {
+    await pool.query(`UPDATE refresh_tokens SET revoked=true WHERE token=$1`, [refreshToken]);
+  }
+}
+
+/**
+ * Revoca todas las sesiones del usuario ("cerrar sesión en todos lados", suspensión, etc.)
+ * @returns {Promise<number>} cantidad de sesiones activas revocadas
+ */
+export async function endAllSessions(userId, reason = "logout_all", db = pool) {
+  const { rows } = await db.query(
+    `UPDATE user_sessions SET revoked_at = NOW(), revoked_reason = $2
+     WHERE user_id = $1 AND revoked_at IS NULL
+     RETURNING rotated_at`,
+    [userId, reason]
+  );
+  await db.query(`UPDATE refresh_tokens SET revoked=true WHERE user_id=$1 AND revoked=false`, [userId]);
+  return rows.filter((r) => !r.rotated_at).length;
+}
+
+/**
+ * Revoca una sesión puntual del usuario (por family_id, que es el id de sesión que ve el cliente)
+ * @returns {Promise<boolean>} false si no existe o no es del usuario
+ */
+export async function endSessionById(userId, sessionId) {
+  const { rowCount } = await pool.query(
+    `UPDATE user_sessions SET revoked_at = NOW(), revoked_reason = 'logout_device'
+     WHERE family_id = $1 AND user_id = $2 AND revoked_at IS NULL`,
+    [sessionId, userId]
+  );
+  return rowCount > 0;
+}
+
+/**
+ * Sesiones activas del usuario: una por familia, con el dispositivo/IP del último refresh.
+ * `current` marca la sesión del refresh token recibido (si hay).
+ */
+export async function listActiveSessions(userId, currentRefreshToken = null) {
+  const { rows } = await pool.query(
+    `SELECT
+       s.family_id AS id,
+       s.ip,
+       s.user_agent,
+       s.last_used_at,
+       s.created_at AS last_refreshed_at,
+       s.expires_at,
+       (SELECT MIN(f.created_at) FROM user_sessions f WHERE f.family_id = s.family_id) AS signed_in_at,
+       (s.refresh_token_hash = $2) AS current
+     FROM user_sessions s
+     WHERE s.user_id = $1
+       AND s.rotated_at IS NULL
+       AND s.revoked_at IS NULL
+       AND s.expires_at > NOW()
+     ORDER BY s.created_at DESC`,
+    [userId, currentRefreshToken ? hashToken(currentRefreshToken) : null]
+  );
+  return rows.map((r) => ({ ...r, current: Boolean(r.current) }));
+}
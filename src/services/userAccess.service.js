@@ -0,0 +1,76 @@
+import { pool } from "../db.js";
+import { cache } from "../cache.js";
+import { Status, AuthErrorCode } from "../types.js";
+
+// Corto a propósito: AdminController invalida al cambiar rol/estado, el TTL cubre cambios hechos por fuera
+const USER_ACCESS_TTL_SEC = Number(process.env.USER_ACCESS_TTL_SEC || 60);
+
+const keyOf = (userId) => `user_access:${userId}`;
+
+const DENIED = {
+  [AuthErrorCode.ACCOUNT_SUSPENDED]: "Account suspended",
+  [AuthErrorCode.ACCOUNT_REJECTED]: "Account rejected",
+  [AuthErrorCode.ACCOUNT_PENDING]: "Account pending admin approval",
+  [AuthErrorCode.TRIAL_EXPIRED]: "Trial expired. Await admin approval.",
+};
+
+/**
+ * Rol, estado y trial actuales del usuario (cacheado). null si el usuario no existe.
+ * @param {string} userId
+ * @returns {Promise<{ id: string, role: string, status: string, trial_expires_at: Date|null }|null>}
+ */
+export async function getUserAccess(userId) {
+  if (!userId) return null;
+
+  const cached = cache.get(keyOf(userId));
+  if (cached !== undefined) return cached;
+
+  const { rows } = await pool.query(
+    `SELECT id, role, status, trial_expires_at FROM users WHERE id=$1`,
+    [userId]
+  );
+  const user = rows[0] || null;
+  cache.set(keyOf(userId), user, USER_ACCESS_TTL_SEC);
+  return user;
+}
+
+/**
+ * Borra el estado cacheado para que el próximo request lo lea de la BD
+ */
+export function invalidateUserAccess(userId) {
+  if (userId) cache.del(keyOf(userId));
+}
+
+/**
+ * Tiempo de trial restante. null si el usuario no tiene trial.
+ */
+export function trialInfo(user, now = Date.now()) {
+  if (!user?.trial_expires_at) return null;
+
+  const expiresAt = new Date(user.trial_expires_at);
+  const remainingMs = Math.max(0, expiresAt.getTime() - now);
+  return {
+    expiresAt: expiresAt.toISOString(),
+    remainingSeconds: Math.floor(remainingMs / 1000),
+    expired: remainingMs === 0,
+  };
+}
+
+/**
+ * ¿Puede el usuario usar la API ahora mismo?
+ * approved → sí; pending → solo mientras dure el trial; rejected/suspended → no.
+ * @returns {{ allowed: true } | { allowed: false, code: string, message: string }}
+ */
+export function evaluateAccess(user, now = Date.now()) {
+  let code = null;
+
+  if (user.status === Status.SUSPENDED) code = AuthErrorCode.ACCOUNT_SUSPENDED;
+  else if (user.status === Status.REJECTED) code = AuthErrorCode.ACCOUNT_REJECTED;
+  else if (user.status === Status.PENDING) {
+    const trial = trialInfo(user, now);
+    if (!trial) code = AuthErrorCode.ACCOUNT_PENDING;
+    else if (trial.expired) code = AuthErrorCode.TRIAL_EXPIRED;
+  }
+
+  return code ? { allowed: false, code, message: DENIED[code] } : { allowed: true };
+}
@@ -8,6 +8,30 @@ export const Status = {
   PENDING: "pending",
   APPROVED: "approved",
   REJECTED: "rejected",
+  SUSPENDED: "suspended", // Bloqueado por un admin: auth() rechaza sus tokens
+};
+
+// Códigos que devuelve auth() cuando el usuario no tiene acceso
+export const AuthErrorCode = {
+  ACCOUNT_SUSPENDED: "ACCOUNT_SUSPENDED",
+  ACCOUNT_REJECTED: "ACCOUNT_REJECTED",
+  ACCOUNT_PENDING: "ACCOUNT_PENDING", // Pendiente de aprobación y sin trial
+  TRIAL_EXPIRED: "TRIAL_EXPIRED", // Pendiente de aprobación con el trial vencido
+};
+
+// Acciones registradas en admin_audit_log
+export const AdminAuditAction = {
+  ROLE_CHANGED: "role_changed",
+  STATUS_CHANGED: "status_changed",
+  PMC_LINKED: "pmc_linked", // Usuario vinculado a un listing_property_manager
+  PMC_UNLINKED: "pmc_unlinked",
+};
+
+// Revisión de cambios que propone un PMC sobre sus listings
+export const EditRequestStatus = {
+  PENDING: "pending",
+  APPROVED: "approved",
+  REJECTED: "rejected",
 };
 
 // Estados específicos para expansion leads
@@ -18,9 +42,59 @@ export const ExpansionLeadStatus = {
   EXPIRED: "expired", // Lead expirado sin conversión
 };
 
+// Ciclo de vida de un quote
+export const QuoteStatus = {
+  DRAFT: "draft",
+  SENT: "sent",
+  ACCEPTED: "accepted", // El cliente aceptó la propuesta
+  DECLINED: "declined", // El cliente la rechazó
+  EXPIRED: "expired", // Venció la ventana de validez
+  REVISED: "revised", // Reemplazado por una nueva versión
+};
+
+// Estados de las consultas que reciben los PMC (new → responded → booked/declined)
+export const InquiryStatus = {
+  NEW: "new",
+  RESPONDED: "responded",
+  BOOKED: "booked",
+  DECLINED: "declined",
+};
+
+// Origen de cada consulta de la bandeja PMC
+export const InquirySource = {
+  BOOKING: "booking",
+  PROPERTY_MESSAGE: "property_message",
+  VILLA_INQUIRY: "villa_inquiry",
+};
+
 // Fuentes de leads
 export const LeadSource = {
   WEB: "web",
   MOBILE: "mobile",
   API: "api",
 };
+
+// Audiencias de la política de campos de listings (ver listingFieldPolicy.js)
+export const ListingAudience = {
+  ANONYMOUS: "anonymous", // /public/* y requests sin sesión
+  TA: "ta",
+  PMC: "pmc",
+  ADMIN: "admin",
+};
+
+// Corridas de jobs de mantenimiento (ver jobRegistry.js / jobRunner.service.js)
+export const JobRunStatus = {
+  RUNNING: "running",
+  SUCCEEDED: "succeeded",
+  FAILED: "failed", // Exit code distinto de 0 o timeout
+  CANCELLED: "cancelled",
+  SKIPPED: "skipped", // Otra corrida tenía el lock (solo corridas programadas o por CLI)
+  LOST: "lost", // El proceso que la corría murió sin cerrarla
+};
+
+// Quién disparó una corrida
+export const JobTrigger = {
+  MANUAL: "manual", // Admin desde POST /admin/jobs/:name/run
+  SCHEDULE: "schedule", // pm2 cron_restart vía scripts/runJob.js
+  CLI: "cli", // node scripts/runJob.js a mano
+};
@@ -0,0 +1,20 @@
+/**
+ * dates.js
+ *
+ * Validación de fechas YYYY-MM-DD que llegan por query string o body.
+ */
+
+const YMD = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * YYYY-MM-DD que además existe en el calendario: 2026-02-30 o 2026-13-01 no pasan
+ * (Postgres los rechaza al castear a date y terminarían en un 500).
+ * @param {unknown} value
+ * @returns {boolean}
+ */
+export function isCalendarDate(value) {
+  const s = String(value ?? "");
+  if (!YMD.test(s)) return false;
+  const d = new Date(`${s}T00:00:00Z`);
+  return !Number.isNaN(d.getTime()) && d.toISOString().slice(0, 10) === s;
+}
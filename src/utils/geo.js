@@ -0,0 +1,128 @@
+/**
+ * geo.js
+ *
+ * Parsing de filtros geográficos del query string y expresiones SQL sobre
+ * listings.lat / listings.lng (sin PostGIS: haversine + tipos geométricos nativos).
+ */
+
+const EARTH_RADIUS_KM = 6371;
+const MAX_RADIUS_KM = 500;
+const MAX_POLYGON_POINTS = 500;
+
+export function geoError(message) {
+  const err = new Error(message);
+  err.code = "INVALID_GEO_FILTER";
+  return err;
+}
+
+const isLat = (n) => Number.isFinite(n) && n >= -90 && n <= 90;
+const isLng = (n) => Number.isFinite(n) && n >= -180 && n <= 180;
+
+/**
+ * near=lat,lng
+ * @returns {{ lat: number, lng: number } | null}
+ */
+export function parseNear(value) {
+  if (!value) return null;
+
+  const [lat, lng] = String(value).split(",").map((s) => Number(s.trim()));
+  if (!isLat(lat) || !isLng(lng)) {
+    throw geoError("near must be 'lat,lng'");
+  }
+  return { lat, lng };
+}
+
+/**
+ * radiusKm=number (0 < r <= MAX_RADIUS_KM)
+ * @returns {number|null}
+ */
+export function parseRadiusKm(value) {
+  if (value === undefined || value === null || value === "") return null;
+
+  const radius = Number(value);
+  if (!Number.isFinite(radius) || radius <= 0 || radius > MAX_RADIUS_KM) {
+    throw geoError(`radiusKm must be between 0 and ${MAX_RADIUS_KM}`);
+  }
+  return radius;
+}
+
+/**
+ * polygon=GeoJSON (Polygon, o Feature con geometry Polygon). Solo se usa el anillo
+ * exterior; los agujeros se ignoran. Coordenadas en orden GeoJSON: [lng, lat].
+ * @returns {{ ring: [number, number][], bounds: { minLat: number, maxLat: number, minLng: number, maxLng: number } } | null}
+ */
+export function parsePolygon(value) {
+  if (!value) return null;
+
+  let geojson = value;
+  if (typeof value === "string") {
+    try {
+      geojson = JSON.parse(value);
+    } catch {
+      throw geoError("polygon must be valid GeoJSON");
+    }
+  }
+
+  const geometry = geojson?.type === "Feature" ? geojson.geometry : geojson;
+  if (geometry?.type !== "Polygon" || !Array.isArray(geometry.coordinates?.[0])) {
+    throw geoError("polygon must be a GeoJSON Polygon");
+  }
+
+  const ring = geometry.coordinates[0].map((p) => [Number(p?.[0]), Number(p?.[1])]);
+  if (ring.length < 3 || ring.length > MAX_POLYGON_POINTS) {
+    throw geoError(`polygon must have between 3 and ${MAX_POLYGON_POINTS} points`);
+  }
+  if (ring.some(([lng, lat]) => !isLng(lng) || !isLat(lat))) {
+    throw geoError("polygon has invalid coordinates");
+  }
+
+  const lats = ring.map(([, lat]) => lat);
+  const lngs = ring.map(([lng]) => lng);
+  return {
+    ring,
+    bounds: {
+      minLat: Math.min(...lats),
+      maxLat: Math.max(...lats),
+      minLng: Math.min(...lngs),
+      maxLng: Math.max(...lngs),
+    },
+  };
+}
+
+/**
+ * Literal de `polygon` de Postgres: x = lng, y = lat
+ */
+export function toPgPolygon(ring) {
+  return `(${ring.map(([lng, lat]) => `(${lng},${lat})`).join(",")})`;
+}
+
+/**
+ * Bounding box aproximado de un círculo (para usar el índice de lat/lng antes del haversine)
+ */
+export function radiusBounds({ lat, lng }, radiusKm) {
+  const dLat = (radiusKm / EARTH_RADIUS_KM) * (180 / Math.PI);
+  const cosLat = Math.cos((lat * Math.PI) / 180);
+  const dLng = cosLat > 1e-6 ? dLat / cosLat : 180;
+  return {
+    minLat: lat - dLat,
+    maxLat: lat + dLat,
+    minLng: lng - dLng,
+    maxLng: lng + dLng,
+  };
+}
+
+/**
+ * Distancia haversine en km entre (latCol, lngCol) y el punto en los parámetros dados
+ * @param {string} latRef - ej. '$3'
+ * @param {string} lngRef - ej. '$4'
+ */
+export function distanceKmSql(latRef, lngRef, alias = "l") {
+  const lat = `${alias}.lat::float8`;
+  const lng = `${alias}.lng::float8`;
+  // LEAST evita que el redondeo deje el argumento de ASIN apenas por encima de 1
+  return `(${EARTH_RADIUS_KM} * 2 * ASIN(LEAST(1, SQRT(
+    POWER(SIN(RADIANS(${lat} - ${latRef}::float8) / 2), 2) +
+    COS(RADIANS(${latRef}::float8)) * COS(RADIANS(${lat})) *
+    POWER(SIN(RADIANS(${lng} - ${lngRef}::float8) / 2), 2)
+  ))))`;
+}
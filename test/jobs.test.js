@@ -0,0 +1,53 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { JOBS, getJob, listJobDefinitions } from "../src/services/jobRegistry.js";
+import { runStatusFor } from "../src/services/jobRunner.service.js";
+import { JobRunStatus } from "../src/types.js";
+
+test("getJob: completa defaults de lock, args, timeout y espera", () => {
+  const job = getJob("guardian");
+  assert.equal(job.lock, "guardian");
+  assert.deepEqual(job.args, []);
+  assert.equal(job.waitForLockMin, 0);
+  assert.equal(getJob("rates-sync").schedule, null);
+  assert.equal(getJob("saved-search-alerts").timeoutMin, 30);
+});
+
+test("getJob: job inexistente o heredado del prototipo devuelve null", () => {
+  assert.equal(getJob("nope"), null);
+  assert.equal(getJob("toString"), null);
+});
+
+test("jobRegistry: los tres modos de availability comparten lock y solo el full espera", () => {
+  for (const name of ["availability-incremental", "availability-full", "availability-retry"]) {
+    assert.equal(getJob(name).lock, "availability");
+  }
+  assert.equal(getJob("availability-full").waitForLockMin, 60);
+  assert.equal(getJob("availability-incremental").waitForLockMin, 0);
+});
+
+test("jobRegistry: cada definición apunta a un script de scripts/", () => {
+  assert.equal(listJobDefinitions().length, Object.keys(JOBS).length);
+  for (const job of listJobDefinitions()) assert.match(job.script, /^scripts\//);
+});
+
+test("runStatusFor: exit 0 es succeeded y cualquier otro código es failed", () => {
+  const base = { cancelled: false, timedOut: false, timeoutMin: 10 };
+  assert.deepEqual(runStatusFor({ ...base, exitCode: 0 }), { status: JobRunStatus.SUCCEEDED, error: null });
+  assert.deepEqual(runStatusFor({ ...base, exitCode: 1 }), { status: JobRunStatus.FAILED, error: "Exited with code 1" });
+  // Muerto por señal: close llega con code null
+  assert.equal(runStatusFor({ ...base, exitCode: null }).status, JobRunStatus.FAILED);
+});
+
+test("runStatusFor: cancelado gana sobre timeout y exit code; timeout y spawn fallan", () => {
+  assert.equal(runStatusFor({ cancelled: true, timedOut: true, exitCode: null, timeoutMin: 10 }).status, JobRunStatus.CANCELLED);
+  assert.deepEqual(
+    runStatusFor({ cancelled: false, timedOut: true, exitCode: null, timeoutMin: 180 }),
+    { status: JobRunStatus.FAILED, error: "Timed out after 180 min" },
+  );
+  assert.deepEqual(
+    runStatusFor({ cancelled: false, timedOut: false, spawnError: new Error("spawn ENOENT"), exitCode: null, timeoutMin: 10 }),
+    { status: JobRunStatus.FAILED, error: "spawn ENOENT" },
+  );
+});
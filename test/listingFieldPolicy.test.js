@@ -0,0 +1,60 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { ListingAudience } from "../src/types.js";
+import { LISTING_FIELD_POLICY, applyFieldPolicy, audienceFor } from "../src/services/listingFieldPolicy.js";
+import { normalizeResults } from "../src/services/listingSearch.service.js";
+
+// Todas las claves confidenciales, con sus alias camelCase de la grilla
+const CONFIDENTIAL_KEYS = Object.entries(LISTING_FIELD_POLICY).flatMap(([field, { aliases }]) => [field, ...aliases]);
+
+function rowWithEveryField() {
+  const row = {
+    listing_id: "abc123",
+    name: "Villa Test",
+    location: "Tulum, Mexico",
+    images_json: ["https://example.com/a.jpg"],
+    rank: "1",
+  };
+  for (const key of CONFIDENTIAL_KEYS) row[key] = `secret:${key}`;
+  row.availabilitySyncedAt = new Date().toISOString();
+  return row;
+}
+
+test("la política cubre los alias de la grilla", () => {
+  for (const key of ["villaNetCommissionRate", "guestyBookingDomain", "availabilitySyncedAt", "availabilityStale"]) {
+    assert.ok(CONFIDENTIAL_KEYS.includes(key), `${key} falta en LISTING_FIELD_POLICY`);
+  }
+});
+
+test("normalizeResults no expone campos confidenciales a anónimos", () => {
+  const [result] = normalizeResults([rowWithEveryField()], ListingAudience.ANONYMOUS);
+
+  for (const key of CONFIDENTIAL_KEYS) {
+    assert.ok(!(key in result), `${key} aparece en la grilla pública`);
+  }
+  assert.equal(result.listing_id, "abc123");
+});
+
+test("el detalle de /public/listings/:id no expone campos confidenciales", () => {
+  const detail = applyFieldPolicy(rowWithEveryField(), ListingAudience.ANONYMOUS);
+
+  for (const key of CONFIDENTIAL_KEYS) {
+    assert.ok(!(key in detail), `${key} aparece en el detalle público`);
+  }
+  assert.equal(detail.name, "Villa Test");
+});
+
+test("admin sigue viendo todos los campos", () => {
+  const [result] = normalizeResults([rowWithEveryField()], ListingAudience.ADMIN);
+
+  for (const key of CONFIDENTIAL_KEYS) {
+    assert.ok(key in result, `${key} falta para admin`);
+  }
+});
+
+test("audienceFor: sin usuario o con rol desconocido es anónimo", () => {
+  assert.equal(audienceFor(null), ListingAudience.ANONYMOUS);
+  assert.equal(audienceFor({ role: "guest" }), ListingAudience.ANONYMOUS);
+  assert.equal(audienceFor({ role: "ta" }), ListingAudience.TA);
+});
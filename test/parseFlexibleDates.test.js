@@ -0,0 +1,22 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { parseFlexibleDates } from "../src/services/listingSearch.service.js";
+
+test("parseFlexibleDates acepta una ventana válida", () => {
+  assert.deepEqual(parseFlexibleDates({ flexStart: "2026-03-01", flexEnd: "2026-03-31", nights: "7" }), {
+    start: "2026-03-01",
+    end: "2026-03-31",
+    nights: 7,
+    startDay: null,
+  });
+});
+
+test("parseFlexibleDates rechaza fechas que no existen", () => {
+  for (const [flexStart, flexEnd] of [["2026-02-30", "2026-03-31"], ["2026-03-01", "2026-13-01"]]) {
+    assert.throws(
+      () => parseFlexibleDates({ flexStart, flexEnd, nights: "3" }),
+      (err) => err.code === "INVALID_FLEX_QUERY"
+    );
+  }
+});
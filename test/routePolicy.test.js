@@ -0,0 +1,24 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import express from "express";
+
+import { Policy, mountWithPolicies, assertRoutePolicies } from "../src/middleware/routePolicy.js";
+
+// `mounted` es estado del módulo: cada caso agrega rutas y el chequeo mira todas
+test("assertRoutePolicies falla con un GET sin política bajo /admin", () => {
+  const app = express();
+
+  const publicRouter = express.Router();
+  publicRouter.get("/", (_req, res) => res.json({}));
+  mountWithPolicies(app, "/catalog", publicRouter, {});
+  assert.doesNotThrow(() => assertRoutePolicies());
+
+  const adminRouter = express.Router();
+  adminRouter.get("/stats", (_req, res) => res.json({}));
+  adminRouter.get("/users", (_req, res) => res.json({}));
+  mountWithPolicies(app, "/admin/reports", adminRouter, {
+    "/admin/reports": { "GET /users": Policy.roles("admin") },
+  });
+
+  assert.throws(() => assertRoutePolicies(), /GET \/stats on \/admin\/reports/);
+});
@@ -0,0 +1,20 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { SavedSearch } from "../src/models/SavedSearch.js";
+
+test("sanitizeQuery guarda solo claves de búsqueda", () => {
+  const { query, errors } = SavedSearch.sanitizeQuery({ destination: " Tulum ", page: "3", cursor: "abc" });
+  assert.deepEqual(query, { destination: "Tulum" });
+  assert.deepEqual(errors, []);
+});
+
+test("sanitizeQuery rechaza fechas que no existen", () => {
+  const { errors } = SavedSearch.sanitizeQuery({ destination: "Tulum", checkIn: "2026-02-30", checkOut: "2026-03-05" });
+  assert.equal(errors.length, 1);
+});
+
+test("sanitizeQuery rechaza checkOut anterior a checkIn", () => {
+  const { errors } = SavedSearch.sanitizeQuery({ checkIn: "2026-03-05", checkOut: "2026-03-01" });
+  assert.deepEqual(errors, ["checkOut must be after checkIn"]);
+});
@@ -0,0 +1,100 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { pool } from "../src/db.js";
+import { rotationDecision, rotateSession } from "../src/services/session.service.js";
+
+const NOW = Date.parse("2026-05-01T12:00:00Z");
+const future = new Date(NOW + 3600_000);
+const session = (overrides = {}) => ({ revoked_at: null, rotated_at: null, expires_at: future, ...overrides });
+
+test("rotationDecision: sesión vigente se rota", () => {
+  assert.equal(rotationDecision(session(), NOW), "rotate");
+});
+
+test("rotationDecision: revocada o vencida no se rota", () => {
+  assert.equal(rotationDecision(session({ revoked_at: new Date(NOW - 1000) }), NOW), "revoked");
+  assert.equal(rotationDecision(session({ expires_at: new Date(NOW - 1000) }), NOW), "expired");
+});
+
+test("rotationDecision: token ya rotado es superseded dentro de la gracia y reused después", () => {
+  assert.equal(rotationDecision(session({ rotated_at: new Date(NOW - 2_000) }), NOW), "superseded");
+  assert.equal(rotationDecision(session({ rotated_at: new Date(NOW - 60_000) }), NOW), "reused");
+});
+
+// Cliente que registra las queries y devuelve `row` para el SELECT ... FOR UPDATE
+function recordingClient(row) {
+  const queries = [];
+  return {
+    queries,
+    async query(sql, params = []) {
+      queries.push({ sql: sql.replace(/\s+/g, " ").trim(), params });
+      if (sql.includes("FROM user_sessions WHERE refresh_token_hash")) return { rows: row ? [row] : [] };
+      if (sql.includes("INSERT INTO user_sessions")) {
+        return { rows: [{ id: "new-session", family_id: params[0], expires_at: future }] };
+      }
+      return { rows: [], rowCount: 0 };
+    },
+    release() {},
+  };
+}
+
+async function rotateWith(row) {
+  const client = recordingClient(row);
+  const originalConnect = pool.connect;
+  pool.connect = async () => client;
+  try {
+    return { result: await rotateSession("refresh-token", { ip: "127.0.0.1", headers: {} }), queries: client.queries };
+  } finally {
+    pool.connect = originalConnect;
+  }
+}
+
+test("rotateSession: reuso de un token rotado revoca toda la familia", async () => {
+  const { result, queries } = await rotateWith({
+    id: "s1",
+    user_id: "u1",
+    family_id: "f1",
+    revoked_at: null,
+    rotated_at: new Date(Date.now() - 60_000),
+    expires_at: new Date(Date.now() + 3600_000),
+  });
+
+  assert.deepEqual(result, { error: "reused" });
+  const revoke = queries.find((q) => q.sql.startsWith("UPDATE user_sessions SET revoked_at"));
+  assert.ok(revoke, "no revocó la familia");
+  assert.deepEqual(revoke.params, ["f1", "reuse_detected"]);
+  assert.equal(queries.at(-1).sql, "COMMIT");
+});
+
+test("rotateSession: token vigente emite el siguiente de la misma familia y marca el actual como rotado", async () => {
+  const { result, queries } = await rotateWith({
+    id: "s1",
+    user_id: "u1",
+    family_id: "f1",
+    revoked_at: null,
+    rotated_at: null,
+    expires_at: new Date(Date.now() + 3600_000),
+  });
+
+  assert.equal(result.userId, "u1");
+  assert.equal(result.familyId, "f1");
+  assert.ok(result.token);
+  const rotated = queries.find((q) => q.sql.includes("SET rotated_at = NOW()"));
+  assert.deepEqual(rotated.params, ["s1", "new-session"]);
+  assert.ok(!queries.some((q) => q.sql.includes("revoked_reason")), "no debería revocar nada");
+});
+
+test("rotateSession: token revocado no rota ni revoca", async () => {
+  const { result, queries } = await rotateWith({
+    id: "s1",
+    user_id: "u1",
+    family_id: "f1",
+    revoked_at: new Date(),
+    rotated_at: null,
+    expires_at: new Date(Date.now() + 3600_000),
+  });
+
+  assert.deepEqual(result, { error: "revoked" });
+  assert.equal(queries.at(-1).sql, "ROLLBACK");
+});